@@ -1,6 +1,6 @@
 class PowerBIApp {
     constructor() {
-        this.parser = new PBIRParser();
+        this.parser = new PBIRCore();
         this.renderer = new LayoutRenderer('layout-canvas');
         this.currentPage = null;
         this.reportData = null;
@@ -13,12 +13,20 @@ class PowerBIApp {
         document.getElementById('pbir-upload').addEventListener('change', (e) => {
             this.handleFileUpload(e);
         });
+        document.getElementById('pbir-zip-upload').addEventListener('change', (e) => {
+            this.handleFileUpload(e);
+        });
         
         // Visual selection handler
         document.addEventListener('visualSelected', (e) => {
             this.handleVisualSelection(e.detail);
         });
         
+        // Desktop or phone layout on the canvas
+        document.getElementById('mobile-toggle').addEventListener('change', (e) => {
+            this.renderer.setMode(e.target.checked ? 'mobile' : 'desktop');
+        });
+        
         // Page navigation handler
         document.addEventListener('click', (e) => {
             if (e.target.classList.contains('page-item')) {
@@ -37,8 +45,15 @@ class PowerBIApp {
         this.showLoading('Parsing PBIR files...');
         
         try {
-            this.reportData = await this.parser.parseFiles(files);
+            const source = await this.createFileSource(files);
+            this.reportData = await this.parser.parse(source, { report: await this.chooseReport(source) });
+            this.renderer.setTheme(this.reportData.theme);
             this.displayReportOverview();
+            this.displayModelUsage();
+            this.displayBookmarks();
+            this.displayNavigation();
+            this.displayMobileAudit();
+            this.displayResources();
             this.setupPageNavigation();
             this.showReportSections();
             
@@ -50,12 +65,31 @@ class PowerBIApp {
             
         } catch (error) {
             console.error('Error parsing PBIR files:', error);
-            this.showError('Error parsing PBIR files. Please ensure you selected a valid Power BI project folder.');
+            this.showError(`Error parsing PBIR files: ${error.message}. Please ensure you selected a valid Power BI project folder, .zip archive or .pbix file.`);
         } finally {
             this.hideLoading();
         }
     }
     
+    // Asks which report to open when the upload holds several
+    async chooseReport(source) {
+        const roots = this.parser.findReportRoots(await source.listFiles());
+        if (roots.length <= 1) {
+            return null;
+        }
+        
+        const names = roots.map(root => this.parser.getReportName(root));
+        return prompt(`This upload contains ${names.length} reports:\n\n${names.join('\n')}\n\nWhich one should be opened?`, names[0]);
+    }
+    
+    async createFileSource(files) {
+        // A single .zip or .pbix is extracted in memory; anything else is a folder upload
+        if (files.length === 1 && /\.(zip|pbix)$/i.test(files[0].name)) {
+            return new ZipFileSource(await files[0].arrayBuffer(), files[0].name);
+        }
+        return new BrowserFileSource(files);
+    }
+    
     displayReportOverview() {
         const summary = this.parser.getReportSummary();
         const metadataDiv = document.getElementById('report-metadata');
@@ -76,6 +110,15 @@ class PowerBIApp {
                 </div>
             </div>
             
+            <div class="visual-types-summary">
+                <h4>Theme: ${this.escapeHtml(this.reportData.theme.name)}</h4>
+                <div class="color-palette">
+                    ${this.reportData.theme.dataColors.filter(color => /^#[0-9a-f]{3,8}$/i.test(String(color))).map(color => `
+                        <div class="color-swatch" style="background-color: ${color}" title="${this.escapeHtml(color)}"></div>
+                    `).join('')}
+                </div>
+            </div>
+            
             <div class="visual-types-summary">
                 <h4>Visual Types Used</h4>
                 <div class="visual-types-list">
@@ -91,9 +134,251 @@ class PowerBIApp {
                     <div class="report-info">
                         ${summary.reportInfo.version ? `<p><strong>Version:</strong> ${JSON.stringify(summary.reportInfo.version)}</p>` : ''}
                         ${summary.reportInfo.name ? `<p><strong>Name:</strong> ${summary.reportInfo.name}</p>` : ''}
+                        ${summary.reportInfo.format ? `<p><strong>Format:</strong> ${summary.reportInfo.format}</p>` : ''}
+                        <p><strong>Semantic Model:</strong> ${summary.reportInfo.datasetReference ? this.escapeHtml(summary.reportInfo.datasetReference.label) : 'Not referenced'}</p>
+                        ${this.reportData.semanticModel ? `<p><strong>Model Objects:</strong> ${this.formatModelSummary(this.reportData.semanticModel.getSummary())}</p>` : ''}
                     </div>
                 </div>
             ` : ''}
+            
+            ${this.reportData.reportMeasures.length > 0 ? `
+                <div class="report-details">
+                    <h4>Report-level Measures</h4>
+                    ${this.reportData.reportMeasures.map(measure => this.formatReportMeasure(measure)).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+    
+    // A measure from reportExtensions.json: the semantic model does not have it
+    formatReportMeasure(measure) {
+        const details = [
+            measure.dataType,
+            measure.formatString && `Format: ${this.escapeHtml(measure.formatString)}`,
+            measure.displayFolder && `Folder: ${this.escapeHtml(measure.displayFolder)}`,
+            measure.template && `Template: ${this.escapeHtml(measure.template.name)} v${measure.template.version}`,
+            `Used by ${measure.usedBy.length} visual(s)`
+        ].filter(Boolean);
+        
+        return `
+            <div class="model-object">
+                <div><strong>${this.escapeHtml(`${measure.table}[${measure.name}]`)}</strong></div>
+                <div class="model-details">${details.join(' · ')}</div>
+                ${measure.description ? `<div class="model-description">${this.escapeHtml(measure.description)}</div>` : ''}
+                <pre class="dax-expression">${this.escapeHtml(measure.expression)}</pre>
+                ${measure.references.length > 0 ? `<div class="model-details">Uses ${measure.references.map(reference => this.escapeHtml(`${reference.table}[${reference.name}]${reference.isReportMeasure ? ' (report-level)' : ''}`)).join(', ')}</div>` : ''}
+            </div>
+        `;
+    }
+    
+    // Lists the model objects no visual, filter, bookmark, sort or formatting
+    // expression refers to; only shown when the semantic model was loaded
+    displayModelUsage() {
+        const section = document.getElementById('model-usage');
+        this.modelUsage = this.reportData.semanticModel ? new ModelUsageAnalyzer(this.reportData).analyze() : null;
+        section.classList.toggle('hidden', !this.modelUsage);
+        if (!this.modelUsage) {
+            return;
+        }
+        
+        const usage = this.modelUsage;
+        const { tables, columns, measures } = usage.unused;
+        const unusedTables = new Set(tables.map(table => table.name));
+        const byTable = new Map(tables.map(table => [table.name, []]));
+        [...columns.map(column => ({ ...column, kind: column.type === 'calculated' ? 'Calculated column' : 'Column' })),
+            ...measures.map(measure => ({ ...measure, kind: 'Measure' }))].forEach(object => {
+            if (!byTable.has(object.table)) {
+                byTable.set(object.table, []);
+            }
+            byTable.get(object.table).push(object);
+        });
+        
+        document.getElementById('model-usage-content').innerHTML = `
+            <div class="metadata-grid">
+                <div class="metadata-item">
+                    <h4>🗂️ Tables</h4>
+                    <span>${tables.length} of ${usage.totals.tables}</span>
+                </div>
+                <div class="metadata-item">
+                    <h4>🔤 Columns</h4>
+                    <span>${columns.length} of ${usage.totals.columns}</span>
+                </div>
+                <div class="metadata-item">
+                    <h4>🧮 Measures</h4>
+                    <span>${measures.length} of ${usage.totals.measures}</span>
+                </div>
+            </div>
+            ${byTable.size === 0 ? '<p>Every table, column and measure is referenced by the report.</p>' : ''}
+            ${Array.from(byTable).map(([table, objects]) => `
+                <div class="usage-table">
+                    <h4>${this.escapeHtml(table)}${unusedTables.has(table) ? ' <span class="usage-note">entire table unused</span>' : ''}</h4>
+                    <ul>
+                        ${objects.map(object => `
+                            <li>
+                                <strong>${this.escapeHtml(object.name)}</strong>
+                                <span class="usage-kind">${object.kind}${object.isHidden ? ', hidden' : ''}</span>
+                                ${object.usedByModel.length > 0 ? `<div class="usage-note">Used by model: ${object.usedByModel.map(item => this.escapeHtml(item)).join('; ')}</div>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `).join('')}
+            ${usage.unresolved.length > 0 ? `<p class="model-missing">${usage.unresolved.length} report references not found in the model: ${usage.unresolved.map(item => this.escapeHtml(item)).join(', ')}</p>` : ''}
+            <button onclick="app.exportModelUsage()">Export Unused Objects</button>
+        `;
+    }
+    
+    // Where each page links to and how readers reach it; unreachable pages
+    // and broken links are flagged
+    displayNavigation() {
+        this.navigation = new NavigationGraph(this.reportData);
+        this.navigationGraph = this.navigation.build();
+        const graph = this.navigationGraph;
+        const labels = new Map(graph.nodes.map(node => [node.id, node.label]));
+        const reach = { tabs: 'page tabs', navigation: 'reached through links', drillthrough: 'drillthrough target', tooltip: 'tooltip page' };
+        
+        document.getElementById('navigation-section').classList.toggle('hidden', graph.pages.length === 0);
+        document.getElementById('navigation-content').innerHTML = `
+            <ul class="navigation-list">
+                ${graph.pages.map(page => {
+                    const links = graph.edges.filter(edge => edge.from === `page:${page.name}`);
+                    return `
+                        <li class="${page.reachedBy ? '' : 'navigation-unreachable'}">
+                            <strong>${this.escapeHtml(page.displayName)}</strong>
+                            <span class="usage-note">${page.isHidden ? 'hidden, ' : ''}${page.reachedBy ? reach[page.reachedBy] : 'unreachable'}</span>
+                            ${links.length > 0 ? `
+                                <ul>
+                                    ${links.map(edge => `
+                                        <li class="${edge.broken ? 'navigation-broken' : ''}">${edge.broken ? '✖' : '→'} ${this.escapeHtml(labels.get(edge.to))} <span class="usage-note">via ${this.escapeHtml(this.navigation.describeEdge(edge))}</span></li>
+                                    `).join('')}
+                                </ul>
+                            ` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+            <button onclick="app.exportNavigation('mermaid')">Export Mermaid</button>
+            <button onclick="app.exportNavigation('dot')">Export DOT</button>
+        `;
+    }
+    
+    // Pages without a phone layout, and visuals it leaves out or formats
+    // differently
+    displayMobileAudit() {
+        const audit = this.parser.getMobileAudit();
+        const value = value => this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+        
+        document.getElementById('mobile-section').classList.toggle('hidden', audit.length === 0);
+        document.getElementById('mobile-content').innerHTML = `
+            <p>${audit.filter(page => page.hasMobileLayout).length} of ${audit.length} page(s) have a phone layout <span class="usage-note">tooltip pages left out</span></p>
+            <ul class="navigation-list">
+                ${audit.map(page => `
+                    <li class="${page.hasMobileLayout ? '' : 'navigation-unreachable'}">
+                        <strong>${this.escapeHtml(page.displayName)}</strong>
+                        <span class="usage-note">${page.hasMobileLayout ? `${page.missing.length} visual(s) left out, ${page.overridden.length} formatted differently` : 'no phone layout'}</span>
+                        ${page.missing.length + page.overridden.length > 0 ? `
+                            <ul>
+                                ${page.missing.map(visual => `<li class="navigation-broken">✖ ${this.escapeHtml(visual.displayName)}</li>`).join('')}
+                                ${page.overridden.map(visual => `
+                                    <li>≠ ${this.escapeHtml(visual.displayName)}: <span class="usage-note">${visual.overrides.map(override => `${override.object}.${override.property}: ${override.desktop === null ? '' : `${value(override.desktop)} → `}${value(override.mobile)}`).join(', ')}</span></li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    // Custom visuals, images and themes the report registers, with what uses
+    // them; unused resources and files missing from the project are flagged
+    displayResources() {
+        const inventory = this.parser.getResourceInventory();
+        const where = use => this.escapeHtml(use.visual ? `${use.visualDisplayName} on ${use.pageDisplayName}` : use.page ? `page ${use.pageDisplayName}` : 'report');
+        const usedBy = uses => uses.length > 0
+            ? `<span class="usage-note">used by ${uses.map(where).join(', ')}</span>`
+            : '<span class="usage-note navigation-broken">not used</span>';
+        const missing = item => item.present ? '' : ' <span class="usage-note navigation-broken">file not in project</span>';
+        const count = inventory.customVisuals.length + inventory.images.length + inventory.themes.length + inventory.other.length;
+        
+        document.getElementById('resources-section').classList.toggle('hidden', count === 0);
+        document.getElementById('resources-content').innerHTML = `
+            <h4>🧩 Custom Visuals</h4>
+            <ul class="navigation-list">
+                ${inventory.customVisuals.map(customVisual => `
+                    <li>
+                        <strong>${this.escapeHtml(customVisual.displayName || customVisual.name)}</strong>
+                        ${customVisual.version ? `v${this.escapeHtml(customVisual.version)}` : ''}
+                        <span class="usage-note">${customVisual.origin}${customVisual.disabled ? ', disabled' : ''}${customVisual.author ? `, by ${this.escapeHtml(customVisual.author)}` : ''}</span>
+                        ${usedBy(customVisual.usedBy)}
+                        ${customVisual.found && customVisual.privileges.length > 0 ? `
+                            <ul>
+                                ${customVisual.privileges.map(privilege => `<li>🔐 ${this.escapeHtml(privilege.name)} ${this.escapeHtml(privilege.parameters.join(', '))}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                    </li>
+                `).join('') || '<li>None</li>'}
+            </ul>
+            <h4>🖼️ Images</h4>
+            <ul class="navigation-list">
+                ${inventory.images.map(image => `
+                    <li>${this.escapeHtml(image.name)}${missing(image)} ${usedBy(image.usedBy)}</li>
+                `).join('') || '<li>None</li>'}
+            </ul>
+            <h4>🎨 Themes${inventory.other.length > 0 ? ' and Other Resources' : ''}</h4>
+            <ul class="navigation-list">
+                ${[...inventory.themes, ...inventory.other].map(item => `
+                    <li>${this.escapeHtml(item.name)} <span class="usage-note">${item.type}${item.active ? ', active' : ''}</span>${missing(item)}</li>
+                `).join('') || '<li>None</li>'}
+            </ul>
+        `;
+    }
+    
+    // Bookmarks pane tree with what each bookmark changes; changes its
+    // switches turn off are struck through
+    displayBookmarks() {
+        const tree = this.reportData.bookmarkTree;
+        const count = Object.keys(this.reportData.bookmarks || {}).length;
+        document.getElementById('bookmarks-section').classList.toggle('hidden', count === 0 && tree.missing.length === 0);
+        
+        document.getElementById('bookmarks-content').innerHTML = `
+            ${tree.items.map(item => item.type === 'group' ? `
+                <div class="bookmark-group">
+                    <h4>📁 ${this.escapeHtml(item.displayName)}</h4>
+                    ${item.children.map(name => this.formatBookmark(name)).join('')}
+                </div>
+            ` : this.formatBookmark(item.name)).join('')}
+            ${tree.orphans.length > 0 ? `
+                <div class="bookmark-group">
+                    <h4>⚠️ Not listed in bookmarks.json</h4>
+                    ${tree.orphans.map(name => this.formatBookmark(name)).join('')}
+                </div>
+            ` : ''}
+            ${tree.missing.length > 0 ? `<p class="model-missing">Listed in bookmarks.json without a file: ${tree.missing.map(name => this.escapeHtml(name)).join(', ')}</p>` : ''}
+        `;
+    }
+    
+    formatBookmark(name) {
+        const bookmark = this.parser.getBookmarkChanges(name);
+        const flags = [
+            bookmark.options.applyOnlyToTargetVisuals ? `selected visuals only (${bookmark.options.targetVisuals.length})` : null,
+            bookmark.options.suppressActiveSection ? 'keeps current page' : null,
+            bookmark.options.suppressData ? 'no data changes' : null,
+            bookmark.options.suppressDisplay ? 'no display changes' : null
+        ].filter(Boolean);
+        
+        return `
+            <details class="bookmark-item">
+                <summary>
+                    <strong>${this.escapeHtml(bookmark.displayName)}</strong>
+                    <span class="usage-note">${bookmark.changes.length} change(s)${flags.length > 0 ? `; ${flags.join(', ')}` : ''}</span>
+                </summary>
+                <ul>
+                    ${bookmark.changes.map(change => `
+                        <li class="${change.applied ? '' : 'bookmark-suppressed'}" title="${change.applied ? change.category : `${change.category} changes are turned off for this bookmark`}">${this.escapeHtml(change.text)}</li>
+                    `).join('')}
+                </ul>
+            </details>
         `;
     }
     
@@ -101,11 +386,12 @@ class PowerBIApp {
         const pagesList = document.getElementById('pages-list');
         pagesList.innerHTML = '';
         
-        Object.keys(this.reportData.pages).forEach(pageName => {
+        Object.entries(this.reportData.pages).forEach(([pageName, page]) => {
             const pageItem = document.createElement('li');
             pageItem.className = 'page-item';
             pageItem.dataset.pageName = pageName;
-            pageItem.textContent = pageName;
+            pageItem.dataset.usage = page.usage;
+            pageItem.textContent = page.displayName || pageName;
             pagesList.appendChild(pageItem);
         });
     }
@@ -121,6 +407,7 @@ class PowerBIApp {
         const pageData = this.reportData.pages[pageName];
         
         if (pageData) {
+            this.renderer.setInteractions(this.parser.getInteractionMatrix(pageName));
             this.renderer.renderPage(pageData);
             this.displayPageInfo(pageData);
         }
@@ -135,26 +422,23 @@ class PowerBIApp {
         }
         
         const visualCount = Object.keys(pageData.visuals).length;
+        const fields = pageData.bindingFields.map(field => field.label).join(', ');
         visualInfo.innerHTML = `
             <div class="page-summary">
                 <h4>Page Overview</h4>
                 <p><strong>Visuals:</strong> ${visualCount}</p>
+                ${pageData.usage !== 'Default' ? `<p><strong>${pageData.usage} page:</strong> ${this.escapeHtml(fields || 'no fields')}</p>` : ''}
+                ${pageData.sourceVisuals.length > 0 ? `
+                    <p><strong>Opened from:</strong></p>
+                    <ul class="page-links">
+                        ${pageData.sourceVisuals.map(link => `<li>${this.escapeHtml(this.describePageLink(link, 'source'))}</li>`).join('')}
+                    </ul>
+                ` : ''}
             </div>
             
             <div class="visuals-list">
                 <h4>Visuals on Page</h4>
-                ${Object.entries(pageData.visuals).map(([name, visual]) => `
-                    <div class="visual-item" data-visual-name="${name}">
-                        <div class="visual-header">
-                            <span class="visual-name">${name}</span>
-                            <span class="visual-type">${visual.properties?.type || 'unknown'}</span>
-                        </div>
-                        <div class="visual-metrics">
-                            <small>Position: ${visual.layout?.x || 0}, ${visual.layout?.y || 0}</small>
-                            <small>Size: ${visual.layout?.width || 0} × ${visual.layout?.height || 0}</small>
-                        </div>
-                    </div>
-                `).join('')}
+                ${this.formatVisualTree(pageData.visualTree, pageData.visuals)}
             </div>
         `;
         
@@ -167,6 +451,54 @@ class PowerBIApp {
         });
     }
     
+    // Selection pane order; groups are collapsible and list their children
+    formatVisualTree(nodes, visuals) {
+        return nodes.map(node => {
+            const visual = visuals[node.name];
+            const hidden = node.isHidden ? 'hidden' : node.hiddenByGroup ? 'hidden by group' : '';
+            const item = `
+                <div class="visual-item${hidden ? ' visual-hidden' : ''}" data-visual-name="${node.name}">
+                    <div class="visual-header">
+                        <span class="visual-name">${this.escapeHtml(node.displayName)}</span>
+                        <span class="visual-type">${node.kind === 'group' ? `Group, ${node.groupMode === 'ScrollMode' ? 'scroll' : 'scale'}` : visual.properties.typeName}${hidden ? `, ${hidden}` : ''}</span>
+                    </div>
+                    <div class="visual-metrics">
+                        <small>Position: ${visual.layout?.x || 0}, ${visual.layout?.y || 0}${node.offset ? ` (${Math.round(node.offset.x)}, ${Math.round(node.offset.y)} in group)` : ''}</small>
+                        <small>Size: ${visual.layout?.width || 0} × ${visual.layout?.height || 0}</small>
+                    </div>
+                    ${visual.targetPages.length > 0 ? `
+                        <ul class="page-links">
+                            ${visual.targetPages.map(link => `<li>↪ ${this.escapeHtml(this.describePageLink(link, 'target'))}</li>`).join('')}
+                        </ul>
+                    ` : ''}
+                </div>
+            `;
+            
+            return node.kind === 'group' ? `
+                <details class="visual-group" open>
+                    <summary>${this.escapeHtml(node.displayName)} <span class="usage-note">${node.children.length} item(s)</span></summary>
+                    ${item}
+                    ${this.formatVisualTree(node.children, visuals)}
+                </details>
+            ` : item;
+        }).join('');
+    }
+    
+    // A drillthrough or tooltip link, seen from the page it opens ('source')
+    // or from the visual ('target')
+    describePageLink(link, end) {
+        const page = this.reportData.pages[link.page];
+        const via = { menu: 'right-click', button: 'drillthrough button', page: 'chosen tooltip page', auto: 'matching tooltip fields' }[link.via];
+        const how = link.fields.length > 0 && link.via !== 'button' ? `${via} on ${link.fields.join(', ')}` : via;
+        
+        if (end === 'source') {
+            const visual = this.reportData.visuals[`${link.page}:${link.visual}`];
+            return `${visual ? visual.properties.displayName : link.visual} on ${page ? page.displayName : link.page} (${how})`;
+        }
+        const verb = link.kind === 'drillthrough' ? 'Drills through to' : 'Shows tooltip page';
+        return `${verb} ${page ? page.displayName : link.page} (${how})`;
+    }
+    
     handleVisualSelection(visualData) {
         const visualInfo = document.getElementById('visual-info');
         
@@ -189,8 +521,8 @@ class PowerBIApp {
         return `
             <div class="selected-visual">
                 <div class="visual-header">
-                    <h4>${name}</h4>
-                    <span class="visual-type">${properties.type || 'unknown'}</span>
+                    <h4>${properties.displayName || name}</h4>
+                    <span class="visual-type">${properties.typeName || 'unknown'}</span>
                 </div>
                 
                 <div class="visual-section">
@@ -198,7 +530,7 @@ class PowerBIApp {
                     <ul class="property-list">
                         <li><span class="property-name">Position:</span> <span class="property-value">${layout.x || 0}, ${layout.y || 0}</span></li>
                         <li><span class="property-name">Size:</span> <span class="property-value">${layout.width || 0} × ${layout.height || 0}</span></li>
-                        <li><span class="property-name">Z-Index:</span> <span class="property-value">${layout.zIndex || 0}</span></li>
+                        <li><span class="property-name">Z-Index:</span> <span class="property-value">${layout.z || 0}</span></li>
                     </ul>
                 </div>
                 
@@ -207,7 +539,7 @@ class PowerBIApp {
                         <h5>📏 Measures (${fields.measures.length})</h5>
                         <ul class="property-list">
                             ${fields.measures.map(measure => `
-                                <li><span class="property-name">${measure.name}:</span> <span class="property-value">${measure.expression || measure.column}</span></li>
+                                <li><span class="property-name">${measure.name}:</span> <span class="property-value">${this.formatFieldReference(measure)}</span>${this.formatModelObject(measure)}</li>
                             `).join('')}
                         </ul>
                     </div>
@@ -218,12 +550,21 @@ class PowerBIApp {
                         <h5>📊 Dimensions (${fields.dimensions.length})</h5>
                         <ul class="property-list">
                             ${fields.dimensions.map(dimension => `
-                                <li><span class="property-name">${dimension.name}:</span> <span class="property-value">${dimension.expression || dimension.property}</span></li>
+                                <li><span class="property-name">${dimension.name}:</span> <span class="property-value">${this.formatFieldReference(dimension)}</span>${this.formatModelObject(dimension)}</li>
                             `).join('')}
                         </ul>
                     </div>
                 ` : ''}
                 
+                ${fields.calculations && fields.calculations.length > 0 ? `
+                    <div class="visual-section">
+                        <h5>🧮 Visual Calculations (${fields.calculations.length})</h5>
+                        <ul class="property-list">
+                            ${fields.calculations.map(calculation => this.formatCalculation(calculation)).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+                
                 ${filters.length > 0 ? `
                     <div class="visual-section">
                         <h5>🔍 Filters (${filters.length})</h5>
@@ -234,13 +575,12 @@ class PowerBIApp {
                                         <span class="filter-type">${filter.type || 'Filter'}</span>
                                     </div>
                                     <div class="filter-details">
-                                        ${filter.description ? `<div class="filter-description">${filter.description}</div>` : ''}
+                                        ${filter.description ? `<div class="filter-description">${this.escapeHtml(filter.description)}</div>` : ''}
                                         ${filter.field ? `<div class="filter-field"><strong>Field:</strong> ${filter.field}</div>` : ''}
-                                        ${filter.expression && !filter.description ? `<div class="filter-expression"><strong>Expression:</strong> ${filter.expression}</div>` : ''}
-                                        ${filter.filter && !filter.description ? `<div class="filter-condition"><strong>Condition:</strong> ${filter.filter}</div>` : ''}
-                                        ${filter.condition && !filter.description ? `<div class="filter-condition"><strong>Condition:</strong> ${filter.condition}</div>` : ''}
-                                        ${filter.value ? `<div class="filter-value"><strong>Value:</strong> ${filter.value}</div>` : ''}
-                                        ${filter.object && filter.property ? `<div class="filter-property"><strong>Property:</strong> ${filter.object}.${filter.property}</div>` : ''}
+                                        ${filter.conditionText && filter.conditionText !== filter.description ? `<div class="filter-condition"><strong>Condition:</strong> ${this.escapeHtml(filter.conditionText)}</div>` : ''}
+                                        ${filter.dax ? `<pre class="dax-expression" title="DAX filter">${this.escapeHtml(filter.dax)}</pre>` : ''}
+                                        ${filter.isHidden ? `<div class="filter-property"><strong>Hidden in view mode</strong></div>` : ''}
+                                        ${filter.isLocked ? `<div class="filter-property"><strong>Locked in view mode</strong></div>` : ''}
                                     </div>
                                 </div>
                             `).join('')}
@@ -248,6 +588,8 @@ class PowerBIApp {
                     </div>
                 ` : ''}
                 
+                ${this.formatFilterContext(name)}
+                
                 ${formatting.colors && formatting.colors.length > 0 ? `
                     <div class="visual-section">
                         <h5>🎨 Colors</h5>
@@ -264,10 +606,13 @@ class PowerBIApp {
                         <h5>🎨 Formatting</h5>
                         <ul class="property-list">
                             ${formatting.background && formatting.background.color ? `
-                                <li><span class="property-name">Background:</span> <span class="property-value">${formatting.background.color}</span></li>
+                                <li><span class="property-name">Background:</span> ${this.formatColor(formatting.background.color)}</li>
                             ` : ''}
                             ${formatting.border && formatting.border.color ? `
-                                <li><span class="property-name">Border:</span> <span class="property-value">${formatting.border.color}</span></li>
+                                <li><span class="property-name">Border:</span> ${this.formatColor(formatting.border.color)}</li>
+                            ` : ''}
+                            ${formatting.title ? `
+                                <li><span class="property-name">Title font:</span> <span class="property-value">${this.escapeHtml(`${formatting.title.fontFamily}, ${formatting.title.fontSize}pt`)}</span> ${this.formatColor(formatting.title.fontColor)}</li>
                             ` : ''}
                         </ul>
                     </div>
@@ -275,11 +620,107 @@ class PowerBIApp {
                 
                 <div class="visual-actions">
                     <button onclick="app.exportVisualInfo('${name}')">Export Info</button>
+                    <button onclick="app.copyVisualQuery('${name}')">Copy DAX</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    // Swatch and value; expressions (conditional formatting) stay as text
+    formatColor(color) {
+        const swatch = /^#[0-9a-f]{3,8}$/i.test(String(color)) ? `<span class="color-swatch inline-swatch" style="background-color: ${color}"></span>` : '';
+        return `${swatch}<span class="property-value">${this.escapeHtml(String(color))}</span>`;
+    }
+    
+    // Every filter reaching the visual, outermost first, with where it came from
+    formatFilterContext(visualName) {
+        const context = this.parser.getVisualFilterContext(this.currentPage, visualName);
+        if (!context || (context.filters.length === 0 && context.ignored.length === 0)) {
+            return '';
+        }
+        
+        return `
+            <div class="visual-section">
+                <h5>🧭 Filter Context (${context.filters.length})</h5>
+                <ul class="context-list">
+                    ${context.filters.map(entry => `
+                        <li><span class="context-level">${entry.level}</span> ${this.escapeHtml(entry.description)} <span class="usage-note">${this.escapeHtml(entry.source)}</span></li>
+                    `).join('')}
+                    ${context.ignored.map(entry => `
+                        <li title="${this.escapeHtml(entry.reason)}"><span class="context-level">${entry.level}</span> <span class="context-ignored">${this.escapeHtml(entry.description)}</span> <span class="usage-note">${this.escapeHtml(entry.source)}: ${this.escapeHtml(entry.reason)}</span></li>
+                    `).join('')}
+                </ul>
+                ${context.notes.map(note => `<div class="context-note">ℹ️ ${this.escapeHtml(note)}</div>`).join('')}
+            </div>
+        `;
+    }
+    
+    formatModelSummary(summary) {
+        return `${summary.tables} tables, ${summary.columns} columns, ${summary.measures} measures, ${summary.relationships} relationships (${summary.format})`;
+    }
+    
+    formatFieldReference(field) {
+        const reference = `${field.table}.${field.property}`;
+        return field.aggregation ? `${field.aggregation}(${reference})` : reference;
+    }
+    
+    // Role, hidden flag, DAX and the visual fields a visual calculation uses
+    formatCalculation(calculation) {
+        const details = [calculation.role, calculation.dataType, calculation.isHidden && 'Hidden'].filter(Boolean);
+        const references = calculation.references.map(reference => {
+            if (reference.kind === 'field') {
+                return this.escapeHtml(reference.field);
+            }
+            const note = reference.kind === 'calculation' ? 'visual calculation' : 'not in visual';
+            return `${this.escapeHtml(`[${reference.name}]`)} <span class="usage-note">${note}</span>`;
+        });
+        
+        return `
+            <li>
+                <span class="property-name">${this.escapeHtml(calculation.name)}:</span> <span class="property-value">${details.map(detail => this.escapeHtml(detail)).join(' · ')}</span>
+                <div class="model-object">
+                    <pre class="dax-expression">${this.escapeHtml(calculation.dax)}</pre>
+                    ${references.length > 0 ? `<div class="model-details">Uses: ${references.join(', ')}</div>` : ''}
                 </div>
+            </li>
+        `;
+    }
+    
+    // Model details (data type, format, DAX) for fields linked to the semantic
+    // model or to a report-level measure
+    formatModelObject(field) {
+        const modelObject = field.modelObject;
+        if (!modelObject && !this.reportData.semanticModel) {
+            return '';
+        } else if (!modelObject) {
+            return `<div class="model-object model-missing">Not found in semantic model</div>`;
+        }
+        
+        const kinds = { calculatedColumn: 'Calculated column', reportMeasure: 'Report-level measure' };
+        const details = [
+            kinds[modelObject.kind] || modelObject.kind.charAt(0).toUpperCase() + modelObject.kind.slice(1),
+            modelObject.dataType,
+            modelObject.formatString && `Format: ${this.escapeHtml(modelObject.formatString)}`,
+            modelObject.displayFolder && `Folder: ${this.escapeHtml(modelObject.displayFolder)}`
+        ].filter(Boolean);
+        
+        return `
+            <div class="model-object">
+                <div class="model-details">${details.join(' · ')}</div>
+                ${modelObject.description ? `<div class="model-description">${this.escapeHtml(modelObject.description)}</div>` : ''}
+                ${modelObject.expression ? `<pre class="dax-expression">${this.escapeHtml(modelObject.expression)}</pre>` : ''}
             </div>
         `;
     }
     
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
     showReportSections() {
         document.getElementById('upload-section').classList.add('hidden');
         document.getElementById('report-info').classList.remove('hidden');
@@ -313,6 +754,41 @@ class PowerBIApp {
         }
     }
     
+    // SUMMARIZECOLUMNS query of the visual, for DAX Studio
+    async copyVisualQuery(visualName) {
+        const query = this.parser.getVisualQuery(this.currentPage, visualName);
+        if (!query) {
+            this.showError('This visual has no fields, so it sends no DAX query.');
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(query);
+        } catch (error) {
+            this.showError(`Could not copy the DAX query: ${error.message}`);
+        }
+    }
+    
+    exportModelUsage() {
+        const dataStr = JSON.stringify(this.modelUsage, null, 2);
+        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = 'unused_model_objects.json';
+        link.click();
+    }
+    
+    exportNavigation(format) {
+        const text = format === 'dot' ? this.navigation.toDot(this.navigationGraph) : this.navigation.toMermaid(this.navigationGraph);
+        const dataBlob = new Blob([text], { type: 'text/plain' });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = format === 'dot' ? 'navigation.dot' : 'navigation.mmd';
+        link.click();
+    }
+    
     exportReportSummary() {
         const summary = this.parser.getReportSummary();
         const dataStr = JSON.stringify(summary, null, 2);
@@ -446,6 +922,14 @@ const additionalStyles = `
         border: 1px solid #ddd;
     }
     
+    .inline-swatch {
+        display: inline-block;
+        width: 12px;
+        height: 12px;
+        vertical-align: middle;
+        margin-right: 0.3rem;
+    }
+    
     .visual-actions {
         margin-top: 1rem;
         padding-top: 1rem;
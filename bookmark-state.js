@@ -0,0 +1,243 @@
+// Bookmark state.
+//
+// Decodes a bookmark's explorationState (bookmark_schema.json) into the list
+// of changes applying it makes: the page it opens, the visuals and groups it
+// hides, shows, maximizes or spotlights, the filter states at report, page
+// and visual level, active projections, sort order, cross-highlights and
+// formatting.
+//
+// The options decide which of those Power BI really applies. "Selected
+// visuals" (applyOnlyToTargetVisuals) limits visual changes to
+// targetVisualNames, and the Current page, Data and Display switches
+// (suppressActiveSection, suppressData, suppressDisplay) turn whole
+// categories off; such changes are kept with applied: false.
+
+const bookmarkDeps = typeof module !== 'undefined' && module.exports
+    ? Object.assign({}, require('./semantic-query'), require('./filter-describer'))
+    : { SemanticQuery, FilterDescriber };
+
+class BookmarkStateDecoder {
+    // model is the result of PBIRCore.parse
+    constructor(model) {
+        this.model = model;
+        this.describer = new bookmarkDeps.FilterDescriber();
+    }
+    
+    // { name, displayName, page, options, changes: [{ kind, category, page,
+    //   visual, text, applied }] }
+    decode(bookmark) {
+        const state = bookmark.explorationState || {};
+        const options = bookmark.options || {};
+        const targets = options.applyOnlyToTargetVisuals ? new Set(options.targetVisualNames || []) : null;
+        const changes = [];
+        const add = (kind, change) => {
+            const category = BookmarkStateDecoder.changeCategories[kind];
+            changes.push({
+                kind,
+                category,
+                page: null,
+                visual: null,
+                ...change,
+                applied: !options[BookmarkStateDecoder.suppressOptions[category]]
+            });
+        };
+        
+        if (state.activeSection) {
+            add('page', { page: state.activeSection, text: `Opens page "${this.getPageName(state.activeSection)}"` });
+        }
+        
+        this.describeFilters(state.filters, this.getReportFilters()).forEach(text => add('filter', { text: `Report filter: ${text}` }));
+        this.describeObjects(state.objects).forEach(text => add('formatting', { text: `Sets report formatting: ${text}` }));
+        
+        Object.entries(state.sections || {}).forEach(([pageName, section]) => {
+            const page = (this.model.pages || {})[pageName] || { displayName: pageName, filters: [] };
+            
+            this.describeFilters(section.filters, page.filters).forEach(text => {
+                add('filter', { page: pageName, text: `Page filter on "${page.displayName}": ${text}` });
+            });
+            
+            Object.entries(section.visualContainers || {}).forEach(([visualName, container]) => {
+                if (targets && !targets.has(visualName)) return;
+                this.describeVisualState(pageName, visualName, container, targets !== null)
+                    .forEach(([kind, text]) => add(kind, { page: pageName, visual: visualName, text }));
+            });
+            
+            this.describeGroups(pageName, section.visualContainerGroups, targets)
+                .forEach(([visualName, text]) => add('visibility', { page: pageName, visual: visualName, text }));
+        });
+        
+        return {
+            name: bookmark.name,
+            displayName: bookmark.displayName || bookmark.name,
+            page: state.activeSection ? this.getPageName(state.activeSection) : null,
+            options: {
+                applyOnlyToTargetVisuals: options.applyOnlyToTargetVisuals || false,
+                targetVisuals: options.targetVisualNames || [],
+                suppressActiveSection: options.suppressActiveSection || false,
+                suppressData: options.suppressData || false,
+                suppressDisplay: options.suppressDisplay || false
+            },
+            changes
+        };
+    }
+    
+    // [kind, text] pairs for one visual container. Bookmarks store every
+    // visual's state, so a visible visual only counts as "shown" when the
+    // bookmark targets it or the report hides it by default.
+    describeVisualState(pageName, visualName, container, targeted) {
+        const visual = (this.model.visuals || {})[`${pageName}:${visualName}`];
+        const name = `"${this.getVisualName(pageName, visualName)}"`;
+        const single = container.singleVisual || {};
+        const changes = [];
+        
+        const mode = single.display && single.display.mode;
+        if (mode) {
+            changes.push(['visibility', `${BookmarkStateDecoder.displayModes[mode] || mode} ${name}`]);
+        } else if (targeted || (visual && visual.isHidden)) {
+            changes.push(['visibility', `Shows ${name}`]);
+        }
+        
+        if (single.targetType && single.targetType !== single.visualType) {
+            changes.push(['visualType', `Changes ${name} to ${single.targetType}`]);
+        }
+        
+        Object.entries(single.activeProjections || {}).forEach(([role, projections]) => {
+            const fields = (projections || []).filter(Boolean).map(projection => this.describeField(projection));
+            if (fields.length > 0) {
+                changes.push(['projection', `${name} shows ${fields.join(', ')} in ${role}`]);
+            }
+        });
+        
+        const sort = (single.orderBy || []).map(clause => {
+            const direction = bookmarkDeps.SemanticQuery.mapEnum(bookmarkDeps.SemanticQuery.sortDirections, clause.Direction);
+            return `${this.describeField(clause.Expression)} ${String(direction).toLowerCase()}`;
+        });
+        if (sort.length > 0) {
+            changes.push(['sort', `Sorts ${name} by ${sort.join(', ')}`]);
+        }
+        
+        const highlight = this.describeHighlight(container.highlight);
+        if (highlight) {
+            changes.push(['highlight', `Cross-highlights ${name} ${highlight}`]);
+        }
+        
+        this.describeFilters(container.filters, visual ? visual.filters : []).forEach(text => {
+            changes.push(['filter', `Visual filter on ${name}: ${text}`]);
+        });
+        this.describeObjects(single.objects).forEach(text => {
+            changes.push(['formatting', `Sets formatting of ${name}: ${text}`]);
+        });
+        
+        return changes;
+    }
+    
+    // Groups keep their own hidden flag; children nest
+    describeGroups(pageName, groups, targets, changes = []) {
+        Object.entries(groups || {}).forEach(([groupName, group]) => {
+            if (!targets || targets.has(groupName)) {
+                const name = this.getVisualName(pageName, groupName);
+                if (group.isHidden) {
+                    changes.push([groupName, `Hides group "${name}"`]);
+                } else if (targets) {
+                    changes.push([groupName, `Shows group "${name}"`]);
+                }
+            }
+            this.describeGroups(pageName, group.children, targets, changes);
+        });
+        return changes;
+    }
+    
+    // Sentences for the filter states that restrict something, plus the
+    // ones that clear a filter the report saves with a value
+    describeFilters(filtersState, savedFilters = []) {
+        const containers = [];
+        if (filtersState) {
+            containers.push(...Object.values(filtersState.byName || {}));
+            ['byExpr', 'byType', 'byTransientState'].forEach(key => containers.push(...(filtersState[key] || [])));
+        }
+        
+        return containers
+            .map(container => {
+                const query = bookmarkDeps.SemanticQuery.decodeFilter(container.filter);
+                const restricts = query !== null && query.where.length > 0;
+                const saved = (savedFilters || []).find(filter => filter.name === container.name);
+                const cleared = !restricts && saved && saved.query && saved.query.where.length > 0;
+                
+                return restricts || cleared
+                    ? this.describer.describe({ ...container, field: container.field || container.expression }, query)
+                    : null;
+            })
+            .filter(Boolean);
+    }
+    
+    // Selected data points, e.g. "where Product is OneNote"; decomposed
+    // selections only give a count
+    describeHighlight(highlight) {
+        if (!highlight || !highlight.selection) return null;
+        
+        if (!Array.isArray(highlight.selection)) {
+            const values = highlight.selection.decomposedIdentities && highlight.selection.decomposedIdentities.values || [];
+            return values.length > 0 ? `on ${values.length} selected data point(s)` : 'on selected data points';
+        }
+        
+        const points = highlight.selection.map(selector => Object.values(selector.dataMap || {})
+            .flat()
+            .filter(item => item && item.scopeId)
+            .map(item => this.describer.describeCondition(bookmarkDeps.SemanticQuery.decode(item.scopeId)))
+            .join(' and '))
+            .filter(Boolean);
+        return points.length > 0 ? `where ${points.join('; or ')}` : 'on selected data points';
+    }
+    
+    // "object property = value" for merged formatting, "object property
+    // removed" for removals
+    describeObjects(updates) {
+        if (!updates) return [];
+        
+        const merged = Object.entries(updates.merge || {}).flatMap(([object, entries]) => (entries || [])
+            .flatMap(entry => Object.entries(entry.properties || {})
+                .map(([property, value]) => {
+                    const node = value && value.expr ? bookmarkDeps.SemanticQuery.decode(value.expr) : null;
+                    return node ? `${object} ${property} = ${this.describer.describeValue(node)}` : `${object} ${property}`;
+                })));
+        const removed = (updates.remove || []).map(item => `${item.object} ${item.property} removed`);
+        return merged.length + removed.length > 0 ? [[...merged, ...removed].join(', ')] : [];
+    }
+    
+    describeField(expression) {
+        return this.describer.describeSubject(bookmarkDeps.SemanticQuery.decode(expression));
+    }
+    
+    getReportFilters() {
+        return this.model.report && this.model.report.filters || [];
+    }
+    
+    getPageName(pageName) {
+        const page = (this.model.pages || {})[pageName];
+        return page ? page.displayName : pageName;
+    }
+    
+    getVisualName(pageName, visualName) {
+        const visual = (this.model.visuals || {})[`${pageName}:${visualName}`];
+        return visual && visual.properties ? visual.properties.displayName : visualName;
+    }
+}
+
+BookmarkStateDecoder.displayModes = { hidden: 'Hides', maximize: 'Maximizes', spotlight: 'Spotlights', elevation: 'Elevates' };
+
+// Which bookmark switch covers each kind of change
+BookmarkStateDecoder.changeCategories = {
+    page: 'page',
+    filter: 'data',
+    projection: 'data',
+    sort: 'data',
+    highlight: 'data',
+    visibility: 'display',
+    visualType: 'display',
+    formatting: 'display'
+};
+BookmarkStateDecoder.suppressOptions = { page: 'suppressActiveSection', data: 'suppressData', display: 'suppressDisplay' };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BookmarkStateDecoder };
+}
\ No newline at end of file
@@ -2,522 +2,52 @@
 
 const fs = require('fs');
 const path = require('path');
+const { PBIRCore } = require('./pbir-core');
+const { createNodeSource, createModelSource } = require('./file-sources');
+const { SchemaValidator } = require('./schema-validator');
 
-// Simple JSON Schema validator
-class SchemaValidator {
-    constructor() {
-        this.schemas = new Map();
-        this.loadSchemas();
-    }
-    
-    loadSchemas() {
-        const schemaDir = path.join(__dirname, 'json-schemas');
-        if (!fs.existsSync(schemaDir)) {
-            console.warn('JSON schemas directory not found');
-            return;
-        }
-        
-        const schemaFiles = fs.readdirSync(schemaDir).filter(f => f.endsWith('.json'));
-        for (const file of schemaFiles) {
-            try {
-                const schemaPath = path.join(schemaDir, file);
-                const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
-                const schemaName = file.replace('_schema.json', '').replace('.json', '');
-                this.schemas.set(schemaName, schema);
-            } catch (error) {
-                console.warn(`Failed to load schema ${file}:`, error.message);
-            }
-        }
-        console.log(`Loaded ${this.schemas.size} schemas`);
-    }
-    
-    validate(data, schemaName) {
-        const schema = this.schemas.get(schemaName);
-        if (!schema) {
-            return { valid: false, errors: [`Schema ${schemaName} not found`] };
-        }
-        
-        // Basic validation - you can extend this with a full JSON Schema validator
-        return this.basicValidate(data, schema);
-    }
-    
-    basicValidate(data, schema) {
-        const errors = [];
-        
-        if (schema.required) {
-            for (const requiredField of schema.required) {
-                if (!(requiredField in data)) {
-                    errors.push(`Missing required field: ${requiredField}`);
-                }
-            }
-        }
-        
-        return { valid: errors.length === 0, errors };
-    }
-}
-
-// Enhanced PBIR Parser with schema validation
+// CLI wrapper around the shared PBIR parsing engine
 class EnhancedPBIRParser {
-    constructor() {
-        this.validator = new SchemaValidator();
-        this.reportData = null;
-        this.pages = new Map();
-        this.visuals = new Map();
-        this.bookmarks = new Map();
-        this.parseErrors = [];
-        this.parseWarnings = [];
+    constructor(options = {}) {
+        // Full schema validation is opt-in (--validate)
+        this.validator = options.validate ? new SchemaValidator({ minVersions: options.minSchemaVersions }) : null;
+        this.report = options.report || null;
+        this.modelPath = options.model || null;
+        this.core = new PBIRCore({
+            validator: this.validator,
+            log: message => console.log(message)
+        });
     }
 
     async parseDirectory(dirPath) {
-        console.log(`\n🔍 Parsing PBIR directory: ${dirPath}`);
-        
-        if (!fs.existsSync(dirPath)) {
-            throw new Error(`Directory not found: ${dirPath}`);
-        }
-        
-        const files = this.collectFiles(dirPath);
-        console.log(`📁 Found ${files.length} JSON files`);
-        
-        // Parse main report structure
-        await this.parseReportStructure(files, dirPath);
-        
-        // Parse pages and their visuals
-        await this.parsePages(files, dirPath);
-        
-        // Parse bookmarks if available
-        await this.parseBookmarks(files, dirPath);
-        
-        return {
-            report: this.reportData,
-            pages: Object.fromEntries(this.pages),
-            visuals: Object.fromEntries(this.visuals),
-            bookmarks: Object.fromEntries(this.bookmarks),
-            errors: this.parseErrors,
-            warnings: this.parseWarnings
-        };
-    }
-    
-    collectFiles(dirPath) {
-        const files = [];
-        
-        const walkDir = (currentPath) => {
-            const items = fs.readdirSync(currentPath);
-            
-            for (const item of items) {
-                const fullPath = path.join(currentPath, item);
-                const stat = fs.statSync(fullPath);
-                
-                if (stat.isDirectory()) {
-                    walkDir(fullPath);
-                } else if (item.endsWith('.json')) {
-                    const relativePath = path.relative(dirPath, fullPath);
-                    files.push({
-                        name: item,
-                        path: fullPath,
-                        relativePath: relativePath
-                    });
-                }
-            }
-        };
-        
-        walkDir(dirPath);
-        return files;
-    }
-    
-    async parseReportStructure(files, basePath) {
-        console.log('\n📊 Parsing report structure...');
-        
-        // Parse main report.json
-        const reportFile = this.findFile(files, 'definition/report.json');
-        if (reportFile) {
-            console.log(`  ✓ Found report.json`);
-            this.reportData = await this.parseJsonFileWithValidation(reportFile, 'report');
-        } else {
-            this.parseWarnings.push('No main report.json found');
-        }
-        
-        // Parse version info
-        const versionFile = this.findFile(files, 'definition/version.json');
-        if (versionFile) {
-            console.log(`  ✓ Found version.json`);
-            const versionData = await this.parseJsonFileWithValidation(versionFile, 'versionMetadata');
-            if (this.reportData && versionData) {
-                this.reportData = { ...this.reportData, version: versionData };
-            }
-        }
-        
-        // Parse report extensions
-        const extensionsFile = this.findFile(files, 'definition/reportExtensions.json');
-        if (extensionsFile) {
-            console.log(`  ✓ Found reportExtensions.json`);
-            const extensionsData = await this.parseJsonFileWithValidation(extensionsFile, 'reportExtension');
-            if (this.reportData && extensionsData) {
-                this.reportData = { ...this.reportData, extensions: extensionsData };
-            }
-        }
-    }
-    
-    async parsePages(files, basePath) {
-        console.log('\n📄 Parsing pages...');
-        
-        // Parse pages.json for page list
-        const pagesFile = this.findFile(files, 'definition/pages/pages.json');
-        let pagesList = [];
-        
-        if (pagesFile) {
-            console.log(`  ✓ Found pages.json`);
-            const pagesData = await this.parseJsonFileWithValidation(pagesFile, 'pagesMetadata');
-            if (pagesData && pagesData.pages) {
-                pagesList = pagesData.pages;
-            }
-        }
-        
-        // Parse individual page files
-        const pageFiles = files.filter(f => 
-            f.relativePath.includes('/pages/') && f.relativePath.endsWith('/page.json')
-        );
-        
-        console.log(`  📑 Found ${pageFiles.length} page files`);
-        
-        for (const pageFile of pageFiles) {
-            const pageName = this.extractPageName(pageFile.relativePath);
-            console.log(`    Processing page: ${pageName}`);
-            
-            const pageData = await this.parseJsonFileWithValidation(pageFile, 'page');
-            if (pageData) {
-                // Parse visuals for this page
-                const pageVisuals = await this.parsePageVisuals(files, pageName);
-                
-                this.pages.set(pageName, {
-                    ...pageData,
-                    name: pageName,
-                    visuals: pageVisuals
-                });
-                
-                console.log(`      ✓ Parsed ${Object.keys(pageVisuals).length} visuals`);
-            }
-        }
-    }
-    
-    async parsePageVisuals(files, pageName) {
-        const visuals = new Map();
-        
-        const visualFiles = files.filter(f => 
-            f.relativePath.includes(`/pages/${pageName}/visuals/`) && 
-            f.relativePath.endsWith('/visual.json')
-        );
-        
-        for (const visualFile of visualFiles) {
-            const visualName = this.extractVisualName(visualFile.relativePath);
-            const visualData = await this.parseJsonFileWithValidation(visualFile, 'visualContainer');
-            
-            if (visualData) {
-                // Parse mobile layout if exists
-                const mobilePath = visualFile.relativePath.replace('/visual.json', '/mobile.json');
-                const mobileFile = files.find(f => f.relativePath === mobilePath);
-                let mobileData = null;
-                
-                if (mobileFile) {
-                    mobileData = await this.parseJsonFileWithValidation(mobileFile, 'visualContainerMobileState');
-                }
-                
-                const processedVisual = this.processVisualData(visualData, mobileData);
-                visuals.set(visualName, processedVisual);
-                
-                // Also store in global visuals map
-                this.visuals.set(`${pageName}:${visualName}`, {
-                    ...processedVisual,
-                    pageName,
-                    visualName
-                });
-            }
+        console.log(`\n🔍 Parsing PBIR project: ${dirPath}`);
+        
+        // Folders are read from disk, .zip archives are extracted in memory
+        const result = await this.core.parse(createNodeSource(dirPath), {
+            report: this.report,
+            modelSource: this.modelPath ? createModelSource(this.modelPath) : null
+        });
+        
+        if (this.validator) {
+            result.warnings.push(...this.validator.resolutionWarnings);
+            result.schemaVersions = {
+                usage: Object.fromEntries(this.validator.versionUsage),
+                issues: this.validator.versionIssues
+            };
         }
         
-        return Object.fromEntries(visuals);
+        return result;
     }
     
-    async parseBookmarks(files, basePath) {
-        console.log('\n🔖 Parsing bookmarks...');
-        
-        // Parse bookmarks.json
-        const bookmarksFile = this.findFile(files, 'definition/bookmarks/bookmarks.json');
-        if (bookmarksFile) {
-            console.log(`  ✓ Found bookmarks.json`);
-            await this.parseJsonFileWithValidation(bookmarksFile, 'bookmarksMetadata');
-            
-            // Parse individual bookmark files
-            const bookmarkFiles = files.filter(f => 
-                f.relativePath.includes('/bookmarks/') && f.relativePath.endsWith('.bookmark.json')
-            );
-            
-            console.log(`  📑 Found ${bookmarkFiles.length} bookmark files`);
-            
-            for (const bookmarkFile of bookmarkFiles) {
-                const bookmarkName = this.extractBookmarkName(bookmarkFile.relativePath);
-                console.log(`    Processing bookmark: ${bookmarkName}`);
-                
-                const bookmarkData = await this.parseJsonFileWithValidation(bookmarkFile, 'bookmark');
-                if (bookmarkData) {
-                    this.bookmarks.set(bookmarkName, bookmarkData);
-                }
-            }
-        }
-    }
-    
-    async parseJsonFileWithValidation(file, schemaName) {
-        try {
-            const content = fs.readFileSync(file.path, 'utf8');
-            const data = JSON.parse(content);
-            
-            // Validate against schema if available
-            if (schemaName) {
-                const validation = this.validator.validate(data, schemaName);
-                if (!validation.valid) {
-                    this.parseWarnings.push(`Schema validation failed for ${file.relativePath} (${schemaName}): ${validation.errors.join(', ')}`);
-                }
-            }
-            
-            return data;
-        } catch (error) {
-            this.parseErrors.push(`Error parsing ${file.relativePath}: ${error.message}`);
-            return null;
-        }
-    }
-    
-    processVisualData(visualData, mobileData = null) {
-        const processed = {
-            ...visualData,
-            mobile: mobileData,
-            properties: this.extractVisualProperties(visualData),
-            fields: this.extractFields(visualData),
-            filters: this.extractFilters(visualData),
-            layout: this.extractLayout(visualData),
-            formatting: this.extractFormatting(visualData)
-        };
-        
-        return processed;
-    }
-    
-    extractVisualProperties(visualData) {
-        const properties = {};
-        
-        // Extract visual type and properties from the schema-compliant structure
-        if (visualData.visual && visualData.visual.visualType) {
-            properties.type = visualData.visual.visualType;
-        }
-        
-        if (visualData.name) {
-            properties.name = visualData.name;
-        }
-        
-        // Extract from visual configuration if available
-        if (visualData.visual && visualData.visual.singleVisual) {
-            const singleVisual = visualData.visual.singleVisual;
-            
-            if (singleVisual.visualType) {
-                properties.type = singleVisual.visualType;
-            }
-            
-            // Extract title from objects
-            if (singleVisual.objects && singleVisual.objects.title) {
-                const titleObj = singleVisual.objects.title;
-                if (titleObj && titleObj[0] && titleObj[0].properties && titleObj[0].properties.text) {
-                    properties.title = titleObj[0].properties.text.literal?.value;
-                }
-            }
-        }
-        
-        if (!properties.type) {
-            properties.type = 'unknown';
-        }
-        
-        return properties;
-    }
-    
-    extractFields(visualData) {
-        const fields = {
-            dataRoles: {},
-            measures: [],
-            dimensions: []
-        };
-        
-        if (visualData.visual && visualData.visual.singleVisual) {
-            const singleVisual = visualData.visual.singleVisual;
-            
-            // Extract data roles
-            if (singleVisual.dataRoles) {
-                fields.dataRoles = singleVisual.dataRoles;
-            }
-            
-            // Extract from prototypeQuery using schema structure
-            if (singleVisual.prototypeQuery && singleVisual.prototypeQuery.Select) {
-                singleVisual.prototypeQuery.Select.forEach(select => {
-                    if (select.Measure) {
-                        fields.measures.push({
-                            name: select.Name,
-                            expression: select.Measure.Expression,
-                            property: select.Measure.Property
-                        });
-                    } else if (select.Column) {
-                        fields.dimensions.push({
-                            name: select.Name,
-                            expression: select.Column.Expression,
-                            property: select.Column.Property
-                        });
-                    }
-                });
-            }
-        }
-        
-        return fields;
-    }
-    
-    extractFilters(visualData) {
-        const filters = [];
-        
-        // Extract from filterConfig using schema structure
-        if (visualData.filterConfig && visualData.filterConfig.filters) {
-            visualData.filterConfig.filters.forEach(filter => {
-                filters.push(this.parseFilterFromSchema(filter));
-            });
-        }
-        
-        // Extract from visual configuration
-        if (visualData.visual && visualData.visual.singleVisual) {
-            const singleVisual = visualData.visual.singleVisual;
-            
-            // Extract from prototypeQuery Where clause
-            if (singleVisual.prototypeQuery && singleVisual.prototypeQuery.Where) {
-                singleVisual.prototypeQuery.Where.forEach(where => {
-                    filters.push({
-                        type: 'Query Filter',
-                        condition: where.Condition,
-                        target: where.Target,
-                        raw: where
-                    });
-                });
-            }
-        }
+    getReportSummary() {
+        const summary = this.core.getReportSummary();
         
-        return filters;
-    }
-    
-    parseFilterFromSchema(filter) {
-        // Parse filter according to filterConfiguration schema
         return {
-            type: filter.type || 'Unknown',
-            name: filter.name,
-            displayName: filter.displayName,
-            field: filter.field,
-            filter: filter.filter,
-            restatement: filter.restatement,
-            howCreated: filter.howCreated,
-            isHiddenInViewMode: filter.isHiddenInViewMode,
-            isLockedInViewMode: filter.isLockedInViewMode
+            ...summary,
+            parseErrors: summary.errors,
+            parseWarnings: summary.warnings
         };
     }
-    
-    extractLayout(visualData) {
-        const layout = {
-            x: 0,
-            y: 0,
-            width: 0,
-            height: 0,
-            z: 0,
-            tabOrder: 0
-        };
-        
-        // Extract from position property according to schema
-        if (visualData.position) {
-            layout.x = visualData.position.x || 0;
-            layout.y = visualData.position.y || 0;
-            layout.width = visualData.position.width || 0;
-            layout.height = visualData.position.height || 0;
-            layout.z = visualData.position.z || 0;
-            layout.tabOrder = visualData.position.tabOrder || 0;
-        }
-        
-        return layout;
-    }
-    
-    extractFormatting(visualData) {
-        const formatting = {
-            background: null,
-            border: null,
-            font: null,
-            colors: []
-        };
-        
-        // Extract formatting from visual configuration objects
-        if (visualData.visual && visualData.visual.singleVisual && visualData.visual.singleVisual.objects) {
-            const objects = visualData.visual.singleVisual.objects;
-            
-            // Extract background
-            if (objects.background) {
-                formatting.background = objects.background[0]?.properties;
-            }
-            
-            // Extract border
-            if (objects.border) {
-                formatting.border = objects.border[0]?.properties;
-            }
-            
-            // Extract colors
-            if (objects.dataColors) {
-                objects.dataColors.forEach(colorObj => {
-                    if (colorObj.properties && colorObj.properties.fill) {
-                        formatting.colors.push(colorObj.properties.fill);
-                    }
-                });
-            }
-        }
-        
-        return formatting;
-    }
-    
-    findFile(files, relativePath) {
-        return files.find(f => f.relativePath.endsWith(relativePath));
-    }
-    
-    extractPageName(path) {
-        const match = path.match(/\/pages\/([^\/]+)\/page\.json$/);
-        return match ? match[1] : 'unknown';
-    }
-    
-    extractVisualName(path) {
-        const match = path.match(/\/visuals\/([^\/]+)\/visual\.json$/);
-        return match ? match[1] : 'unknown';
-    }
-    
-    extractBookmarkName(path) {
-        const match = path.match(/\/([^\/]+)\.bookmark\.json$/);
-        return match ? match[1] : 'unknown';
-    }
-    
-    getReportSummary() {
-        const summary = {
-            totalPages: this.pages.size,
-            totalVisuals: this.visuals.size,
-            totalBookmarks: this.bookmarks.size,
-            visualTypes: this.getVisualTypesSummary(),
-            reportInfo: this.reportData,
-            parseErrors: this.parseErrors,
-            parseWarnings: this.parseWarnings
-        };
-        
-        return summary;
-    }
-    
-    getVisualTypesSummary() {
-        const types = new Map();
-        
-        for (const [key, visual] of this.visuals) {
-            const type = visual.properties?.type || 'unknown';
-            types.set(type, (types.get(type) || 0) + 1);
-        }
-        
-        return Object.fromEntries(types);
-    }
 }
 
 // CLI functionality
@@ -529,32 +59,44 @@ async function main() {
 🔧 PBIR Parser CLI Tool
 
 Usage:
-  node cli-parser.js <pbir-directory-path> [options]
+  node cli-parser.js <project-folder|.zip|.pbix|.pbip|definition.pbir> [options]
 
 Options:
   --output <file>    Save parsed data to JSON file
+  --report <name>    Pick one report when the folder holds several
+  --model <path>     Semantic model folder or model.bim (default: from definition.pbir)
   --summary          Show only summary information
   --validate         Perform detailed schema validation
+  --min-schema-version <name@version,...>
+                     Flag files declaring an older schema version (implies --validate)
   --verbose          Show detailed parsing information
 
 Examples:
   node cli-parser.js ./my-report-folder
   node cli-parser.js ./my-report-folder --output parsed-report.json
   node cli-parser.js ./my-report-folder --summary --validate
-        `);
+  node cli-parser.js ./my-project.zip --summary
+  node cli-parser.js ./Sales.pbip
+  node cli-parser.js ./repo --report Sales
+  node cli-parser.js ./my-report-folder --min-schema-version page@2.0.0,visualContainer@2.0.0
+`);
         process.exit(1);
     }
     
     const dirPath = args[0];
     const options = {
         output: args.includes('--output') ? args[args.indexOf('--output') + 1] : null,
+        report: args.includes('--report') ? args[args.indexOf('--report') + 1] : null,
+        model: args.includes('--model') ? args[args.indexOf('--model') + 1] : null,
         summary: args.includes('--summary'),
-        validate: args.includes('--validate'),
+        validate: args.includes('--validate') || args.includes('--min-schema-version'),
         verbose: args.includes('--verbose')
     };
     
     try {
-        const parser = new EnhancedPBIRParser();
+        // Parsed here so a malformed version list is reported like any other error
+        options.minSchemaVersions = args.includes('--min-schema-version') ? parseMinSchemaVersions(args[args.indexOf('--min-schema-version') + 1]) : {};
+        const parser = new EnhancedPBIRParser({ validate: options.validate, minSchemaVersions: options.minSchemaVersions, report: options.report, model: options.model });
         const startTime = Date.now();
         
         console.log('🚀 Starting PBIR analysis...');
@@ -573,10 +115,26 @@ Examples:
             result.warnings.forEach(warning => console.log(`  • ${warning}`));
         }
         
+        // Legacy layouts are converted, not validated (see the parse warnings)
+        if (options.validate && parser.core.format === 'PBIR') {
+            printSchemaVersions(result.schemaVersions);
+            printValidationErrors(result.validationErrors, result.schemaVersions.issues);
+        }
+        
         // Generate summary
         const summary = parser.getReportSummary();
         
         console.log(`\n📊 Report Summary:`);
+        if (result.report) {
+            console.log(`  🏷️  Report: ${result.report.name} (${result.report.format})`);
+            console.log(`  🔗 Semantic model: ${result.report.datasetReference ? result.report.datasetReference.label : 'not referenced'}`);
+        }
+        if (result.semanticModel) {
+            const model = result.semanticModel.getSummary();
+            const fields = Object.values(result.visuals).flatMap(visual => [...visual.fields.measures, ...visual.fields.dimensions, ...visual.fields.hierarchies]);
+            console.log(`  🧱 Model: ${model.tables} tables, ${model.measures} measures, ${model.relationships} relationships (${model.format})`);
+            console.log(`  🔗 Fields resolved: ${fields.filter(field => field.modelObject).length}/${fields.length}`);
+        }
         console.log(`  📄 Pages: ${summary.totalPages}`);
         console.log(`  📊 Visuals: ${summary.totalVisuals}`);
         console.log(`  🔖 Bookmarks: ${summary.totalBookmarks}`);
@@ -589,10 +147,20 @@ Examples:
         }
         
         if (!options.summary) {
+            if (options.verbose && result.report && result.report.filters.length > 0) {
+                console.log(`\n🔍 Report Filters:`);
+                printFilters(result.report.filters, '  ');
+            }
+            
             console.log(`\n📑 Pages Detail:`);
             for (const [pageName, page] of Object.entries(result.pages)) {
                 const visualCount = Object.keys(page.visuals || {}).length;
-                console.log(`  • ${pageName}: ${visualCount} visuals`);
+                const usage = page.usage !== 'Default' ? `, ${page.usage.toLowerCase()} page` : '';
+                console.log(`  • ${pageName}: ${visualCount} visuals${usage}`);
+                
+                if (options.verbose) {
+                    printFilters(page.filters || [], '    ');
+                }
                 
                 if (options.verbose && page.visuals) {
                     Object.entries(page.visuals).forEach(([visualName, visual]) => {
@@ -600,9 +168,12 @@ Examples:
                         const fields = (visual.fields?.measures?.length || 0) + (visual.fields?.dimensions?.length || 0);
                         const filters = visual.filters?.length || 0;
                         console.log(`    ◦ ${visualName} (${type}): ${fields} fields, ${filters} filters`);
+                        printFilters(visual.filters || [], '      ');
                     });
                 }
             }
+            
+            printBookmarkTree(result);
         }
         
         // Save output if requested
@@ -614,6 +185,14 @@ Examples:
         
         console.log('\n🎉 Analysis complete!');
         
+        // Fail the run so --validate can gate merges; files with an undeclared,
+        // mismatched or outdated version fail it too. Versions that are not
+        // bundled are only reported until the schema files ship.
+        const versionFailures = options.validate ? result.schemaVersions.issues.filter(issue => issue.status !== 'unknown') : [];
+        if (options.validate && (result.validationErrors.length > 0 || versionFailures.length > 0)) {
+            process.exit(2);
+        }
+        
     } catch (error) {
         console.error(`\n❌ Error: ${error.message}`);
         if (options.verbose) {
@@ -623,6 +202,96 @@ Examples:
     }
 }
 
+// "page@2.0.0,visualContainer@2.0.0" -> { page: '2.0.0', visualContainer: '2.0.0' }
+function parseMinSchemaVersions(spec) {
+    const minVersions = {};
+    (spec || '').split(',').filter(Boolean).forEach(entry => {
+        const [schemaName, version] = entry.split('@');
+        if (!schemaName || !/^\d+(\.\d+)*$/.test(version || '')) {
+            throw new Error(`Invalid --min-schema-version entry "${entry}" (expected name@version)`);
+        }
+        minVersions[schemaName] = version;
+    });
+    return minVersions;
+}
+
+// One line per filter, followed by its DAX filter argument
+function printFilters(filters, indent) {
+    filters.forEach(filter => {
+        console.log(`${indent}🔍 ${filter.description || filter.field || filter.displayName}`);
+        if (filter.dax) {
+            filter.dax.split('\n').forEach(line => console.log(`${indent}   ${line}`));
+        }
+    });
+}
+
+// Bookmarks as the Bookmarks pane shows them: groups, then orphaned files
+function printBookmarkTree(result) {
+    const tree = result.bookmarkTree;
+    const label = name => {
+        const bookmark = result.bookmarks[name];
+        return `${bookmark.displayName || name} (${name})`;
+    };
+    if (tree.items.length + tree.orphans.length + tree.missing.length === 0) {
+        return;
+    }
+    
+    console.log(`\n🔖 Bookmarks:`);
+    tree.items.forEach(item => {
+        if (item.type === 'group') {
+            console.log(`  📁 ${item.displayName}`);
+            item.children.forEach(name => console.log(`    • ${label(name)}`));
+        } else {
+            console.log(`  • ${label(item.name)}`);
+        }
+    });
+    tree.orphans.forEach(name => console.log(`  ⚠️  ${label(name)}: not listed in bookmarks.json`));
+    tree.missing.forEach(name => console.log(`  ⚠️  ${name}: listed in bookmarks.json without a file`));
+}
+
+function printSchemaVersions(schemaVersions) {
+    console.log(`\n📐 Schema Versions:`);
+    Object.entries(schemaVersions.usage).forEach(([version, count]) => {
+        console.log(`  • ${version}: ${count} files`);
+    });
+    
+    if (schemaVersions.issues.length > 0) {
+        console.log(`\n📐 Schema Version Issues (${schemaVersions.issues.length}):`);
+        schemaVersions.issues.forEach(issue => console.log(`  • [${issue.status}] ${issue.file}: ${issue.message}`));
+    }
+}
+
+function printValidationErrors(validationErrors, versionIssues) {
+    // Files with a version that is not bundled were never checked
+    const skipped = versionIssues.filter(issue => issue.status === 'unknown').length;
+    const failures = versionIssues.length - skipped;
+    if (validationErrors.length === 0 && failures === 0) {
+        console.log(skipped > 0
+            ? `\n🛡️  Schema validation passed, except ${skipped} files not validated (schema version not bundled)`
+            : '\n🛡️  Schema validation passed');
+        return;
+    } else if (validationErrors.length === 0) {
+        const note = skipped > 0 ? `, ${skipped} files not validated` : '';
+        console.log(`\n🛡️  Schema validation failed: ${failures} schema version issues${note}`);
+        return;
+    }
+    
+    const byFile = new Map();
+    validationErrors.forEach(error => {
+        if (!byFile.has(error.file)) {
+            byFile.set(error.file, []);
+        }
+        byFile.get(error.file).push(error);
+    });
+    
+    const note = skipped > 0 ? `; ${skipped} more files not validated` : '';
+    console.log(`\n🛡️  Schema Validation Errors (${validationErrors.length} in ${byFile.size} files${note}):`);
+    for (const [file, errors] of byFile) {
+        console.log(`  📄 ${file}`);
+        errors.forEach(error => console.log(`    • #${error.pointer} ${error.message}`));
+    }
+}
+
 // Run CLI if this file is executed directly
 if (require.main === module) {
     main();
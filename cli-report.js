@@ -2,12 +2,32 @@
 
 const fs = require('fs');
 const path = require('path');
+const { PBIRCore } = require('./pbir-core');
+const { createNodeSource, createModelSource } = require('./file-sources');
+const { ModelUsageAnalyzer } = require('./model-usage');
+const { NavigationGraph } = require('./navigation-graph');
+
+const InteractionSymbols = { DataFilter: 'F', HighlightFilter: 'H', NoFilter: '-' };
+const NavigationReach = {
+    tabs: 'page tabs',
+    navigation: 'reached through links',
+    drillthrough: 'drillthrough target',
+    tooltip: 'tooltip page'
+};
+const PageLinkVia = {
+    menu: 'right-click',
+    button: 'drillthrough button',
+    page: 'chosen tooltip page',
+    auto: 'matching tooltip fields'
+};
 
 class PBIRReportGenerator {
     constructor() {
+        this.core = new PBIRCore();
         this.reportData = null;
+        this.theme = null;
+        this.reportMeasures = [];
         this.pages = new Map();
-        this.visuals = new Map();
         this.filters = new Map();
     }
 
@@ -15,8 +35,15 @@ class PBIRReportGenerator {
         console.log(`\n📊 Analyzing Power BI Report: ${path.basename(dirPath)}`);
         console.log('=' .repeat(60));
         
-        const files = this.collectFiles(dirPath);
-        await this.parseReportData(files);
+        const model = await this.core.parse(createNodeSource(dirPath), {
+            report: options.report,
+            modelSource: options.model ? createModelSource(options.model) : null
+        });
+        this.loadModel(model);
+        
+        if (options.unused) {
+            this.unusedObjects = new ModelUsageAnalyzer(model).analyze();
+        }
         
         if (options.overview !== false) {
             this.printReportOverview();
@@ -26,470 +53,173 @@ class PBIRReportGenerator {
             this.printPagesDetail();
         }
         
-        if (options.export) {
-            this.exportCleanReport(options.export);
+        if (this.unusedObjects) {
+            this.printUnusedObjects(this.unusedObjects);
         }
-    }
-    
-    collectFiles(dirPath) {
-        const files = [];
         
-        const walkDir = (currentPath) => {
-            const items = fs.readdirSync(currentPath);
-            
-            for (const item of items) {
-                const fullPath = path.join(currentPath, item);
-                const stat = fs.statSync(fullPath);
-                
-                if (stat.isDirectory()) {
-                    walkDir(fullPath);
-                } else if (item.endsWith('.json')) {
-                    const relativePath = path.relative(dirPath, fullPath);
-                    files.push({
-                        name: item,
-                        path: fullPath,
-                        relativePath: relativePath
-                    });
-                }
-            }
-        };
-        
-        walkDir(dirPath);
-        return files;
-    }
-    
-    async parseReportData(files) {
-        // Parse main report
-        const reportFile = this.findFile(files, 'definition/report.json');
-        if (reportFile) {
-            this.reportData = await this.parseJsonFile(reportFile);
+        if (options.bookmarks) {
+            this.printBookmarks();
         }
         
-        // Parse pages
-        await this.parsePages(files);
-        
-        // Parse global filters
-        await this.parseGlobalFilters(files);
-    }
-    
-    async parsePages(files) {
-        // Get pages metadata for display names
-        const pagesFile = this.findFile(files, 'definition/pages/pages.json');
-        let pagesMetadata = {};
-        
-        if (pagesFile) {
-            const pagesData = await this.parseJsonFile(pagesFile);
-            if (pagesData && pagesData.pages) {
-                pagesData.pages.forEach(page => {
-                    pagesMetadata[page.name] = page;
-                });
-            }
+        if (options.navigation) {
+            this.printNavigation(options.navigation, model);
         }
         
-        // Parse individual page files
-        const pageFiles = files.filter(f => 
-            f.relativePath.includes('/pages/') && f.relativePath.endsWith('/page.json')
-        );
-        
-        for (const pageFile of pageFiles) {
-            const pageName = this.extractPageName(pageFile.relativePath);
-            const pageData = await this.parseJsonFile(pageFile);
-            
-            if (pageData) {
-                const pageInfo = {
-                    id: pageName,
-                    name: pageData.displayName || pagesMetadata[pageName]?.displayName || pageName,
-                    width: pageData.width,
-                    height: pageData.height,
-                    displayOption: pageData.displayOption,
-                    visibility: pageData.visibility,
-                    type: pageData.type,
-                    filters: this.extractPageFilters(pageData),
-                    visuals: await this.parsePageVisuals(files, pageName)
-                };
-                
-                this.pages.set(pageName, pageInfo);
-            }
+        if (options.mobile) {
+            this.printMobileAudit();
         }
-    }
-    
-    async parsePageVisuals(files, pageName) {
-        const visuals = [];
         
-        const visualFiles = files.filter(f => 
-            f.relativePath.includes(`/pages/${pageName}/visuals/`) && 
-            f.relativePath.endsWith('/visual.json')
-        );
-        
-        for (const visualFile of visualFiles) {
-            const visualName = this.extractVisualName(visualFile.relativePath);
-            const visualData = await this.parseJsonFile(visualFile);
-            
-            if (visualData) {
-                const visualInfo = this.extractVisualInfo(visualName, visualData);
-                if (visualInfo) {
-                    visuals.push(visualInfo);
-                }
-            }
+        if (options.resources) {
+            this.printResources();
         }
         
-        return visuals.sort((a, b) => a.name.localeCompare(b.name));
-    }
-    
-    extractVisualInfo(visualName, visualData) {
-        const info = {
-            id: visualName,
-            name: this.getVisualDisplayName(visualData),
-            type: this.getVisualType(visualData),
-            position: this.getVisualPosition(visualData),
-            fields: this.getVisualFields(visualData),
-            filters: this.getVisualFilters(visualData),
-            isHidden: visualData.isHidden || false
-        };
-        
-        return info;
-    }
-    
-    getVisualDisplayName(visualData) {
-        // Try to get custom title from visualContainerObjects (most common location)
-        const containerObjects = visualData.visual?.visualContainerObjects || visualData.visualContainerObjects;
-        if (containerObjects && containerObjects.title) {
-            const titleConfig = containerObjects.title[0];
-            if (titleConfig && titleConfig.properties && titleConfig.properties.text) {
-                const textExpr = titleConfig.properties.text.expr;
-                if (textExpr && textExpr.Literal && textExpr.Literal.Value) {
-                    let title = textExpr.Literal.Value;
-                    // Remove quotes if present
-                    title = title.replace(/^'|'$/g, '').trim();
-                    if (title && title !== 'Title') {
-                        return title;
-                    }
-                }
-            }
+        if (options.interactions) {
+            this.printInteractions(options.interactions);
         }
         
-        // Try to get title from visual configuration
-        if (visualData.visual) {
-            // Check for singleVisual structure
-            if (visualData.visual.singleVisual && visualData.visual.singleVisual.objects) {
-                const objects = visualData.visual.singleVisual.objects;
-                
-                // Check title object
-                if (objects.title && objects.title[0] && objects.title[0].properties) {
-                    const titleProp = objects.title[0].properties.text;
-                    if (titleProp && titleProp.literal && titleProp.literal.value) {
-                        const title = titleProp.literal.value.trim();
-                        if (title) return title;
-                    }
-                    
-                    // Check for expr structure
-                    if (titleProp && titleProp.expr && titleProp.expr.Literal) {
-                        let title = titleProp.expr.Literal.Value;
-                        title = title.replace(/^'|'$/g, '').trim();
-                        if (title && title !== 'Title') return title;
-                    }
-                }
-                
-                // For text boxes, extract the first text run
-                if (objects.general && objects.general[0] && objects.general[0].properties) {
-                    const paragraphs = objects.general[0].properties.paragraphs;
-                    if (paragraphs && paragraphs.length > 0) {
-                        const firstParagraph = paragraphs[0];
-                        if (firstParagraph.textRuns && firstParagraph.textRuns.length > 0) {
-                            const firstText = firstParagraph.textRuns[0].value;
-                            if (firstText && firstText.trim() && firstText.length < 50) {
-                                return firstText.trim();
-                            }
-                        }
-                    }
-                }
-            }
-            
-            // Check direct objects structure
-            if (visualData.visual.objects && visualData.visual.objects.title) {
-                const titleObj = visualData.visual.objects.title[0];
-                if (titleObj && titleObj.properties && titleObj.properties.text) {
-                    if (titleObj.properties.text.literal?.value) {
-                        const title = titleObj.properties.text.literal.value.trim();
-                        if (title) return title;
-                    }
-                    
-                    // Check for expr structure
-                    if (titleObj.properties.text.expr && titleObj.properties.text.expr.Literal) {
-                        let title = titleObj.properties.text.expr.Literal.Value;
-                        title = title.replace(/^'|'$/g, '').trim();
-                        if (title && title !== 'Title') return title;
-                    }
-                }
-            }
+        if (options.context) {
+            this.printFilterContexts(options.context);
         }
         
-        // Generate name based on visual type
-        const visualType = this.getVisualType(visualData);
-        const shortId = visualData.name ? visualData.name.substring(0, 8) : 'unknown';
-        
-        if (visualType !== 'unknown') {
-            return `${visualType} (${shortId})`;
+        if (options.dax) {
+            this.printVisualQueries(options.dax);
         }
         
-        return `Visual (${shortId})`;
+        if (options.export) {
+            this.exportCleanReport(options.export);
+        }
     }
     
-    getVisualType(visualData) {
-        const typeMapping = {
-            'columnChart': 'Column Chart',
-            'barChart': 'Bar Chart',
-            'lineChart': 'Line Chart',
-            'pieChart': 'Pie Chart',
-            'card': 'Card',
-            'multiRowCard': 'Multi-row Card',
-            'tableEx': 'Table',
-            'matrix': 'Matrix',
-            'slicer': 'Slicer',
-            'textbox': 'Text Box',
-            'image': 'Image',
-            'basicShape': 'Shape',
-            'actionButton': 'Button',
-            'pivotTable': 'Pivot Table',
-            'qnaVisual': 'Q&A Visual',
-            'keyDriversVisual': 'Key Drivers',
-            'decompositionTreeVisual': 'Decomposition Tree'
-        };
+    loadModel(model) {
+        this.reportData = model.report;
+        this.theme = model.theme;
+        this.semanticModel = model.semanticModel;
+        this.reportMeasures = model.reportMeasures;
+        this.pages = new Map(Object.entries(model.pages));
+        this.filters = new Map();
         
-        let visualType = 'unknown';
+        // Global report filters
+        (model.report?.filters || []).forEach(filter => {
+            this.filters.set(filter.name, filter);
+        });
         
-        // First check the direct visual.visualType property
-        if (visualData.visual && visualData.visual.visualType) {
-            visualType = visualData.visual.visualType;
-        } else if (visualData.visual && visualData.visual.singleVisual && visualData.visual.singleVisual.visualType) {
-            visualType = visualData.visual.singleVisual.visualType;
+        model.errors.forEach(error => console.error(error));
+    }
+    
+    getPageVisuals(page) {
+        return Object.values(page.visuals || {})
+            .sort((a, b) => a.properties.displayName.localeCompare(b.properties.displayName));
+    }
+    
+    formatField(field) {
+        const aggregation = field.aggregation ? ` (${field.aggregation})` : '';
+        return `${field.table}.${field.property}${aggregation}${this.formatModelDetails(field)}`;
+    }
+    
+    formatModelDetails(field) {
+        const modelObject = field.modelObject;
+        if (!modelObject && !this.semanticModel) {
+            return '';
+        } else if (!modelObject) {
+            return ' ⚠️  not in semantic model';
         }
         
-        // Check if it's a custom visual
-        if (visualType.startsWith('PBI_CV_') || visualType.includes('CV_') || visualType.length > 30) {
-            return 'Custom Visual';
+        const details = [modelObject.dataType, modelObject.formatString && `format ${modelObject.formatString}`, modelObject.displayFolder && `folder ${modelObject.displayFolder}`];
+        const kind = { calculatedColumn: 'calculated column', reportMeasure: 'report-level measure' }[modelObject.kind] || modelObject.kind;
+        return ` [${[kind, ...details].filter(Boolean).join(', ')}]`;
+    }
+    
+    // DAX is printed under the field, continuation lines aligned with the first
+    printExpression(modelObject, indent) {
+        if (!modelObject || !modelObject.expression) {
+            return;
         }
         
-        return typeMapping[visualType] || visualType;
+        modelObject.expression.split('\n').forEach((line, index) => {
+            console.log(`${indent}${index === 0 ? '= ' : '  '}${line}`);
+        });
     }
     
-    getVisualPosition(visualData) {
-        if (visualData.position) {
-            return {
-                x: Math.round(visualData.position.x || 0),
-                y: Math.round(visualData.position.y || 0),
-                width: Math.round(visualData.position.width || 0),
-                height: Math.round(visualData.position.height || 0)
-            };
-        }
-        return null;
+    // "right-click on Product.Product", "chosen tooltip page"
+    describePageLink(link) {
+        return link.fields.length > 0 && link.via !== 'button'
+            ? `${PageLinkVia[link.via]} on ${link.fields.join(', ')}`
+            : PageLinkVia[link.via];
     }
     
-    getVisualFields(visualData) {
-        const fields = {
-            measures: [],
-            dimensions: [],
-            values: []
-        };
-        
-        if (visualData.visual) {
-            // Extract from query.queryState (newer format)
-            if (visualData.visual.query && visualData.visual.query.queryState) {
-                const queryState = visualData.visual.query.queryState;
-                
-                // Process each role in queryState
-                Object.keys(queryState).forEach(roleKey => {
-                    const role = queryState[roleKey];
-                    if (role.projections && Array.isArray(role.projections)) {
-                        role.projections.forEach(projection => {
-                            const fieldInfo = this.parseProjectionField(roleKey, projection);
-                            if (fieldInfo) {
-                                if (fieldInfo.type === 'measure') {
-                                    fields.measures.push(fieldInfo);
-                                } else {
-                                    fields.dimensions.push(fieldInfo);
-                                }
-                            }
-                        });
-                    }
-                });
-            }
-            
-            // Extract from singleVisual structure (legacy format)
-            if (visualData.visual.singleVisual) {
-                const singleVisual = visualData.visual.singleVisual;
-                
-                // Extract from prototypeQuery
-                if (singleVisual.prototypeQuery && singleVisual.prototypeQuery.Select) {
-                    singleVisual.prototypeQuery.Select.forEach(select => {
-                        const fieldInfo = this.parseFieldFromSelect(select);
-                        if (fieldInfo) {
-                            if (fieldInfo.type === 'measure') {
-                                fields.measures.push(fieldInfo);
-                            } else {
-                                fields.dimensions.push(fieldInfo);
-                            }
-                        }
-                    });
-                }
-                
-                // Extract from dataRoles
-                if (singleVisual.dataRoles) {
-                    Object.keys(singleVisual.dataRoles).forEach(roleKey => {
-                        const role = singleVisual.dataRoles[roleKey];
-                        if (Array.isArray(role)) {
-                            role.forEach(item => {
-                                const fieldInfo = this.parseFieldFromDataRole(roleKey, item);
-                                if (fieldInfo) {
-                                    fields.values.push(fieldInfo);
-                                }
-                            });
-                        }
-                    });
-                }
-            }
+    getVisualPosition(visual) {
+        if (!visual.position) {
+            return null;
         }
         
-        return fields;
+        return {
+            x: Math.round(visual.layout.x),
+            y: Math.round(visual.layout.y),
+            width: Math.round(visual.layout.width),
+            height: Math.round(visual.layout.height)
+        };
     }
     
-    parseProjectionField(roleKey, projection) {
-        if (projection.field) {
-            const field = projection.field;
-            
-            if (field.Measure) {
-                return {
-                    type: 'measure',
-                    role: roleKey,
-                    name: projection.queryRef || field.Measure.Property,
-                    table: field.Measure.Expression?.SourceRef?.Entity || 'Unknown Table',
-                    field: field.Measure.Property
-                };
-            } else if (field.Column) {
-                return {
-                    type: 'dimension',
-                    role: roleKey,
-                    name: projection.queryRef || field.Column.Property,
-                    table: field.Column.Expression?.SourceRef?.Entity || 'Unknown Table',
-                    field: field.Column.Property
-                };
-            } else if (field.Aggregation) {
-                const aggregationTypes = {
-                    0: 'Sum', 1: 'Average', 2: 'Count (Distinct)', 
-                    3: 'Min', 4: 'Max', 5: 'Count'
-                };
-                return {
-                    type: 'measure',
-                    role: roleKey,
-                    name: projection.queryRef || 'Aggregated Field',
-                    aggregation: aggregationTypes[field.Aggregation.Function] || 'Unknown',
-                    table: field.Aggregation.Expression?.Column?.Expression?.SourceRef?.Entity || 'Unknown Table',
-                    field: field.Aggregation.Expression?.Column?.Property || 'Unknown Field'
-                };
-            }
-        }
-        return null;
-    }
-    
-    parseFieldFromSelect(select) {
-        if (select.Measure) {
-            return {
-                type: 'measure',
-                name: select.Name || 'Unnamed Measure',
-                table: this.extractTableName(select.Measure.Expression),
-                field: select.Measure.Property
-            };
-        } else if (select.Column) {
-            return {
-                type: 'dimension',
-                name: select.Name || 'Unnamed Column',
-                table: this.extractTableName(select.Column.Expression),
-                field: select.Column.Property
-            };
-        } else if (select.Aggregation) {
-            const aggregationTypes = {
-                0: 'Sum', 1: 'Average', 2: 'Count (Distinct)', 
-                3: 'Min', 4: 'Max', 5: 'Count'
-            };
-            return {
-                type: 'measure',
-                name: select.Name || 'Aggregated Field',
-                aggregation: aggregationTypes[select.Aggregation.Function] || 'Unknown',
-                table: this.extractTableName(select.Aggregation.Expression),
-                field: this.extractFieldName(select.Aggregation.Expression)
-            };
-        }
-        return null;
-    }
-    
-    parseFieldFromDataRole(roleName, item) {
-        if (item.queryRef) {
-            return {
-                role: roleName,
-                name: item.queryRef.Name || 'Unnamed Field',
-                type: item.queryRef.Measure ? 'measure' : 'dimension'
-            };
-        }
-        return null;
-    }
-    
-    extractTableName(expression) {
-        if (expression && expression.SourceRef) {
-            return expression.SourceRef.Entity || 'Unknown Table';
-        } else if (expression && expression.Column && expression.Column.Expression && expression.Column.Expression.SourceRef) {
-            return expression.Column.Expression.SourceRef.Entity || 'Unknown Table';
-        }
-        return 'Unknown Table';
-    }
-    
-    extractFieldName(expression) {
-        if (expression && expression.Column) {
-            return expression.Column.Property || 'Unknown Field';
-        }
-        return 'Unknown Field';
-    }
-    
-    getVisualFilters(visualData) {
-        const filters = [];
-        
-        // Extract from filterConfig
-        if (visualData.filterConfig && visualData.filterConfig.filters) {
-            visualData.filterConfig.filters.forEach(filter => {
-                const filterInfo = this.parseFilter(filter);
-                if (filterInfo) {
-                    filters.push(filterInfo);
-                }
-            });
-        }
-        
-        return filters;
+    // "Running sum (Values, hidden)"
+    formatCalculation(calculation) {
+        const details = [calculation.role, calculation.dataType, calculation.isHidden && 'hidden'].filter(Boolean);
+        return details.length > 0 ? `${calculation.name} (${details.join(', ')})` : calculation.name;
     }
     
-    extractPageFilters(pageData) {
-        const filters = [];
-        
-        if (pageData.filterConfig && pageData.filterConfig.filters) {
-            pageData.filterConfig.filters.forEach(filter => {
-                const filterInfo = this.parseFilter(filter);
-                if (filterInfo) {
-                    filters.push(filterInfo);
-                }
-            });
+    formatCalculationReference(reference) {
+        if (reference.kind === 'field') {
+            return reference.field;
         }
-        
-        return filters;
+        return reference.kind === 'calculation' ? `[${reference.name}] (visual calculation)` : `[${reference.name}] (not in visual)`;
+    }
+    
+    cleanCalculation(calculation) {
+        return {
+            name: calculation.name,
+            role: calculation.role,
+            expression: calculation.dax,
+            dataType: calculation.dataType || undefined,
+            isHidden: calculation.isHidden,
+            references: calculation.references
+        };
+    }
+    
+    cleanField(field) {
+        return {
+            type: field.type,
+            role: field.role,
+            name: field.name,
+            table: field.table,
+            field: field.property,
+            aggregation: field.aggregation || undefined,
+            model: field.modelObject ? {
+                kind: field.modelObject.kind,
+                dataType: field.modelObject.dataType || undefined,
+                expression: field.modelObject.expression || undefined,
+                formatString: field.modelObject.formatString || undefined,
+                displayFolder: field.modelObject.displayFolder || undefined
+            } : undefined
+        };
     }
     
-    parseFilter(filter) {
+    cleanFilter(filter) {
         return {
-            name: filter.displayName || filter.name || 'Unnamed Filter',
+            name: filter.displayName,
             type: this.getFilterTypeName(filter.type),
-            field: this.getFilterFieldName(filter.field),
-            isHidden: filter.isHiddenInViewMode || false,
-            isLocked: filter.isLockedInViewMode || false
+            field: filter.field || 'Unknown Field',
+            description: filter.description,
+            condition: filter.conditionText || undefined,
+            dax: filter.dax || undefined,
+            isHidden: filter.isHidden,
+            isLocked: filter.isLocked
         };
     }
     
+    // The filter sentence says more than the field name alone
+    describeFilter(filter) {
+        return filter.description || filter.field || 'Unknown Field';
+    }
+    
     getFilterTypeName(type) {
         const typeMapping = {
             'Categorical': 'List Filter',
@@ -501,45 +231,31 @@ class PBIRReportGenerator {
         return typeMapping[type] || type;
     }
     
-    getFilterFieldName(field) {
-        if (field && field.Column) {
-            const table = this.extractTableName(field.Column.Expression);
-            const column = field.Column.Property;
-            return `${table}.${column}`;
-        } else if (field && field.Measure) {
-            const table = this.extractTableName(field.Measure.Expression);
-            const measure = field.Measure.Property;
-            return `${table}.${measure}`;
-        }
-        return 'Unknown Field';
-    }
-    
-    async parseGlobalFilters(files) {
-        if (this.reportData && this.reportData.filterConfig) {
-            // Parse global report filters
-            if (this.reportData.filterConfig.filters) {
-                this.reportData.filterConfig.filters.forEach(filter => {
-                    const filterInfo = this.parseFilter(filter);
-                    if (filterInfo) {
-                        this.filters.set(filter.name, filterInfo);
-                    }
-                });
-            }
-        }
-    }
-    
     printReportOverview() {
         console.log(`\n📋 Report Overview`);
         console.log('-'.repeat(30));
+        if (this.reportData) {
+            console.log(`Report: ${this.reportData.name} (${this.reportData.format})`);
+            console.log(`Semantic Model: ${this.reportData.datasetReference ? this.reportData.datasetReference.label : 'Not referenced'}`);
+        }
+        if (this.theme) {
+            console.log(`Theme: ${this.theme.name} (${this.theme.dataColors.slice(0, 8).join(', ')}${this.theme.dataColors.length > 8 ? ', ...' : ''})`);
+        }
+        if (this.semanticModel) {
+            const summary = this.semanticModel.getSummary();
+            console.log(`Model Objects: ${summary.tables} tables, ${summary.columns} columns, ${summary.measures} measures, ${summary.relationships} relationships (${summary.format})`);
+        }
         console.log(`Pages: ${this.pages.size}`);
         
         let totalVisuals = 0;
         let visualTypes = {};
         
         for (const [pageId, page] of this.pages) {
-            totalVisuals += page.visuals.length;
-            page.visuals.forEach(visual => {
-                visualTypes[visual.type] = (visualTypes[visual.type] || 0) + 1;
+            const visuals = this.getPageVisuals(page);
+            totalVisuals += visuals.length;
+            visuals.forEach(visual => {
+                const typeName = visual.properties.typeName;
+                visualTypes[typeName] = (visualTypes[typeName] || 0) + 1;
             });
         }
         
@@ -558,10 +274,29 @@ class PBIRReportGenerator {
         if (this.filters.size > 0) {
             console.log(`\n🔍 Global Filters:`);
             for (const [filterId, filter] of this.filters) {
-                console.log(`  • ${filter.name} (${filter.type})`);
-                console.log(`    Field: ${filter.field}`);
+                console.log(`  • ${filter.displayName} (${this.getFilterTypeName(filter.type)})`);
+                console.log(`    Field: ${filter.field || 'Unknown Field'}`);
+                console.log(`    Filter: ${filter.description}`);
             }
         }
+        
+        if (this.reportMeasures.length > 0) {
+            console.log(`\n📐 Report-level Measures (not in the semantic model):`);
+            this.reportMeasures.forEach(measure => {
+                const details = [
+                    measure.dataType,
+                    measure.formatString && `format ${measure.formatString}`,
+                    measure.displayFolder && `folder ${measure.displayFolder}`,
+                    measure.template && `template ${measure.template.name} v${measure.template.version}`
+                ].filter(Boolean);
+                console.log(`  • ${measure.table}[${measure.name}] [${details.join(', ')}]`);
+                this.printExpression(measure, '    ');
+                if (measure.references.length > 0) {
+                    console.log(`    Uses: ${measure.references.map(reference => `${reference.table}[${reference.name}]${reference.isReportMeasure ? ' (report-level)' : ''}`).join(', ')}`);
+                }
+                console.log(`    Used by ${measure.usedBy.length} visual(s)`);
+            });
+        }
     }
     
     printPagesDetail() {
@@ -569,34 +304,60 @@ class PBIRReportGenerator {
         console.log('='.repeat(60));
         
         for (const [pageId, page] of this.pages) {
-            console.log(`\n📑 Page: ${page.name}`);
+            const visuals = this.getPageVisuals(page);
+            
+            console.log(`\n📑 Page: ${page.displayName}`);
             console.log(`   ID: ${pageId}`);
             console.log(`   Size: ${page.width} × ${page.height}`);
-            console.log(`   Visuals: ${page.visuals.length}`);
+            console.log(`   Visuals: ${visuals.length}`);
+            
+            if (page.usage === 'Drillthrough') {
+                const fields = page.bindingFields.map(field => field.label).join(', ') || 'no fields';
+                const context = page.pageBinding && page.pageBinding.acceptsFilterContext === 'None' ? 'passes only these fields' : 'keeps all filters';
+                console.log(`   Drillthrough page: ${fields} (${context})`);
+            } else if (page.usage === 'Tooltip') {
+                const fields = page.bindingFields.map(field => field.label).join(', ');
+                console.log(`   Tooltip page${fields ? `: ${fields}` : ''}`);
+            }
+            
+            if (page.sourceVisuals.length > 0) {
+                console.log(`   Opened from:`);
+                page.sourceVisuals.forEach(link => {
+                    const source = this.pages.get(link.page);
+                    const visual = source && source.visuals[link.visual];
+                    const name = visual ? visual.properties.displayName : link.visual;
+                    console.log(`     • ${name} on ${source ? source.displayName : link.page} (${this.describePageLink(link)})`);
+                });
+            }
             
             if (page.filters.length > 0) {
                 console.log(`   Page Filters:`);
                 page.filters.forEach(filter => {
-                    console.log(`     • ${filter.name} (${filter.type}) - ${filter.field}`);
+                    console.log(`     • ${filter.displayName} (${this.getFilterTypeName(filter.type)}) - ${this.describeFilter(filter)}`);
                 });
             }
             
-            if (page.visuals.length > 0) {
+            if (visuals.length > 0) {
                 console.log(`\n   📊 Visuals:`);
-                page.visuals.forEach((visual, index) => {
-                    console.log(`   ${index + 1}. ${visual.name}`);
-                    console.log(`      Type: ${visual.type}`);
+                visuals.forEach((visual, index) => {
+                    const position = this.getVisualPosition(visual);
+                    
+                    console.log(`   ${index + 1}. ${visual.properties.displayName}`);
+                    console.log(`      Type: ${visual.properties.typeName}${visual.visualGroup ? ` (${visual.visualGroup.groupMode === 'ScrollMode' ? 'scroll' : 'scale'} mode)` : ''}`);
+                    if (visual.groupPath.length > 0) {
+                        console.log(`      Group: ${visual.groupPath.map(name => page.visuals[name].properties.displayName).join(' › ')}`);
+                    }
                     
-                    if (visual.position) {
-                        console.log(`      Position: (${visual.position.x}, ${visual.position.y}) Size: ${visual.position.width}×${visual.position.height}`);
+                    if (position) {
+                        console.log(`      Position: (${position.x}, ${position.y}) Size: ${position.width}×${position.height}`);
                     }
                     
                     // Show measures
                     if (visual.fields.measures.length > 0) {
                         console.log(`      📏 Measures:`);
                         visual.fields.measures.forEach(measure => {
-                            const aggregation = measure.aggregation ? ` (${measure.aggregation})` : '';
-                            console.log(`        • ${measure.table}.${measure.field}${aggregation}`);
+                            console.log(`        • ${this.formatField(measure)}`);
+                            this.printExpression(measure.modelObject, '          ');
                         });
                     }
                     
@@ -604,15 +365,20 @@ class PBIRReportGenerator {
                     if (visual.fields.dimensions.length > 0) {
                         console.log(`      📊 Dimensions:`);
                         visual.fields.dimensions.forEach(dimension => {
-                            console.log(`        • ${dimension.table}.${dimension.field}`);
+                            console.log(`        • ${this.formatField(dimension)}`);
+                            this.printExpression(dimension.modelObject, '          ');
                         });
                     }
                     
-                    // Show other fields
-                    if (visual.fields.values.length > 0) {
-                        console.log(`      📋 Fields:`);
-                        visual.fields.values.forEach(field => {
-                            console.log(`        • ${field.role}: ${field.name} (${field.type})`);
+                    // Show visual calculations
+                    if (visual.fields.calculations.length > 0) {
+                        console.log(`      🧮 Visual calculations:`);
+                        visual.fields.calculations.forEach(calculation => {
+                            console.log(`        • ${this.formatCalculation(calculation)}`);
+                            this.printExpression({ expression: calculation.dax }, '          ');
+                            if (calculation.references.length > 0) {
+                                console.log(`          Uses: ${calculation.references.map(reference => this.formatCalculationReference(reference)).join(', ')}`);
+                            }
                         });
                     }
                     
@@ -620,12 +386,20 @@ class PBIRReportGenerator {
                     if (visual.filters.length > 0) {
                         console.log(`      🔍 Filters:`);
                         visual.filters.forEach(filter => {
-                            console.log(`        • ${filter.name} (${filter.type}) - ${filter.field}`);
+                            console.log(`        • ${filter.displayName} (${this.getFilterTypeName(filter.type)}) - ${this.describeFilter(filter)}`);
                         });
                     }
                     
+                    visual.targetPages.forEach(link => {
+                        const target = this.pages.get(link.page);
+                        const verb = link.kind === 'drillthrough' ? 'Drills through to' : 'Shows tooltip page';
+                        console.log(`      ↪ ${verb} ${target.displayName} (${this.describePageLink(link)})`);
+                    });
+                    
                     if (visual.isHidden) {
                         console.log(`      ⚠️  Hidden Visual`);
+                    } else if (visual.hiddenByGroup) {
+                        console.log(`      ⚠️  Hidden by its group`);
                     }
                     
                     console.log('');
@@ -634,58 +408,384 @@ class PBIRReportGenerator {
         }
     }
     
+    // Grouped by table; objects still needed by relationships, sort orders,
+    // hierarchies or other DAX say so, since removing them breaks the model
+    printUnusedObjects(usage) {
+        const { tables, columns, measures } = usage.unused;
+        
+        console.log(`\n\n🧹 Unused Model Objects (${usage.model})`);
+        console.log('='.repeat(60));
+        console.log(`Report references scanned: ${usage.references}`);
+        console.log(`Tables: ${tables.length} of ${usage.totals.tables} unused`);
+        console.log(`Columns: ${columns.length} of ${usage.totals.columns} unused`);
+        console.log(`Measures: ${measures.length} of ${usage.totals.measures} unused`);
+        
+        const unusedTables = new Set(tables.map(table => table.name));
+        const byTable = new Map();
+        [...columns.map(column => ({ ...column, kind: column.type === 'calculated' ? 'calculated column' : 'column' })),
+            ...measures.map(measure => ({ ...measure, kind: 'measure' }))].forEach(object => {
+            if (!byTable.has(object.table)) {
+                byTable.set(object.table, []);
+            }
+            byTable.get(object.table).push(object);
+        });
+        
+        for (const [table, objects] of byTable) {
+            console.log(`\n  ${table}${unusedTables.has(table) ? ' (entire table unused)' : ''}`);
+            objects.forEach(object => {
+                const hidden = object.isHidden ? ', hidden' : '';
+                const usedBy = object.usedByModel.length > 0 ? ` — used by model: ${object.usedByModel.join('; ')}` : '';
+                console.log(`    • ${object.name} (${object.kind}${hidden})${usedBy}`);
+            });
+        }
+        
+        // Tables without columns or measures (e.g. empty calculation groups)
+        tables.filter(table => !byTable.has(table.name)).forEach(table => {
+            console.log(`\n  ${table.name} (entire table unused)`);
+        });
+        
+        if (usage.unresolved.length > 0) {
+            console.log(`\n⚠️  ${usage.unresolved.length} report references not found in the model: ${usage.unresolved.join(', ')}`);
+        }
+    }
+    
+    // The Bookmarks pane tree with each bookmark's change list: groups
+    // decoded, orphaned files and missing files listed after it
+    getBookmarkTree() {
+        const tree = this.core.getModel().bookmarkTree;
+        const decode = name => this.core.getBookmarkChanges(name);
+        
+        return {
+            items: tree.items.map(item => item.type === 'group'
+                ? { ...item, children: item.children.map(decode) }
+                : { type: 'bookmark', ...decode(item.name) }),
+            orphans: tree.orphans.map(decode),
+            missing: tree.missing
+        };
+    }
+    
+    // What applying each bookmark changes, in Bookmarks pane order; changes
+    // its Data, Display or Current page switch turns off are marked as skipped
+    printBookmarks() {
+        const tree = this.getBookmarkTree();
+        
+        console.log(`\n\n🔖 Bookmarks (${Object.keys(this.core.getModel().bookmarks).length})`);
+        console.log('='.repeat(60));
+        tree.items.forEach(item => {
+            if (item.type === 'group') {
+                console.log(`\n📁 ${item.displayName} (${item.children.length} bookmarks)`);
+                item.children.forEach(bookmark => this.printBookmark(bookmark, '   '));
+            } else {
+                this.printBookmark(item, '');
+            }
+        });
+        
+        if (tree.orphans.length > 0) {
+            console.log(`\n⚠️  Bookmark files not listed in bookmarks.json:`);
+            tree.orphans.forEach(bookmark => this.printBookmark(bookmark, '   '));
+        }
+        if (tree.missing.length > 0) {
+            console.log(`\n⚠️  Listed in bookmarks.json without a file: ${tree.missing.join(', ')}`);
+        }
+    }
+    
+    printBookmark(bookmark, indent) {
+        const options = bookmark.options;
+        const flags = [
+            options.applyOnlyToTargetVisuals ? `selected visuals only (${options.targetVisuals.length})` : null,
+            options.suppressActiveSection ? 'keeps current page' : null,
+            options.suppressData ? 'no data changes' : null,
+            options.suppressDisplay ? 'no display changes' : null
+        ].filter(Boolean);
+        
+        console.log(`\n${indent}🔖 ${bookmark.displayName} (${bookmark.name})`);
+        if (flags.length > 0) {
+            console.log(`${indent}   Options: ${flags.join(', ')}`);
+        }
+        bookmark.changes.forEach(change => {
+            console.log(`${indent}   ${change.applied ? '•' : '✖'} ${change.text}${change.applied ? '' : ` (skipped: ${change.category} off)`}`);
+        });
+    }
+    
+    // Links between pages and bookmarks, and how readers reach each page;
+    // format 'mermaid' or 'dot' prints the graph source instead
+    printNavigation(format, model) {
+        const navigation = new NavigationGraph(model);
+        const graph = navigation.build();
+        
+        if (format === 'mermaid' || format === 'dot') {
+            console.log(`\n${format === 'mermaid' ? navigation.toMermaid(graph) : navigation.toDot(graph)}`);
+            return;
+        }
+        
+        console.log(`\n\n🧭 Navigation`);
+        console.log('='.repeat(60));
+        const labels = new Map(graph.nodes.map(node => [node.id, node.label]));
+        graph.pages.forEach(page => {
+            const reachedBy = page.reachedBy ? NavigationReach[page.reachedBy] : '⚠️  unreachable';
+            console.log(`\n📄 ${page.displayName}${page.isHidden ? ' (hidden)' : ''}: ${reachedBy}`);
+            graph.edges.filter(edge => edge.from === `page:${page.name}`).forEach(edge => {
+                console.log(`   ${edge.broken ? '✖' : '→'} ${labels.get(edge.to)} via ${navigation.describeEdge(edge)}`);
+            });
+        });
+        
+        const broken = graph.edges.filter(edge => edge.broken);
+        if (broken.length > 0) {
+            console.log(`\n⚠️  ${broken.length} link(s) point to pages or bookmarks that do not exist`);
+        }
+    }
+    
+    // Pages without a phone layout, visuals the phone layout leaves out and
+    // formatting it changes
+    printMobileAudit() {
+        const audit = this.core.getMobileAudit();
+        
+        console.log(`\n\n📱 Phone Layout Audit`);
+        console.log('='.repeat(60));
+        audit.forEach(page => {
+            if (!page.hasMobileLayout) {
+                console.log(`\n📄 ${page.displayName}: ⚠️  no phone layout`);
+                return;
+            }
+            
+            console.log(`\n📄 ${page.displayName}`);
+            page.missing.forEach(visual => {
+                console.log(`   ✖ Not on phone: ${visual.displayName}`);
+            });
+            page.overridden.forEach(visual => {
+                const changes = visual.overrides.map(override => `${override.object}.${override.property}: ${override.desktop === null ? '' : `${this.formatValue(override.desktop)} → `}${this.formatValue(override.mobile)}`);
+                console.log(`   ≠ ${visual.displayName}: ${changes.join(', ')}`);
+            });
+            if (page.missing.length === 0 && page.overridden.length === 0) {
+                console.log(`   ✓ Every visible visual is on the phone layout`);
+            }
+        });
+        
+        const without = audit.filter(page => !page.hasMobileLayout).length;
+        console.log(`\n${audit.length - without}/${audit.length} page(s) have a phone layout (tooltip pages left out)`);
+    }
+    
+    // Registered images, themes and custom visuals, and what uses them
+    printResources() {
+        const inventory = this.core.getResourceInventory();
+        const where = use => use.visual ? `${use.visualDisplayName} on ${use.pageDisplayName}` : use.page ? `page ${use.pageDisplayName}` : 'report';
+        const missing = item => item.present ? '' : ' ⚠️  file not in project';
+        
+        console.log(`\n\n📦 Resources`);
+        console.log('='.repeat(60));
+        
+        console.log(`\n🧩 Custom Visuals (${inventory.customVisuals.length})`);
+        inventory.customVisuals.forEach(customVisual => {
+            const version = customVisual.version ? ` v${customVisual.version}` : '';
+            console.log(`\n  • ${customVisual.displayName || customVisual.name}${version} (${customVisual.origin}${customVisual.disabled ? ', disabled' : ''})`);
+            console.log(`    Name: ${customVisual.name}`);
+            if (customVisual.found) {
+                console.log(`    Package: ${customVisual.file}${customVisual.author ? `, by ${customVisual.author}` : ''}${customVisual.apiVersion ? `, API ${customVisual.apiVersion}` : ''}`);
+                if (customVisual.dataRoles.length > 0) {
+                    console.log(`    Data roles: ${customVisual.dataRoles.map(role => `${role.displayName} (${role.kind})`).join(', ')}`);
+                }
+                customVisual.privileges.forEach(privilege => {
+                    console.log(`    Privilege: ${privilege.name}${privilege.essential ? ' (essential)' : ''}${privilege.parameters.length > 0 ? ` ${privilege.parameters.join(', ')}` : ''}`);
+                });
+            } else if (customVisual.origin !== 'AppSource') {
+                console.log(`    ⚠️  Package metadata not in project`);
+            }
+            console.log(customVisual.usedBy.length > 0
+                ? `    Used by: ${customVisual.usedBy.map(where).join(', ')}`
+                : `    ⚠️  Not used by any visual`);
+        });
+        
+        console.log(`\n🖼️  Images (${inventory.images.length})`);
+        inventory.images.forEach(image => {
+            console.log(`  • ${image.name}${missing(image)}`);
+            console.log(image.usedBy.length > 0
+                ? `    Used by: ${image.usedBy.map(use => `${where(use)} (${use.object})`).join(', ')}`
+                : `    ⚠️  Not used`);
+        });
+        
+        console.log(`\n🎨 Themes (${inventory.themes.length})`);
+        inventory.themes.forEach(theme => {
+            console.log(`  • ${theme.name} (${theme.type}${theme.active ? ', active' : ''})${missing(theme)}`);
+        });
+        
+        if (inventory.other.length > 0) {
+            console.log(`\n📎 Other (${inventory.other.length})`);
+            inventory.other.forEach(item => {
+                console.log(`  • ${item.name} (${item.type})${missing(item)}`);
+            });
+        }
+    }
+    
+    formatValue(value) {
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    
+    // Source × target table per page, as Markdown: rows are the visual you
+    // select, columns the visuals it affects. Pairs the page sets explicitly
+    // are marked with *, the rest are Power BI defaults.
+    printInteractions(name) {
+        const wanted = String(name).toLowerCase();
+        const pages = Array.from(this.pages.values())
+            .filter(page => wanted === 'all' || page.name.toLowerCase() === wanted || page.displayName.toLowerCase() === wanted);
+        if (pages.length === 0) {
+            throw new Error(`No page named "${name}"`);
+        }
+        
+        console.log(`\n\n🔀 Visual Interactions`);
+        console.log('='.repeat(60));
+        console.log('F = filter, H = highlight, - = none, * = set on the page (otherwise default)');
+        
+        pages.forEach(page => {
+            const matrix = this.core.getInteractionMatrix(page.name);
+            const cells = new Map(matrix.interactions.map(interaction => [`${interaction.source}:${interaction.target}`, interaction]));
+            const listed = matrix.visuals.filter(visual => matrix.interactions.some(interaction => interaction.source === visual.name || interaction.target === visual.name));
+            const sources = listed.filter(visual => matrix.interactions.some(interaction => interaction.source === visual.name));
+            const targets = listed.filter(visual => matrix.interactions.some(interaction => interaction.target === visual.name));
+            
+            console.log(`\n### ${page.displayName}\n`);
+            if (sources.length === 0 || targets.length === 0) {
+                console.log('No interacting visuals');
+                return;
+            }
+            
+            // Visuals are numbered to keep the table narrow; the key follows
+            const number = visual => listed.indexOf(visual) + 1;
+            console.log(`| Selecting ↓ affects → | ${targets.map(number).join(' | ')} |`);
+            console.log(`|---|${targets.map(() => ':-:').join('|')}|`);
+            sources.forEach(source => {
+                const row = targets.map(target => {
+                    const interaction = cells.get(`${source.name}:${target.name}`);
+                    return interaction ? `${InteractionSymbols[interaction.type] || '?'}${interaction.isDefault ? '' : '*'}` : '';
+                });
+                console.log(`| ${number(source)}. ${source.displayName.replace(/\|/g, '\\|')} | ${row.join(' | ')} |`);
+            });
+            console.log('');
+            listed.forEach(visual => console.log(`${number(visual)}. ${this.formatVisualName(visual.displayName, visual.name)}`));
+        });
+    }
+    
+    // "Sales by Region (b33397810d555ca70a8c)". Untitled visuals are already
+    // named after their short id, which the full id replaces.
+    formatVisualName(displayName, name) {
+        const shortId = `(${name.substring(0, 8)})`;
+        return displayName.endsWith(shortId) ? `${displayName.slice(0, -shortId.length)}(${name})` : `${displayName} (${name})`;
+    }
+    
+    // Visuals whose id or display name matches name, or every visual for "all";
+    // groups are containers, not visuals
+    findVisuals(name) {
+        const wanted = String(name).toLowerCase();
+        const visuals = Array.from(this.pages.values())
+            .flatMap(page => this.getPageVisuals(page).map(visual => ({ page, visual })))
+            .filter(({ visual }) => visual.properties.type !== 'visualGroup')
+            .filter(({ visual }) => wanted === 'all' || visual.name.toLowerCase() === wanted || visual.properties.displayName.toLowerCase() === wanted);
+        if (visuals.length === 0) {
+            throw new Error(`No visual named "${name}"`);
+        }
+        return visuals;
+    }
+    
+    // Every filter reaching each visual, outermost first: report, page,
+    // drillthrough, slicers, visual
+    printFilterContexts(name) {
+        // Text boxes, images, shapes and buttons take no filters
+        const visuals = this.findVisuals(name)
+            .filter(({ visual }) => String(name).toLowerCase() !== 'all' || !PBIRCore.staticVisualTypes.has(visual.properties.type));
+        
+        console.log(`\n\n🧭 Effective Filter Context`);
+        console.log('='.repeat(60));
+        visuals.forEach(({ page, visual }) => {
+            const context = this.core.getVisualFilterContext(visual.pageName, visual.name);
+            console.log(`\n📄 ${page.displayName} › ${this.formatVisualName(visual.properties.displayName, visual.name)}`);
+            if (context.filters.length === 0) {
+                console.log('  No filters apply');
+            }
+            context.filters.forEach((entry, index) => {
+                console.log(`  ${index + 1}. [${entry.level}] ${entry.description} — ${entry.source}`);
+            });
+            context.ignored.forEach(entry => {
+                console.log(`  ✖ [${entry.level}] ${entry.description} — ${entry.source}: ${entry.reason}`);
+            });
+            context.notes.forEach(note => console.log(`  ℹ️  ${note}`));
+        });
+    }
+    
+    // DAX queries of the visuals whose id or display name matches name, or
+    // of every visual for "all"
+    printVisualQueries(name) {
+        const visuals = this.findVisuals(name);
+        
+        console.log(`\n\n🧮 Visual DAX Queries`);
+        console.log('='.repeat(60));
+        visuals.forEach(({ page, visual }) => {
+            const query = this.core.getVisualQuery(visual.pageName, visual.name);
+            console.log(`\n📄 ${page.displayName} › ${this.formatVisualName(visual.properties.displayName, visual.name)}`);
+            console.log(query || '-- No fields; this visual sends no query');
+        });
+    }
+    
+    // Selection pane tree with display names; ids stay alongside
+    cleanVisualTree(nodes) {
+        return nodes.map(node => ({
+            name: node.displayName,
+            id: node.name,
+            kind: node.kind,
+            groupMode: node.groupMode || undefined,
+            isHidden: node.isHidden || undefined,
+            hiddenByGroup: node.hiddenByGroup || undefined,
+            offset: node.offset || undefined,
+            children: node.kind === 'group' ? this.cleanVisualTree(node.children) : undefined
+        }));
+    }
+    
     exportCleanReport(filePath) {
+        const mobileAudit = this.core.getMobileAudit();
         const cleanReport = {
             overview: {
+                report: this.reportData ? this.reportData.name : null,
+                datasetReference: this.reportData ? this.reportData.datasetReference : null,
+                theme: this.theme,
                 totalPages: this.pages.size,
-                totalVisuals: Array.from(this.pages.values()).reduce((sum, page) => sum + page.visuals.length, 0),
-                globalFilters: Array.from(this.filters.values())
+                totalVisuals: Array.from(this.pages.values()).reduce((sum, page) => sum + this.getPageVisuals(page).length, 0),
+                globalFilters: Array.from(this.filters.values()).map(filter => this.cleanFilter(filter))
             },
             pages: Array.from(this.pages.values()).map(page => ({
-                name: page.name,
-                id: page.id,
+                name: page.displayName,
+                id: page.name,
                 dimensions: `${page.width} × ${page.height}`,
-                visuals: page.visuals.map(visual => ({
-                    name: visual.name,
-                    type: visual.type,
-                    position: visual.position,
-                    measures: visual.fields.measures,
-                    dimensions: visual.fields.dimensions,
-                    filters: visual.filters,
+                usage: page.usage,
+                bindingFields: page.bindingFields.map(field => field.label),
+                sourceVisuals: page.sourceVisuals,
+                visuals: this.getPageVisuals(page).map(visual => ({
+                    name: visual.properties.displayName,
+                    type: visual.properties.typeName,
+                    position: this.getVisualPosition(visual),
+                    measures: visual.fields.measures.map(field => this.cleanField(field)),
+                    dimensions: visual.fields.dimensions.map(field => this.cleanField(field)),
+                    calculations: visual.fields.calculations.map(calculation => this.cleanCalculation(calculation)),
+                    filters: visual.filters.map(filter => this.cleanFilter(filter)),
+                    daxQuery: this.core.getVisualQuery(visual.pageName, visual.name) || undefined,
+                    targetPages: visual.targetPages,
                     isHidden: visual.isHidden
                 })),
-                filters: page.filters
-            }))
+                visualTree: this.cleanVisualTree(page.visualTree),
+                filters: page.filters.map(filter => this.cleanFilter(filter)),
+                interactions: this.core.getInteractionMatrix(page.name).interactions,
+                mobile: mobileAudit.find(audit => audit.page === page.name) || undefined
+            })),
+            reportMeasures: this.reportMeasures,
+            bookmarks: this.getBookmarkTree(),
+            resources: this.core.getResourceInventory(),
+            navigation: new NavigationGraph(this.core.getModel()).build()
         };
         
+        if (this.unusedObjects) {
+            cleanReport.unusedModelObjects = this.unusedObjects;
+        }
+        
         fs.writeFileSync(filePath, JSON.stringify(cleanReport, null, 2));
         console.log(`\n💾 Clean report saved to: ${filePath}`);
     }
-    
-    // Utility methods
-    async parseJsonFile(file) {
-        try {
-            const content = fs.readFileSync(file.path, 'utf8');
-            return JSON.parse(content);
-        } catch (error) {
-            console.error(`Error parsing ${file.relativePath}: ${error.message}`);
-            return null;
-        }
-    }
-    
-    findFile(files, relativePath) {
-        return files.find(f => f.relativePath.endsWith(relativePath));
-    }
-    
-    extractPageName(path) {
-        const match = path.match(/\/pages\/([^\/]+)\/page\.json$/);
-        return match ? match[1] : 'unknown';
-    }
-    
-    extractVisualName(path) {
-        const match = path.match(/\/visuals\/([^\/]+)\/visual\.json$/);
-        return match ? match[1] : 'unknown';
-    }
 }
 
 async function main() {
@@ -696,10 +796,29 @@ async function main() {
 📊 PBIR Clean Report Generator
 
 Usage:
-  node cli-report.js <pbir-directory-path> [options]
+  node cli-report.js <project-folder|.zip|.pbix|.pbip|definition.pbir> [options]
 
 Options:
   --export <file>     Save clean report to JSON file
+  --report <name>     Pick one report when the folder holds several
+  --model <path>      Semantic model folder or model.bim (default: from definition.pbir)
+  --unused            List model objects the report never references (skips overview and pages)
+  --dax [visual|all]  Print the DAX query a visual sends, by id or display name; all visuals by default
+                      (skips overview and pages)
+  --context [visual|all]
+                      Show every filter reaching a visual and where it comes from; all visuals by default
+                      (skips overview and pages)
+  --bookmarks         List what each bookmark changes (skips overview and pages)
+  --navigation [mermaid|dot]
+                      Show page and bookmark links and unreachable pages, or print them as a
+                      Mermaid or Graphviz DOT graph (skips overview and pages)
+  --interactions [page|all]
+                      Print which visuals filter or highlight which, as a Markdown table; all pages by default
+                      (skips overview and pages)
+  --mobile            Audit the phone layout: pages without one, visuals left out or formatted differently
+                      (skips overview and pages)
+  --resources         List custom visuals, images and themes with versions and what uses them
+                      (skips overview and pages)
   --no-overview      Skip report overview section
   --no-pages         Skip pages detail section
   --pages-only       Show only pages (skip overview)
@@ -708,15 +827,41 @@ Examples:
   node cli-report.js ./my-report-folder
   node cli-report.js ./my-report-folder --export clean-report.json
   node cli-report.js ./my-report-folder --pages-only
-        `);
+  node cli-report.js ./my-project.zip
+  node cli-report.js ./my-project.pbip --unused
+  node cli-report.js ./my-report-folder --dax "Sales by Region"
+  node cli-report.js ./my-report-folder --context "Sales by Region"
+  node cli-report.js ./my-report-folder --interactions "Overview"
+  node cli-report.js ./my-report-folder --bookmarks
+  node cli-report.js ./my-report-folder --navigation mermaid
+  node cli-report.js ./my-report-folder --mobile
+  node cli-report.js ./my-report-folder --resources
+`);
         process.exit(1);
     }
     
     const dirPath = args[0];
+    // Options that print one analysis skip the overview and pages
+    const focused = ['--unused', '--dax', '--context', '--interactions', '--bookmarks', '--navigation', '--mobile', '--resources'].some(flag => args.includes(flag));
+    // Value given after an option; the fallback when none follows it
+    const optionValue = (flag, fallback) => {
+        const value = args[args.indexOf(flag) + 1];
+        return value === undefined || value.startsWith('--') ? fallback : value;
+    };
     const options = {
         export: args.includes('--export') ? args[args.indexOf('--export') + 1] : null,
-        overview: !args.includes('--no-overview') && !args.includes('--pages-only'),
-        pages: !args.includes('--no-pages')
+        report: args.includes('--report') ? args[args.indexOf('--report') + 1] : null,
+        model: args.includes('--model') ? args[args.indexOf('--model') + 1] : null,
+        unused: args.includes('--unused'),
+        dax: args.includes('--dax') ? optionValue('--dax', 'all') : null,
+        context: args.includes('--context') ? optionValue('--context', 'all') : null,
+        interactions: args.includes('--interactions') ? optionValue('--interactions', 'all') : null,
+        bookmarks: args.includes('--bookmarks'),
+        mobile: args.includes('--mobile'),
+        resources: args.includes('--resources'),
+        navigation: args.includes('--navigation') ? (['mermaid', 'dot'].includes(args[args.indexOf('--navigation') + 1]) ? args[args.indexOf('--navigation') + 1] : 'text') : null,
+        overview: !args.includes('--no-overview') && !args.includes('--pages-only') && !focused,
+        pages: !args.includes('--no-pages') && !focused
     };
     
     try {
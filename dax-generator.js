@@ -0,0 +1,673 @@
+// DAX translation.
+//
+// Rewrites the decoded SemanticQuery trees of report, page and visual filters
+// (semantic-query.js) as DAX filter arguments that reproduce them in
+// CALCULATE or SUMMARIZECOLUMNS:
+//
+//   Region is one of West, East      -> KEEPFILTERS(TREATAS({"West", "East"}, 'Geo'[Region]))
+//   Amount between 100 and 500       -> KEEPFILTERS('Sales'[Amount] >= 100 && 'Sales'[Amount] <= 500)
+//   Top 5 Product by Sales           -> KEEPFILTERS(TOPN(5, VALUES('Product'[Product]), [Sales], DESC))
+//   Order Date in the last 3 months  -> KEEPFILTERS(DATESINPERIOD('Sales'[Order Date], TODAY(), -3, MONTH))
+//
+// Report filters intersect with whatever the visual already filters, so
+// column predicates are wrapped in KEEPFILTERS. Shapes DAX has no filter
+// argument for come back as a "--" comment explaining why.
+//
+// generateVisualQuery() puts those filters together with a visual's grouping
+// columns and measures into the SUMMARIZECOLUMNS query the visual runs, ready
+// for DAX Studio or Performance Analyzer comparisons.
+
+const daxDeps = typeof module !== 'undefined' && module.exports
+    ? Object.assign({}, require('./semantic-query'), require('./filter-describer'))
+    : { SemanticQuery, FilterDescriber };
+
+class DaxGenerator {
+    // semanticModel (optional) maps hierarchy levels onto their columns;
+    // reportMeasures (PBIRCore.reportMeasures) are defined in visual queries
+    constructor(semanticModel = null, reportMeasures = []) {
+        this.semanticModel = semanticModel;
+        this.reportMeasures = reportMeasures;
+        this.describer = new daxDeps.FilterDescriber();
+    }
+    
+    // DAX for one parsed filter (PBIRCore.parseFilterContainer or
+    // parseQueryFilter); groupBy lists the decoded grouping columns of the
+    // visual, which measure filters are evaluated over. null when the
+    // filter has no condition.
+    generateFilter(filter, groupBy = []) {
+        const conditions = this.getConditions(filter);
+        if (conditions.length === 0) {
+            return null;
+        }
+        
+        return conditions.map(condition => this.generateCondition(condition, filter.type, groupBy)).join(',\n');
+    }
+    
+    getConditions(filter) {
+        return filter.query
+            ? filter.query.where.map(where => where.condition).filter(Boolean)
+            : [filter.condition].filter(Boolean);
+    }
+    
+    // The query a visual sends: SUMMARIZECOLUMNS over its grouping columns
+    // and measures, with one DEFINE variable per filter; Top N filters rank
+    // inside the other filters. Measure filters keep the rows where they
+    // hold, evaluated under the same filters; Visual Top N and
+    // prototypeQuery Top limit the rows with TOPN. scopes lists the filters
+    // applied from outside the visual, outermost first: [{ label: 'Report',
+    // filters }, { label: 'Page', filters }]. null for visuals without
+    // fields (text boxes, shapes, buttons).
+    generateVisualQuery(visual, scopes = []) {
+        const shape = this.getVisualQueryShape(visual);
+        if (shape.groupBy.length === 0 && shape.measures.length === 0) {
+            return null;
+        }
+        
+        const variables = [];
+        const valueFilters = [];
+        const notes = [];
+        let top = shape.top;
+        
+        [...scopes, { label: 'Visual', filters: visual.filters || [] }].forEach(scope => {
+            const prefix = `__${String(scope.label).replace(/\W/g, '')}Filter`;
+            scope.filters.forEach(filter => {
+                const description = `${scope.label} filter: ${filter.description || filter.field || filter.displayName}`;
+                this.getConditions(filter).forEach(condition => {
+                    if (condition.type === 'VisualTopN') {
+                        top = condition.itemCount;
+                    } else if (this.isMeasureCondition(condition)) {
+                        valueFilters.push(this.predicate(condition, 2, true));
+                    } else {
+                        const table = this.generateCondition(condition, filter.type, shape.groupBy, false);
+                        if (table.startsWith('--')) {
+                            notes.push(`-- ${description}: ${table.slice(3)}`);
+                        } else {
+                            const ranked = this.generateTopN(condition) !== null;
+                            variables.push({ name: `${prefix}${variables.filter(variable => variable.name.startsWith(prefix)).length + 1}`, description, table, ranked });
+                        }
+                    }
+                });
+            });
+        });
+        
+        // DEFINE variables are evaluated without any filter, so Top N filters
+        // rank under the other filters with CALCULATETABLE, defined after them
+        const filterNames = variables.filter(variable => !variable.ranked).map(variable => variable.name);
+        variables.sort((a, b) => a.ranked - b.ranked);
+        variables.filter(variable => variable.ranked && filterNames.length > 0).forEach(variable => {
+            variable.table = `CALCULATETABLE(${variable.table}, ${filterNames.join(', ')})`;
+        });
+        
+        const columns = shape.groupBy.map(node => this.scalar(node));
+        const names = new Set();
+        const measures = shape.measures.map(measure => {
+            let name = measure.name;
+            for (let index = 2; names.has(name.toLowerCase()); index++) {
+                name = `${measure.name} (${index})`;
+            }
+            names.add(name.toLowerCase());
+            return { ...measure, name, reference: `[${DaxGenerator.escapeName(name)}]` };
+        });
+        
+        // ORDER BY and TOPN can only use the query's own columns
+        const order = shape.sort.map(sort => {
+            const text = daxDeps.SemanticQuery.format(sort.expression);
+            const measure = measures.find(candidate => daxDeps.SemanticQuery.format(candidate.node) === text);
+            const column = shape.groupBy.find(node => daxDeps.SemanticQuery.format(node) === text);
+            const reference = measure ? measure.reference : column ? this.scalar(column) : null;
+            if (!reference) {
+                notes.push(`-- Sorted by ${text}, which the query does not return`);
+            }
+            return reference && `${reference} ${sort.direction === 'Ascending' ? 'ASC' : 'DESC'}`;
+        }).filter(Boolean);
+        
+        const indent = lines => lines.map(line => `    ${line}`);
+        const list = items => items.map((item, index) => index < items.length - 1 ? `${item},` : item);
+        const append = (block, text) => [...block.slice(0, -1), `${block[block.length - 1]}${text}`];
+        
+        let body = ['SUMMARIZECOLUMNS(', ...indent(list([
+            ...columns,
+            ...variables.map(variable => variable.name),
+            ...measures.map(measure => `${DaxGenerator.string(measure.name)}, ${this.scalar(measure.node)}`)
+        ])), ')'];
+        
+        if (valueFilters.length > 0) {
+            const condition = [valueFilters.join(' && '), ...variables.map(variable => `KEEPFILTERS(${variable.name})`)].join(', ');
+            body = ['FILTER(', ...indent([...append(body, ','), `CALCULATE(${condition})`]), ')'];
+        }
+        
+        if (top !== null) {
+            const ranking = order.length > 0
+                ? order.map(item => item.replace(/ (ASC|DESC)$/, ', $1')).join(', ')
+                : measures.length > 0 ? `${measures[0].reference}, DESC` : null;
+            body = ['TOPN(', ...indent([`${top},`, ...(ranking ? [...append(body, ','), ranking] : body)]), ')'];
+        }
+        
+        // Visual calculations run on the visual's result, after this query
+        (visual.fields && visual.fields.calculations || []).forEach(calculation => {
+            notes.push(`-- Visual calculation ${calculation.name} is evaluated by the visual on this query's rows`);
+        });
+        
+        const properties = visual.properties || {};
+        const lines = [`-- ${properties.displayName || visual.name} (${properties.typeName || properties.type || 'visual'})`, ...notes];
+        const definitions = this.getReportMeasureDefinitions(visual);
+        if (variables.length + definitions.length > 0) {
+            lines.push('DEFINE');
+            definitions.forEach(measure => {
+                const [first, ...rest] = measure.expression.split('\n');
+                lines.push(...indent([`-- Report-level measure`, `MEASURE ${DaxGenerator.column(measure.table, measure.name)} = ${first}`, ...rest]));
+            });
+            variables.forEach(variable => lines.push(...indent([`-- ${variable.description}`, `VAR ${variable.name} = ${variable.table}`])));
+        }
+        lines.push('EVALUATE', ...body);
+        if (order.length > 0) {
+            lines.push('ORDER BY', ...indent(list(order)));
+        }
+        return lines.join('\n');
+    }
+    
+    // Report-level measures the visual uses, each after the report-level
+    // measures its DAX refers to, so the query runs outside the report
+    getReportMeasureDefinitions(visual) {
+        const ordered = [];
+        const visited = new Set();
+        const visit = (table, name) => {
+            const key = `${String(table).toLowerCase()}\u0000${String(name).toLowerCase()}`;
+            const measure = this.reportMeasures.find(candidate => `${candidate.table.toLowerCase()}\u0000${candidate.name.toLowerCase()}` === key);
+            if (!measure || visited.has(measure)) return;
+            
+            visited.add(measure);
+            measure.references.filter(reference => reference.isReportMeasure).forEach(reference => visit(reference.table, reference.name));
+            ordered.push(measure);
+        };
+        
+        (visual.fields && visual.fields.measures || []).filter(field => field.isReportMeasure).forEach(field => visit(field.table, field.property));
+        return ordered;
+    }
+    
+    // Decoded grouping columns, measures ({ name, node }), sort order and
+    // row limit of a visual, from its projections and sortDefinition or a
+    // legacy prototypeQuery
+    getVisualQueryShape(visual) {
+        const content = visual.visual || {};
+        const prototypeQuery = content.singleVisual && content.singleVisual.prototypeQuery;
+        const query = prototypeQuery ? daxDeps.SemanticQuery.decodeQuery(prototypeQuery) : null;
+        const aliases = query ? daxDeps.SemanticQuery.getScope(query.from, {}) : {};
+        const decode = expression => daxDeps.SemanticQuery.decode(expression, aliases);
+        const fields = visual.fields || {};
+        const active = field => field.isActive !== false;
+        
+        const seen = new Set();
+        const groupBy = (fields.dimensions || []).filter(active).map(field => decode(field.expression)).filter(node => {
+            const key = this.isColumn(node) ? this.scalar(node) : null;
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        const measures = (fields.measures || []).filter(active)
+            .map(field => ({ name: field.name || field.property, node: decode(field.expression) }))
+            .filter(measure => measure.node);
+        
+        let sort = [];
+        if (content.query && content.query.sortDefinition) {
+            sort = (content.query.sortDefinition.sort || []).map(item => ({ direction: item.direction, expression: decode(item.field) }));
+        } else if (query) {
+            sort = query.orderBy;
+        }
+        
+        return { groupBy, measures, sort, top: query ? query.top : null };
+    }
+    
+    // keep wraps the filter in KEEPFILTERS; a standalone query (see
+    // generateVisualQuery) has no outer filters to keep and leaves it off
+    generateCondition(condition, type, groupBy = [], keep = true) {
+        const keepFilters = table => keep ? `KEEPFILTERS(${table})` : table;
+        if (condition.type === 'VisualTopN') {
+            return `-- Keeps the top ${condition.itemCount} rows of the visual; apply TOPN to the visual query`;
+        }
+        
+        if (type === 'RelativeDate') {
+            const dates = this.generateRelativeDate(condition);
+            if (dates) return keepFilters(dates);
+        } else if (type === 'RelativeTime' && condition.type === 'Between' && this.isColumn(condition.expression)) {
+            return this.generatePredicateFilter(condition, groupBy, keep, this.generateRelativeTime(condition));
+        }
+        
+        const topN = this.generateTopN(condition);
+        if (topN) {
+            return keepFilters(topN);
+        }
+        
+        const values = this.generateTreatAs(condition);
+        if (values) {
+            return keepFilters(values);
+        }
+        
+        return this.generatePredicateFilter(condition, groupBy, keep);
+    }
+    
+    // Plain "column IN values" lists become TREATAS, which filters the
+    // columns to exactly those values (tuples for multi-column filters)
+    generateTreatAs(condition) {
+        if (condition.type !== 'In' || condition.table) {
+            return null;
+        }
+        if (!condition.expressions.every(expression => this.isColumn(expression))
+            || !condition.values.every(values => values.every(value => value && value.type === 'Literal'))) {
+            return null;
+        }
+        
+        const tuple = condition.expressions.length > 1;
+        const rows = condition.values.map(values => tuple ? `(${values.map(value => this.literal(value)).join(', ')})` : this.literal(values[0]));
+        return `TREATAS({${rows.join(', ')}}, ${condition.expressions.map(expression => this.scalar(expression)).join(', ')})`;
+    }
+    
+    // Top N filters keep the column values in the first N rows of a
+    // subquery ordered by the ranking expression
+    generateTopN(condition) {
+        if (condition.type !== 'In' || !condition.table || condition.expressions.length !== 1) {
+            return null;
+        }
+        return this.table(condition.table, condition.expressions[0]);
+    }
+    
+    // Relative date filters are Between conditions over DateSpan/DateAdd
+    // offsets from Now(). Rolling periods map onto DATESINPERIOD, calendar
+    // periods onto DATESBETWEEN with the first and last day spelled out.
+    generateRelativeDate(condition) {
+        if (condition.type !== 'Between' || !this.isColumn(condition.expression)) {
+            return null;
+        }
+        
+        const lower = this.describer.readRelativeBound(condition.lowerBound);
+        const upper = this.describer.readRelativeBound(condition.upperBound);
+        if (!lower || !upper) {
+            return null;
+        }
+        
+        const column = this.scalar(condition.expression);
+        const isDay = bound => bound.span === 'Day';
+        if (isDay(lower) && isDay(upper)) {
+            // Last N units including today: Now() + 1 day - N units .. Now()
+            const back = lower.adds.length === 2 && lower.adds[0].unit === 'Day' && lower.adds[0].amount === 1 ? lower.adds[1] : null;
+            if (back && back.amount < 0 && upper.adds.length === 0 && DaxGenerator.intervals[back.unit]) {
+                return this.datesInPeriod(column, -back.amount, back.unit, -1);
+            }
+            
+            // Next N units starting today: Now() .. Now() - 1 day + N units
+            const ahead = upper.adds.length === 2 && upper.adds[0].unit === 'Day' && upper.adds[0].amount === -1 ? upper.adds[1] : null;
+            if (ahead && ahead.amount > 0 && lower.adds.length === 0 && DaxGenerator.intervals[ahead.unit]) {
+                return this.datesInPeriod(column, ahead.amount, ahead.unit, 1);
+            }
+        }
+        
+        return `DATESBETWEEN(${column}, ${this.scalar(condition.lowerBound)}, ${this.periodEnd(condition.upperBound)})`;
+    }
+    
+    // Relative time bounds truncated to an hour or minute include that whole
+    // hour or minute, so the upper bound is the start of the next one
+    generateRelativeTime(condition) {
+        const column = this.scalar(condition.expression);
+        const upper = condition.upperBound;
+        const end = upper && upper.type === 'DateSpan' && ['Hour', 'Minute'].includes(upper.timeUnit)
+            ? `< ${this.scalar({ type: 'DateAdd', amount: 1, timeUnit: upper.timeUnit, expression: upper })}`
+            : `<= ${this.scalar(upper)}`;
+        return `${column} >= ${this.scalar(condition.lowerBound)} && ${column} ${end}`;
+    }
+    
+    datesInPeriod(column, count, unit, direction) {
+        const [interval, multiplier] = DaxGenerator.intervals[unit];
+        return `DATESINPERIOD(${column}, TODAY(), ${direction * count * multiplier}, ${interval})`;
+    }
+    
+    // Last date of the period a DateSpan bound starts
+    periodEnd(node) {
+        if (node.type !== 'DateSpan' || !['Week', 'Month', 'Year', 'Decade'].includes(node.timeUnit)) {
+            return this.scalar(node);
+        }
+        return `${this.scalar({ type: 'DateAdd', amount: 1, timeUnit: node.timeUnit, expression: node })} - 1`;
+    }
+    
+    // Any other condition becomes a boolean filter: on its own for columns of
+    // one table, over the cross join of its columns otherwise, and over the
+    // visual's grouping columns when it tests a measure or an aggregation
+    generatePredicateFilter(condition, groupBy, keep = true, predicate = null) {
+        const keepFilters = table => keep ? `KEEPFILTERS(${table})` : table;
+        const references = this.collectReferences(condition);
+        
+        if (this.isMeasureCondition(condition)) {
+            predicate = predicate || this.predicate(condition, 0, true);
+            const columns = groupBy.filter(expression => this.isColumn(expression)).map(expression => this.scalar(expression));
+            if (columns.length === 0) {
+                return `-- Measure filter, evaluated for each row of the visual: ${predicate}`;
+            }
+            const rows = columns.length === 1 ? `VALUES(${columns[0]})` : `CROSSJOIN(${columns.map(column => `VALUES(${column})`).join(', ')})`;
+            return keepFilters(`FILTER(${rows}, ${predicate})`);
+        }
+        
+        predicate = predicate || this.predicate(condition);
+        const columns = Array.from(new Set(references.map(reference => this.scalar(reference))));
+        const tables = new Set(references.map(reference => reference.table));
+        if (tables.size <= 1 && keep) {
+            return `KEEPFILTERS(${predicate})`;
+        } else if (tables.size <= 1) {
+            return `FILTER(ALL(${columns.join(', ')}), ${predicate})`;
+        }
+        return keepFilters(`FILTER(CROSSJOIN(${columns.map(column => `ALL(${column})`).join(', ')}), ${predicate})`);
+    }
+    
+    // Conditions on measures and aggregations are evaluated per visual row
+    isMeasureCondition(condition) {
+        return this.collectReferences(condition).some(reference => !this.isColumn(reference));
+    }
+    
+    // Column, measure and aggregation nodes a condition reads; literals,
+    // dates and subqueries are skipped
+    collectReferences(node, references = []) {
+        if (!node || typeof node !== 'object') {
+            return references;
+        }
+        
+        if (this.isColumn(node) || node.type === 'Measure' || node.type === 'Aggregation' || node.type === 'Min' || node.type === 'Max' || node.type === 'Percentile') {
+            references.push(node);
+            return references;
+        }
+        if (node.type === 'Subquery' || node.type === 'SourceRef' || node.type === 'Literal') {
+            return references;
+        }
+        
+        Object.values(node).forEach(value => {
+            if (Array.isArray(value)) {
+                value.forEach(item => Array.isArray(item) ? item.forEach(child => this.collectReferences(child, references)) : this.collectReferences(item, references));
+            } else if (value && typeof value === 'object' && value.type) {
+                this.collectReferences(value, references);
+            }
+        });
+        return references;
+    }
+    
+    isColumn(node) {
+        return !!node && ['Column', 'GroupRef', 'PropertyVariationSource', 'HierarchyLevel'].includes(node.type);
+    }
+    
+    // Boolean DAX for a condition; parent is the precedence of the
+    // enclosing operator (|| 1, && 2), rowContext wraps aggregations in
+    // CALCULATE so they are evaluated per row of a FILTER
+    predicate(node, parent = 0, rowContext = false) {
+        if (!node) return 'TRUE()';
+        
+        const predicate = (child, precedence = 0) => this.predicate(child, precedence, rowContext);
+        const scalar = child => this.scalar(child, rowContext);
+        const wrap = (text, precedence) => precedence < parent ? `(${text})` : text;
+        
+        switch (node.type) {
+            case 'And':
+                return wrap(`${predicate(node.left, 2)} && ${predicate(node.right, 2)}`, 2);
+            case 'Or':
+                return wrap(`${predicate(node.left, 1)} || ${predicate(node.right, 1)}`, 1);
+            case 'Not':
+                return `NOT (${predicate(node.expression)})`;
+            case 'Comparison': {
+                const right = node.right || {};
+                if (right.type === 'Literal' && right.value === null && node.comparisonKind === 'Equal') {
+                    return `ISBLANK(${scalar(node.left)})`;
+                }
+                return wrap(`${scalar(node.left)} ${daxDeps.SemanticQuery.comparisonOperators[node.comparisonKind] || '='} ${scalar(right)}`, 3);
+            }
+            case 'Between':
+                return wrap(`${scalar(node.expression)} >= ${scalar(node.lowerBound)} && ${scalar(node.expression)} <= ${scalar(node.upperBound)}`, 2);
+            case 'In': {
+                const tuple = node.expressions.length > 1;
+                const left = tuple ? `(${node.expressions.map(scalar).join(', ')})` : scalar(node.expressions[0]);
+                const right = node.table
+                    ? this.table(node.table, node.expressions[0])
+                    : `{${node.values.map(values => tuple ? `(${values.map(scalar).join(', ')})` : scalar(values[0])).join(', ')}}`;
+                return wrap(`${left} IN ${right}`, 3);
+            }
+            case 'Contains':
+                return `CONTAINSSTRING(${scalar(node.left)}, ${scalar(node.right)})`;
+            case 'StartsWith':
+                return wrap(`LEFT(${scalar(node.left)}, LEN(${scalar(node.right)})) = ${scalar(node.right)}`, 3);
+            case 'Exists':
+                return `NOT ISBLANK(${scalar(node.expression)})`;
+            case 'Literal':
+                return node.value ? 'TRUE()' : 'FALSE()';
+        }
+        return scalar(node);
+    }
+    
+    // Scalar DAX for a value expression
+    scalar(node, rowContext = false) {
+        if (!node) return 'BLANK()';
+        
+        const scalar = child => this.scalar(child, rowContext);
+        
+        switch (node.type) {
+            case 'Column':
+            case 'GroupRef':
+            case 'PropertyVariationSource':
+                return node.table ? DaxGenerator.column(node.table, node.property) : this.unsupported(node);
+            case 'HierarchyLevel':
+                return this.level(node);
+            case 'Measure':
+                return DaxGenerator.measure(node.property);
+            case 'Aggregation': {
+                if (node.expression && node.expression.type === 'Measure') {
+                    return scalar(node.expression);
+                }
+                const text = `${DaxGenerator.aggregations[node.function] || 'SUM'}(${scalar(node.expression)})`;
+                return rowContext ? `CALCULATE(${text})` : text;
+            }
+            case 'Min':
+            case 'Max': {
+                const text = `${node.type.toUpperCase()}(${scalar(node.expression)})`;
+                return rowContext ? `CALCULATE(${text})` : text;
+            }
+            case 'Percentile': {
+                const text = `PERCENTILE.${node.exclusive ? 'EXC' : 'INC'}(${scalar(node.expression)}, ${node.k})`;
+                return rowContext ? `CALCULATE(${text})` : text;
+            }
+            case 'Literal':
+                return this.literal(node);
+            case 'Arithmetic':
+                return node.operator === 'Divide'
+                    ? `DIVIDE(${scalar(node.left)}, ${scalar(node.right)})`
+                    : `(${scalar(node.left)} ${daxDeps.SemanticQuery.arithmeticSymbols[node.operator] || '+'} ${scalar(node.right)})`;
+            case 'Now':
+                return 'NOW()';
+            case 'DateAdd':
+                return this.dateAdd(node);
+            case 'DateSpan':
+                return this.dateSpan(node);
+            case 'Conditional': {
+                const cases = node.cases.map(item => `${this.predicate(item.condition, 0, rowContext)}, ${scalar(item.value)}`);
+                return `SWITCH(TRUE(), ${cases.join(', ')}${node.defaultValue ? `, ${scalar(node.defaultValue)}` : ''})`;
+            }
+            case 'NativeMeasure':
+            case 'NativeColumn':
+                return node.language && node.language !== 'DAX' ? this.unsupported(node) : `(${node.expression})`;
+        }
+        return this.unsupported(node);
+    }
+    
+    // Hierarchy levels are columns: 'Sales'[Date].[Year] for auto date/time,
+    // the level's column from the model otherwise (the level name without one)
+    level(node) {
+        const source = node.expression && node.expression.expression;
+        if (source && source.type === 'PropertyVariationSource') {
+            return `${this.scalar(source)}.[${DaxGenerator.escapeName(node.level)}]`;
+        }
+        
+        const model = this.semanticModel;
+        const hierarchy = model && node.table ? model.findHierarchy(node.table, node.hierarchy) : null;
+        const level = hierarchy && hierarchy.levels.find(candidate => candidate.name.toLowerCase() === String(node.level).toLowerCase());
+        return node.table ? DaxGenerator.column(node.table, level ? level.column : node.level) : this.unsupported(node);
+    }
+    
+    // Table expression for the right-hand side of IN: subqueries with TOP
+    // become TOPN over the values of column, ranked by their ORDER BY
+    table(node, column) {
+        const source = node && node.type === 'SourceRef' ? node.expression : node;
+        const query = source && source.type === 'Subquery' ? source.query : null;
+        if (!query) {
+            return `{} -- ${daxDeps.SemanticQuery.format(node)}`;
+        }
+        
+        const subject = this.scalar(column || query.select[0]);
+        if (query.top === null || query.orderBy.length === 0) {
+            return `VALUES(${subject})`;
+        }
+        
+        const order = query.orderBy[0];
+        const ranking = this.scalar(order.expression, true);
+        return `TOPN(${query.top}, VALUES(${subject}), ${ranking}, ${order.direction === 'Ascending' ? 'ASC' : 'DESC'})`;
+    }
+    
+    // Whole dates stay dates: DateSpan(Day) over Now() shifted by days,
+    // weeks, months or years is the same shift applied to TODAY()
+    dateSpan(node) {
+        const inner = node.expression;
+        const date = this.isDayShift(inner) ? this.dateAdd(inner, 'TODAY()') : null;
+        switch (node.timeUnit) {
+            case 'Day':
+                return date || this.wholeDate(this.scalar(inner));
+            case 'Week': {
+                const day = date || this.wholeDate(this.scalar(inner));
+                return `${day} - WEEKDAY(${day}) + 1`;
+            }
+            case 'Month': {
+                const value = date || this.scalar(inner);
+                return `DATE(YEAR(${value}), MONTH(${value}), 1)`;
+            }
+            case 'Year':
+                return `DATE(YEAR(${date || this.scalar(inner)}), 1, 1)`;
+            case 'Decade':
+                return `DATE(INT(YEAR(${date || this.scalar(inner)}) / 10) * 10, 1, 1)`;
+            case 'Hour':
+                return `TRUNC(${this.scalar(inner)} * 24) / 24`;
+            case 'Minute':
+                return `TRUNC(${this.scalar(inner)} * 1440) / 1440`;
+        }
+        return this.scalar(inner);
+    }
+    
+    isDayShift(node) {
+        while (node && node.type === 'DateAdd' && ['Day', 'Week', 'Month', 'Year', 'Decade'].includes(node.timeUnit)) {
+            node = node.expression;
+        }
+        return !!node && node.type === 'Now';
+    }
+    
+    wholeDate(value) {
+        return `DATE(YEAR(${value}), MONTH(${value}), DAY(${value}))`;
+    }
+    
+    // root replaces Now() at the bottom of a chain of DateAdds
+    dateAdd(node, root = 'NOW()') {
+        if (!node || node.type === 'Now') {
+            return root;
+        }
+        if (node.type !== 'DateAdd') {
+            return this.scalar(node);
+        }
+        
+        const value = this.dateAdd(node.expression, root);
+        const amount = node.amount;
+        const offset = (count, divisor = '') => `${value} ${count < 0 ? '-' : '+'} ${Math.abs(count)}${divisor}`;
+        switch (node.timeUnit) {
+            case 'Day':
+                return offset(amount);
+            case 'Week':
+                return offset(amount * 7);
+            case 'Month':
+                return `EDATE(${value}, ${amount})`;
+            case 'Year':
+                return `EDATE(${value}, ${amount * 12})`;
+            case 'Decade':
+                return `EDATE(${value}, ${amount * 120})`;
+            case 'Hour':
+                return offset(amount, ' / 24');
+            case 'Minute':
+                return offset(amount, ' / 1440');
+            case 'Second':
+                return offset(amount, ' / 86400');
+        }
+        return this.unsupported(node);
+    }
+    
+    literal(node) {
+        switch (node.dataType) {
+            case 'String':
+                return DaxGenerator.string(node.value);
+            case 'Boolean':
+                return node.value ? 'TRUE()' : 'FALSE()';
+            case 'Null':
+                return 'BLANK()';
+            case 'Double':
+            case 'Integer':
+            case 'Decimal':
+                return String(node.value);
+            case 'DateTime': {
+                const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?/.exec(node.value);
+                if (!match) break;
+                
+                const number = text => String(Number(text));
+                const date = `DATE(${number(match[1])}, ${number(match[2])}, ${number(match[3])})`;
+                const time = match[4] && `${match[4]}${match[5]}${match[6]}` !== '000000'
+                    ? ` + TIME(${number(match[4])}, ${number(match[5])}, ${number(match[6])})`
+                    : '';
+                return `${date}${time}`;
+            }
+        }
+        return DaxGenerator.string(String(node.value));
+    }
+    
+    // Kinds without a DAX equivalent keep their readable form in a comment
+    unsupported(node) {
+        return `BLANK() /* ${daxDeps.SemanticQuery.format(node).replace(/\*\//g, '* /')} */`;
+    }
+    
+    static column(table, name) {
+        return `${DaxGenerator.quoteTable(table)}[${DaxGenerator.escapeName(name)}]`;
+    }
+    
+    static measure(name) {
+        return `[${DaxGenerator.escapeName(name)}]`;
+    }
+    
+    static quoteTable(name) {
+        return `'${String(name).replace(/'/g, "''")}'`;
+    }
+    
+    static escapeName(name) {
+        return String(name).replace(/]/g, ']]');
+    }
+    
+    static string(value) {
+        return `"${String(value).replace(/"/g, '""')}"`;
+    }
+}
+
+DaxGenerator.aggregations = {
+    Sum: 'SUM',
+    Average: 'AVERAGE',
+    DistinctCount: 'DISTINCTCOUNT',
+    Min: 'MIN',
+    Max: 'MAX',
+    Count: 'COUNTA',
+    Median: 'MEDIAN',
+    StandardDeviation: 'STDEV.P',
+    Variance: 'VAR.P'
+};
+
+// Relative date unit -> DATESINPERIOD interval and multiplier
+DaxGenerator.intervals = {
+    Day: ['DAY', 1],
+    Week: ['DAY', 7],
+    Month: ['MONTH', 1],
+    Year: ['YEAR', 1]
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DaxGenerator };
+}
\ No newline at end of file
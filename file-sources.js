@@ -0,0 +1,331 @@
+// File-source adapters for PBIRCore.
+//
+// Every adapter exposes the same small interface so the parsing engine never
+// needs to know where a report came from:
+//   name          - label used in messages (folder or archive name)
+//   listFiles()   - resolves to every file path, relative and '/'-separated
+//   readText(p)   - resolves to the UTF-8 contents of one listed path
+//   readBytes(p)  - resolves to the raw contents of one listed path (Uint8Array)
+//   entryPoint    - optional .pbip or definition.pbir path the user pointed at
+
+class BrowserFileSource {
+    constructor(files) {
+        this.files = new Map();
+        
+        // Organize files by path
+        for (const file of files) {
+            this.files.set(file.webkitRelativePath || file.name, file);
+        }
+        
+        const firstPath = this.files.keys().next().value || '';
+        this.name = firstPath.includes('/') ? firstPath.split('/')[0] : firstPath;
+    }
+    
+    async listFiles() {
+        return Array.from(this.files.keys());
+    }
+    
+    async readText(filePath) {
+        const file = this.files.get(filePath);
+        if (!file) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+        return file.text();
+    }
+    
+    async readBytes(filePath) {
+        const file = this.files.get(filePath);
+        if (!file) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+        return new Uint8Array(await file.arrayBuffer());
+    }
+}
+
+class NodeDirectorySource {
+    // folders (optional) limits the listing to these paths under dirPath,
+    // e.g. a .Report folder and its .SemanticModel next to it
+    constructor(dirPath, folders = null) {
+        // Required lazily so this file can also be loaded in the browser
+        this.fs = require('fs');
+        this.path = require('path');
+        this.dirPath = dirPath;
+        this.folders = folders;
+        this.name = this.path.basename(this.path.resolve(dirPath));
+    }
+    
+    async listFiles() {
+        const files = [];
+        
+        // Entries that cannot be read (broken links, no permission) are skipped
+        const walkDir = (currentPath) => {
+            let items;
+            try {
+                items = this.fs.readdirSync(currentPath);
+            } catch (error) {
+                return;
+            }
+            
+            for (const item of items) {
+                if (item === '.git' || item === 'node_modules') {
+                    continue;
+                }
+                
+                const fullPath = this.path.join(currentPath, item);
+                let stat;
+                try {
+                    stat = this.fs.statSync(fullPath);
+                } catch (error) {
+                    continue;
+                }
+                
+                if (stat.isDirectory()) {
+                    walkDir(fullPath);
+                } else {
+                    files.push(this.path.relative(this.dirPath, fullPath).split(this.path.sep).join('/'));
+                }
+            }
+        };
+        
+        (this.folders || ['.']).forEach(folder => walkDir(this.path.join(this.dirPath, folder)));
+        return files;
+    }
+    
+    async readText(filePath) {
+        return this.fs.readFileSync(this.path.join(this.dirPath, filePath), 'utf8');
+    }
+    
+    async readBytes(filePath) {
+        return new Uint8Array(this.fs.readFileSync(this.path.join(this.dirPath, filePath)));
+    }
+}
+
+class MemoryFileSource {
+    constructor(entries, name = 'memory') {
+        // Accepts a Map or a plain object of path -> string | Uint8Array | JSON value
+        this.entries = entries instanceof Map ? entries : new Map(Object.entries(entries || {}));
+        this.name = name;
+    }
+    
+    async listFiles() {
+        return Array.from(this.entries.keys());
+    }
+    
+    async readText(filePath) {
+        if (!this.entries.has(filePath)) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+        
+        const value = this.entries.get(filePath);
+        if (value instanceof Uint8Array) {
+            return new TextDecoder('utf-8').decode(value);
+        }
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+    
+    async readBytes(filePath) {
+        const value = this.entries.get(filePath);
+        return value instanceof Uint8Array ? value : new TextEncoder().encode(await this.readText(filePath));
+    }
+}
+
+// Exposes one folder of another source (e.g. "Sales.Report/") as its root,
+// so a project holding several reports is read one report at a time
+class ScopedFileSource {
+    constructor(source, prefix) {
+        this.source = source;
+        this.prefix = prefix;
+        this.name = prefix.replace(/\/$/, '').split('/').pop() || source.name;
+    }
+    
+    async listFiles() {
+        return (await this.source.listFiles())
+            .filter(filePath => filePath.startsWith(this.prefix))
+            .map(filePath => filePath.slice(this.prefix.length));
+    }
+    
+    async readText(filePath) {
+        return this.source.readText(this.prefix + filePath);
+    }
+    
+    async readBytes(filePath) {
+        return this.source.readBytes(this.prefix + filePath);
+    }
+}
+
+// Reads a .zip archive (a zipped PBIP project or a .pbix file) entirely in memory.
+// Only stored and deflated entries are supported, which covers archives made
+// by Windows Explorer, macOS Finder and the zip tool.
+class ZipFileSource {
+    constructor(data, name = 'archive.zip') {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.name = name.replace(/\.(zip|pbix)$/i, '');
+        this.entries = null;
+    }
+    
+    async listFiles() {
+        return Array.from(this.getEntries().keys());
+    }
+    
+    async readText(filePath) {
+        return new TextDecoder('utf-8').decode(await this.readBytes(filePath));
+    }
+    
+    async readBytes(filePath) {
+        const entry = this.getEntries().get(filePath);
+        if (!entry) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+        
+        // The local header's name/extra lengths can differ from the central directory's
+        const headerOffset = entry.localOffset;
+        if (this.view.getUint32(headerOffset, true) !== 0x04034b50) {
+            throw new Error(`Corrupt zip entry: ${filePath}`);
+        }
+        const dataOffset = headerOffset + 30 + this.view.getUint16(headerOffset + 26, true) + this.view.getUint16(headerOffset + 28, true);
+        const compressed = this.bytes.subarray(dataOffset, dataOffset + entry.compressedSize);
+        
+        if (entry.method === 0) {
+            return compressed;
+        } else if (entry.method === 8) {
+            return this.inflate(compressed);
+        }
+        throw new Error(`Unsupported zip compression method ${entry.method}: ${filePath}`);
+    }
+    
+    getEntries() {
+        if (this.entries) {
+            return this.entries;
+        }
+        
+        const end = this.findEndOfCentralDirectory();
+        const entryCount = this.view.getUint16(end + 10, true);
+        let offset = this.view.getUint32(end + 16, true);
+        if (entryCount === 0xffff || offset === 0xffffffff) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+        
+        const decoder = new TextDecoder('utf-8');
+        this.entries = new Map();
+        
+        for (let i = 0; i < entryCount; i++) {
+            if (this.view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt zip central directory');
+            }
+            
+            const flags = this.view.getUint16(offset + 8, true);
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+            const filePath = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength)).replace(/\\/g, '/');
+            
+            // Skip folders and the resource forks macOS adds to archives
+            if (!filePath.endsWith('/') && !filePath.startsWith('__MACOSX/')) {
+                if (flags & 0x1) {
+                    throw new Error(`Encrypted zip entries are not supported: ${filePath}`);
+                }
+                
+                this.entries.set(filePath, {
+                    method: this.view.getUint16(offset + 10, true),
+                    compressedSize: this.view.getUint32(offset + 20, true),
+                    localOffset: this.view.getUint32(offset + 42, true)
+                });
+            }
+            
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        
+        return this.entries;
+    }
+    
+    findEndOfCentralDirectory() {
+        // The record is 22 bytes plus a comment of up to 64KB
+        const last = this.bytes.length - 22;
+        for (let offset = last; offset >= Math.max(0, last - 0xffff); offset--) {
+            if (this.view.getUint32(offset, true) === 0x06054b50) {
+                return offset;
+            }
+        }
+        throw new Error(`${this.name} is not a zip archive`);
+    }
+    
+    async inflate(compressed) {
+        // Node: zlib; browser: the native DecompressionStream
+        if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+            return new Uint8Array(require('zlib').inflateRawSync(compressed));
+        }
+        
+        const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+// Picks the adapter for a CLI path argument: a folder, a .zip archive, a
+// .pbix file (itself a zip archive), or a .pbip / definition.pbir entry point
+function createNodeSource(inputPath) {
+    const fs = require('fs');
+    const path = require('path');
+    
+    if (!fs.existsSync(inputPath)) {
+        throw new Error(`Path not found: ${inputPath}`);
+    }
+    
+    // A .Report folder or its definition.pbir is opened from the parent
+    // folder, so the .SemanticModel folder its byPath datasetReference names
+    // can be read too; nothing else in the parent folder is listed
+    const reportDir = path.basename(inputPath) === 'definition.pbir' ? path.dirname(inputPath) : inputPath;
+    if (fs.existsSync(path.join(reportDir, 'definition.pbir')) && fs.statSync(reportDir).isDirectory()) {
+        const parentDir = path.dirname(path.resolve(reportDir));
+        const folders = [path.basename(path.resolve(reportDir))];
+        const modelDir = getModelFolder(path.join(reportDir, 'definition.pbir'));
+        if (modelDir && path.resolve(modelDir).startsWith(parentDir + path.sep)) {
+            folders.push(path.relative(parentDir, path.resolve(modelDir)));
+        }
+        
+        const source = new NodeDirectorySource(parentDir, folders);
+        source.entryPoint = `${folders[0]}/definition.pbir`;
+        return source;
+    }
+    
+    if (fs.statSync(inputPath).isDirectory()) {
+        return new NodeDirectorySource(inputPath);
+    } else if (/\.(zip|pbix)$/i.test(inputPath)) {
+        return new ZipFileSource(fs.readFileSync(inputPath), path.basename(inputPath));
+    } else if (/\.pbip$/i.test(inputPath)) {
+        const source = new NodeDirectorySource(path.dirname(inputPath));
+        source.entryPoint = path.basename(inputPath);
+        return source;
+    }
+    throw new Error(`Unsupported input: ${inputPath} (expected a folder, .zip, .pbix, .pbip or definition.pbir)`);
+}
+
+// Folder of the byPath datasetReference in a definition.pbir, or null
+function getModelFolder(definitionPath) {
+    const fs = require('fs');
+    const path = require('path');
+    
+    try {
+        const definition = JSON.parse(fs.readFileSync(definitionPath, 'utf8').replace(/^\uFEFF/, ''));
+        const reference = definition.datasetReference && definition.datasetReference.byPath;
+        return reference && reference.path ? path.join(path.dirname(definitionPath), reference.path) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Picks the adapter for a --model argument: a .SemanticModel folder or a
+// TMSL .bim file on its own
+function createModelSource(modelPath) {
+    const fs = require('fs');
+    const path = require('path');
+    
+    if (/\.bim$/i.test(modelPath) && fs.existsSync(modelPath)) {
+        return new MemoryFileSource({ 'model.bim': fs.readFileSync(modelPath, 'utf8') }, path.basename(modelPath));
+    }
+    return createNodeSource(modelPath);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BrowserFileSource, NodeDirectorySource, MemoryFileSource, ScopedFileSource, ZipFileSource, createNodeSource, createModelSource };
+}
\ No newline at end of file
@@ -0,0 +1,272 @@
+// Effective filter context.
+//
+// Stacks every filter that reaches one visual, outermost first: report
+// filters, page filters, drillthrough filters (page filters bound through
+// pageBinding), slicers on the same page (synced slicers included) and the
+// visual's own filters. Each entry says where it came from.
+//
+// Power BI intersects all of them, so notes call out what that means for
+// the numbers: several filters on one field, slicers whose interaction with
+// the visual is turned off, and measures whose DAX removes a filter with
+// ALL or REMOVEFILTERS.
+
+const contextDeps = typeof module !== 'undefined' && module.exports
+    ? Object.assign({}, require('./semantic-query'), require('./filter-describer'), require('./dax-generator'))
+    : { SemanticQuery, FilterDescriber, DaxGenerator };
+
+class FilterContextAnalyzer {
+    // model is the result of PBIRCore.parse
+    constructor(model) {
+        this.model = model;
+        this.describer = new contextDeps.FilterDescriber();
+        this.generator = new contextDeps.DaxGenerator(model.semanticModel || null);
+    }
+    
+    // { page, visual, filters: [{ level, source, field, description, dax, filter }],
+    //   ignored: [{ level, source, description, reason }], notes: [] }
+    getVisualContext(pageName, visualName) {
+        const page = (this.model.pages || {})[pageName];
+        const visual = (this.model.visuals || {})[`${pageName}:${visualName}`];
+        if (!page || !visual) {
+            return null;
+        }
+        
+        const filters = [];
+        const ignored = [];
+        const notes = [];
+        const add = (level, source, filter) => {
+            const entry = { level, source, field: this.getFilterField(filter), description: filter.description, dax: filter.dax || null, filter };
+            if (this.generator.getConditions(filter).length > 0) {
+                filters.push(entry);
+            }
+        };
+        
+        const report = this.model.report || {};
+        (report.filters || []).forEach(filter => add('report', 'Report', filter));
+        
+        const bound = this.getDrillthroughFilters(page);
+        (page.filters || []).forEach(filter => {
+            if (bound.has(filter.name) && this.generator.getConditions(filter).length === 0) {
+                notes.push(`${filter.field || filter.displayName} is set by the visual you drill through from`);
+            } else if (bound.has(filter.name)) {
+                add('drillthrough', `Drillthrough to "${page.displayName}"`, filter);
+            } else {
+                add('page', `Page "${page.displayName}"`, filter);
+            }
+        });
+        if (page.usage === 'Drillthrough') {
+            notes.push(page.pageBinding.acceptsFilterContext === 'None'
+                ? 'Drillthrough passes only the drillthrough fields; filters of the source page do not flow in'
+                : 'Drillthrough also brings the filters of the source page and visual');
+        }
+        
+        this.getPageSlicers(page, visual).forEach(({ slicer, filter, interaction }) => {
+            const source = this.describeSlicer(slicer);
+            if (interaction === 'NoFilter') {
+                ignored.push({ level: 'slicer', source, description: filter.description, reason: 'interaction with this visual is turned off' });
+            } else {
+                add('slicer', source, filter);
+            }
+        });
+        
+        (visual.filters || []).forEach(filter => add('visual', 'Visual', filter));
+        
+        notes.push(...this.describeIntersections(filters), ...this.describeMeasureOverrides(visual, filters));
+        
+        return {
+            page: page.displayName,
+            visual: visual.properties ? visual.properties.displayName : visual.name,
+            filters,
+            ignored,
+            notes
+        };
+    }
+    
+    // Names of the page filters a drillthrough binding fills in
+    getDrillthroughFilters(page) {
+        const binding = page.pageBinding;
+        if (!binding || page.usage !== 'Drillthrough') {
+            return new Set();
+        }
+        return new Set((binding.parameters || []).map(parameter => parameter.boundFilter).filter(Boolean));
+    }
+    
+    // Slicers on the page with a selection, as parsed filters; interaction is
+    // the visualInteractions type from the slicer to the target visual
+    getPageSlicers(page, target) {
+        const interactions = page.visualInteractions || [];
+        
+        return Object.values(page.visuals || {})
+            .filter(slicer => slicer.name !== target.name && this.isSlicer(slicer))
+            .map(slicer => {
+                const filter = this.getSlicerFilter(slicer);
+                const interaction = interactions.find(item => item.source === slicer.name && item.target === target.name);
+                return filter && { slicer, filter, interaction: interaction ? interaction.type : 'Default' };
+            })
+            .filter(Boolean);
+    }
+    
+    isSlicer(visual) {
+        return /slicer/i.test(visual.visual && visual.visual.visualType || '');
+    }
+    
+    // The selection is stored as a FilterDefinition in objects.general
+    getSlicerFilter(slicer) {
+        const general = slicer.visual.objects && slicer.visual.objects.general || [];
+        const entry = general.find(item => item.properties && item.properties.filter && item.properties.filter.filter);
+        if (!entry) {
+            return null;
+        }
+        
+        const definition = entry.properties.filter.filter;
+        const query = contextDeps.SemanticQuery.decodeFilter(definition);
+        if (query.where.length === 0) {
+            return null;
+        }
+        
+        const projection = Object.values(slicer.visual.query && slicer.visual.query.queryState || {})
+            .flatMap(role => role.projections || [])[0];
+        const container = {
+            name: slicer.name,
+            type: query.where.every(where => where.condition && where.condition.type === 'In') ? 'Categorical' : 'Advanced',
+            field: projection ? projection.field : undefined,
+            filter: definition
+        };
+        const filter = {
+            name: slicer.name,
+            displayName: slicer.properties ? slicer.properties.displayName : slicer.name,
+            type: container.type,
+            level: 'slicer',
+            fieldExpression: container.field,
+            query,
+            conditionText: contextDeps.SemanticQuery.formatFilter(query),
+            description: this.describer.describe(container, query)
+        };
+        filter.dax = this.generator.generateFilter(filter);
+        return filter;
+    }
+    
+    describeSlicer(slicer) {
+        const name = slicer.properties ? slicer.properties.displayName : slicer.name;
+        const details = [];
+        if (slicer.isHidden) {
+            details.push('hidden');
+        }
+        
+        const group = slicer.visual.syncGroup;
+        if (group && group.groupName) {
+            const pages = Object.values(this.model.visuals || {})
+                .filter(other => other !== slicer && other.visual && other.visual.syncGroup && other.visual.syncGroup.groupName === group.groupName)
+                .map(other => (this.model.pages[other.pageName] || {}).displayName || other.pageName);
+            const synced = group.filterChanges === false ? 'in sync group' : 'synced';
+            details.push(pages.length > 0 ? `${synced} with ${Array.from(new Set(pages)).join(', ')}` : `${synced} group ${group.groupName}`);
+        }
+        
+        return `Slicer "${name}"${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+    }
+    
+    // The decoded field a filter is on: the FilterContainer field, or the
+    // first column its condition tests
+    getFilterField(filter) {
+        if (filter.fieldExpression) {
+            return contextDeps.SemanticQuery.decode(filter.fieldExpression);
+        }
+        
+        const condition = this.generator.getConditions(filter)[0];
+        return condition ? this.generator.collectReferences(condition)[0] || null : null;
+    }
+    
+    // Several filters on the same field all apply; when they are plain value
+    // lists, say which values are left
+    describeIntersections(filters) {
+        const byField = new Map();
+        filters.forEach(entry => {
+            const key = entry.field ? contextDeps.SemanticQuery.format(entry.field) : null;
+            if (!key) return;
+            if (!byField.has(key)) {
+                byField.set(key, []);
+            }
+            byField.get(key).push(entry);
+        });
+        
+        const notes = [];
+        for (const entries of byField.values()) {
+            if (entries.length < 2) continue;
+            
+            const subject = this.describer.describeSubject(entries[0].field);
+            const sources = entries.map(entry => entry.source).join(', ');
+            const lists = entries.map(entry => this.getValueList(entry.filter));
+            
+            if (lists.every(Boolean)) {
+                const remaining = lists.reduce((kept, values) => kept.filter(value => values.includes(value)));
+                notes.push(remaining.length > 0
+                    ? `${subject} is filtered by ${sources}; they intersect, leaving ${remaining.join(', ')}`
+                    : `${subject} is filtered by ${sources}; they intersect and no value is left, so the visual is blank`);
+            } else {
+                notes.push(`${subject} is filtered by ${sources}; all of them apply (intersection)`);
+            }
+        }
+        return notes;
+    }
+    
+    // Values of a single-column "is one of" filter, as text; null otherwise
+    getValueList(filter) {
+        const conditions = this.generator.getConditions(filter);
+        const condition = conditions.length === 1 ? conditions[0] : null;
+        if (!condition || condition.type !== 'In' || condition.table || condition.expressions.length !== 1) {
+            return null;
+        }
+        return condition.values.map(values => this.describer.describeValue(values[0]));
+    }
+    
+    // Measures of the visual whose DAX clears filters on a filtered table or
+    // column ignore those filters
+    describeMeasureOverrides(visual, filters) {
+        const notes = [];
+        const measures = (visual.fields && visual.fields.measures || []).filter(field => field.modelObject && field.modelObject.expression);
+        
+        measures.forEach(field => {
+            const removed = this.findRemovedFilters(field.modelObject.expression);
+            filters.forEach(entry => {
+                const node = entry.field || {};
+                const table = String(node.table || '').toLowerCase();
+                const column = String(node.property || '').toLowerCase();
+                const cleared = removed.find(item => item.table === table && (item.column === null || item.column === column));
+                if (table && cleared) {
+                    notes.push(`[${field.property}] uses ${cleared.fn}, so "${entry.description}" (${entry.source}) does not affect it`);
+                }
+            });
+        });
+        return notes;
+    }
+    
+    // Tables and columns a DAX expression clears with ALL, REMOVEFILTERS,
+    // ALLNOBLANKROW or ALLCROSSFILTERED: [{ fn, table, column | null }]
+    findRemovedFilters(expression) {
+        const removed = [];
+        const code = String(expression)
+            .replace(/"(?:[^"]|"")*"/g, '""')
+            .replace(/\/\*[\s\S]*?\*\//g, ' ')
+            .replace(/(\/\/|--).*$/gm, '');
+        const call = /\b(ALL|REMOVEFILTERS|ALLNOBLANKROW|ALLCROSSFILTERED)\s*\(([^()]*)\)/gi;
+        let match;
+        
+        while ((match = call.exec(code)) !== null) {
+            const fn = match[1].toUpperCase();
+            match[2].split(',').map(argument => argument.trim()).filter(Boolean).forEach(argument => {
+                const reference = /^(?:'((?:[^']|'')+)'|([A-Za-z_][\w]*))?\s*(?:\[([^\]]+)\])?$/.exec(argument);
+                if (!reference) return;
+                
+                const table = reference[1] !== undefined ? reference[1].replace(/''/g, "'") : reference[2];
+                if (table) {
+                    removed.push({ fn, table: table.toLowerCase(), column: reference[3] ? reference[3].toLowerCase() : null });
+                }
+            });
+        }
+        return removed;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FilterContextAnalyzer };
+}
\ No newline at end of file
@@ -0,0 +1,392 @@
+// Filter sentences.
+//
+// Turns a FilterContainer (filterConfiguration_schema.json) into one sentence
+// a business reviewer can read, e.g. "Region is one of West, East (excluding
+// blanks)", "Top 10 Product by Sum of Sales" or "Order Date is in the last 3
+// calendar months". Conditions are read from the decoded SemanticQuery tree
+// (semantic-query.js); shapes without a dedicated phrase fall back to the
+// printed expression, so a sentence is always produced.
+
+const describerDeps = typeof module !== 'undefined' && module.exports
+    ? require('./semantic-query')
+    : { SemanticQuery };
+
+class FilterDescriber {
+    // query is the decoded filter definition, when the caller already has it
+    describe(filterContainer, query = describerDeps.SemanticQuery.decodeFilter(filterContainer.filter)) {
+        const type = filterContainer.type || 'Unknown';
+        const field = filterContainer.field ? this.describeSubject(describerDeps.SemanticQuery.decode(filterContainer.field)) : null;
+        const conditions = query ? query.where.map(where => where.condition).filter(Boolean) : [];
+        
+        if (type === 'Passthrough') {
+            return filterContainer.restatement || `${field || 'Filter'} is not restricted (passthrough)`;
+        }
+        if (conditions.length === 0) {
+            return `${field || 'Filter'} is not filtered`;
+        }
+        
+        const sentences = conditions.map(condition => condition.type === 'VisualTopN'
+            ? `Top ${condition.itemCount} ${field || 'items'}`
+            : this.describeTyped(type, condition));
+        return sentences.join('; and ');
+    }
+    
+    describeTyped(type, condition) {
+        switch (type) {
+            case 'TopN':
+                return this.describeTopN(condition) || this.describeCondition(condition);
+            case 'RelativeDate':
+            case 'RelativeTime':
+                return this.describeRelative(condition) || this.describeCondition(condition);
+            case 'Include':
+                return `Only data points where ${this.describeCondition(condition)}`;
+            case 'Exclude':
+                // Exclusions are stored as NOT (...); state what is left out
+                return `Excludes data points where ${this.describeCondition(condition.type === 'Not' ? condition.expression : condition)}`;
+        }
+        return this.describeCondition(condition);
+    }
+    
+    // Sentence for a boolean condition node
+    describeCondition(node) {
+        if (!node) return '';
+        
+        switch (node.type) {
+            case 'In':
+                return this.describeIn(node, false);
+            case 'Not':
+                return this.describeNot(node.expression);
+            case 'Comparison':
+                return this.describeComparison(node, false);
+            case 'Between':
+                return `${this.describeSubject(node.expression)} between ${this.describeValue(node.lowerBound)} and ${this.describeValue(node.upperBound)}`;
+            case 'Contains':
+                return `${this.describeSubject(node.left)} contains ${this.describeText(node.right)}`;
+            case 'StartsWith':
+                return `${this.describeSubject(node.left)} starts with ${this.describeText(node.right)}`;
+            case 'Exists':
+                return `${this.describeSubject(node.expression)} has data`;
+            case 'And':
+            case 'Or':
+                return this.describeJunction(node);
+            case 'VisualTopN':
+                return `Top ${node.itemCount} items`;
+        }
+        return describerDeps.SemanticQuery.format(node);
+    }
+    
+    describeNot(node) {
+        if (!node) return '';
+        
+        switch (node.type) {
+            case 'In':
+                return this.describeIn(node, true);
+            case 'Comparison':
+                return this.describeComparison(node, true);
+            case 'Contains':
+                return `${this.describeSubject(node.left)} does not contain ${this.describeText(node.right)}`;
+            case 'StartsWith':
+                return `${this.describeSubject(node.left)} does not start with ${this.describeText(node.right)}`;
+            case 'Between':
+                return `${this.describeSubject(node.expression)} not between ${this.describeValue(node.lowerBound)} and ${this.describeValue(node.upperBound)}`;
+            case 'Exists':
+                return `${this.describeSubject(node.expression)} has no data`;
+        }
+        return `not (${this.describeCondition(node)})`;
+    }
+    
+    // "Region is one of West, East", "(Region, Product) is (West, Bike)";
+    // blank (null) values are called out rather than listed
+    describeIn(node, negated) {
+        if (node.table) {
+            return `${node.expressions.map(expression => this.describeSubject(expression)).join(', ')} ${negated ? 'is not in' : 'is in'} ${describerDeps.SemanticQuery.format(node.table)}`;
+        }
+        
+        const tuple = node.expressions.length > 1;
+        const subject = tuple
+            ? `(${node.expressions.map(expression => this.describeSubject(expression)).join(', ')})`
+            : this.describeSubject(node.expressions[0]);
+        const isBlank = values => values.every(value => value && value.type === 'Literal' && value.value === null);
+        const blanks = !tuple && node.values.some(isBlank);
+        const values = node.values
+            .filter(values => tuple || !isBlank(values))
+            .map(values => tuple ? `(${values.map(value => this.describeValue(value)).join(', ')})` : this.describeValue(values[0]));
+        
+        if (values.length === 0) {
+            return `${subject} ${negated ? 'is not blank' : 'is blank'}`;
+        }
+        
+        const list = values.length === 1
+            ? `${negated ? 'is not' : 'is'} ${values[0]}`
+            : `${negated ? 'is not one of' : 'is one of'} ${values.join(', ')}`;
+        const blankNote = blanks ? (negated ? ' (excluding blanks)' : ' (including blanks)') : '';
+        return `${subject} ${list}${blankNote}`;
+    }
+    
+    describeComparison(node, negated) {
+        const subject = this.describeSubject(node.left);
+        const right = node.right || {};
+        
+        if (right.type === 'Literal' && right.value === null && node.comparisonKind === 'Equal') {
+            return `${subject} ${negated ? 'is not blank' : 'is blank'}`;
+        }
+        if (right.type === 'Literal' && right.value === '' && node.comparisonKind === 'Equal') {
+            return `${subject} ${negated ? 'is not empty' : 'is empty'}`;
+        }
+        
+        const phrase = (negated ? FilterDescriber.negatedComparisons : FilterDescriber.comparisons)[node.comparisonKind] || node.comparisonKind;
+        return `${subject} ${phrase} ${this.describeValue(right)}`;
+    }
+    
+    // Conditions on one field merge into one sentence: "Amount between 100
+    // and 500", "Name contains "a" or starts with "b""
+    describeJunction(node) {
+        const word = node.type === 'And' ? 'and' : 'or';
+        const parts = this.flattenJunction(node, node.type);
+        
+        if (node.type === 'And' && parts.length === 2) {
+            const range = this.describeRange(parts[0], parts[1]) || this.describeRange(parts[1], parts[0]);
+            if (range) return range;
+            
+            // "X is one of ..." AND "X is not blank"
+            const blankIndex = parts.findIndex(part => this.isNotBlank(part));
+            if (blankIndex !== -1) {
+                const other = parts[1 - blankIndex];
+                if (this.sameSubject(other, parts[blankIndex])) {
+                    return `${this.describeCondition(other)} (excluding blanks)`;
+                }
+            }
+        }
+        
+        const sentences = parts.map(part => this.describeCondition(part));
+        const subjects = parts.map(part => this.getConditionSubject(part));
+        if (subjects[0] && subjects.every(subject => subject === subjects[0])) {
+            // State the subject once: "Amount is greater than 1 and is less than 5"
+            return [sentences[0], ...sentences.slice(1).map(sentence => sentence.slice(subjects[0].length + 1))].join(` ${word} `);
+        }
+        return sentences.map(sentence => parts.length > 1 && /\b(and|or)\b/.test(sentence) ? `(${sentence})` : sentence).join(` ${word} `);
+    }
+    
+    flattenJunction(node, type) {
+        if (node && node.type === type) {
+            return [...this.flattenJunction(node.left, type), ...this.flattenJunction(node.right, type)];
+        }
+        return [node];
+    }
+    
+    describeRange(lower, upper) {
+        const isBound = (node, kinds) => node && node.type === 'Comparison' && kinds.includes(node.comparisonKind);
+        if (isBound(lower, ['GreaterThanOrEqual']) && isBound(upper, ['LessThanOrEqual']) && this.sameSubject(lower, upper)) {
+            return `${this.describeSubject(lower.left)} between ${this.describeValue(lower.right)} and ${this.describeValue(upper.right)}`;
+        }
+        return null;
+    }
+    
+    isNotBlank(node) {
+        if (!node || node.type !== 'Not') return false;
+        
+        const inner = node.expression || {};
+        if (inner.type === 'In' && inner.expressions.length === 1 && !inner.table) {
+            return inner.values.length === 1 && inner.values[0][0] && inner.values[0][0].type === 'Literal' && inner.values[0][0].value === null;
+        }
+        return inner.type === 'Comparison' && inner.comparisonKind === 'Equal' && inner.right && inner.right.type === 'Literal' && inner.right.value === null;
+    }
+    
+    sameSubject(left, right) {
+        const subject = this.getConditionSubject(left);
+        return subject !== null && subject === this.getConditionSubject(right);
+    }
+    
+    getConditionSubject(node) {
+        if (!node) return null;
+        
+        switch (node.type) {
+            case 'Not':
+                return this.getConditionSubject(node.expression);
+            case 'Comparison':
+            case 'Contains':
+            case 'StartsWith':
+                return this.describeSubject(node.left);
+            case 'Between':
+                return this.describeSubject(node.expression);
+            case 'In':
+                return node.expressions.length === 1 ? this.describeSubject(node.expressions[0]) : null;
+        }
+        return null;
+    }
+    
+    // "Top 10 Product by Sum of Sales": the column is kept when it is in the
+    // subquery's first N rows ordered by the ranking expression
+    describeTopN(condition) {
+        const table = condition.type === 'In' ? condition.table : null;
+        const query = table && table.expression && table.expression.type === 'Subquery' ? table.expression.query : null;
+        if (!query || query.top === null || query.orderBy.length === 0) {
+            return null;
+        }
+        
+        const order = query.orderBy[0];
+        const subject = this.describeSubject(condition.expressions[0] || query.select[0]);
+        const direction = order.direction === 'Ascending' ? 'Bottom' : 'Top';
+        return `${direction} ${query.top} ${subject} by ${this.describeSubject(order.expression)}`;
+    }
+    
+    // Relative date/time filters compare the field with DateSpan/DateAdd
+    // offsets from Now(); the offsets are read back into "last 3 months"
+    describeRelative(condition) {
+        if (condition.type !== 'Between') {
+            return null;
+        }
+        
+        const subject = this.describeSubject(condition.expression);
+        const lower = this.readRelativeBound(condition.lowerBound);
+        const upper = this.readRelativeBound(condition.upperBound);
+        if (!lower || !upper) {
+            return null;
+        }
+        
+        const phrase = this.describeRelativeRange(lower, upper);
+        return phrase ? `${subject} is ${phrase}` : null;
+    }
+    
+    // { span: 'Month' | null, adds: [{ unit: 'Day', amount: 1 }, ...] }, the
+    // DateAdd steps applied to Now() from the inside out
+    readRelativeBound(node) {
+        let span = null;
+        const adds = [];
+        
+        if (node && node.type === 'DateSpan') {
+            span = node.timeUnit;
+            node = node.expression;
+        }
+        while (node && node.type === 'DateAdd') {
+            adds.unshift({ unit: node.timeUnit, amount: node.amount });
+            node = node.expression;
+        }
+        
+        return node && node.type === 'Now' ? { span, adds } : null;
+    }
+    
+    describeRelativeRange(lower, upper) {
+        const plural = (count, unit) => count === 1 ? unit.toLowerCase() : `${count} ${unit.toLowerCase()}s`;
+        const isToday = add => add.unit === 'Day' && add.amount === 1;
+        
+        // Rolling periods are truncated to days (or not at all for relative time)
+        const rolling = lower.span === upper.span && [null, 'Day', 'Minute', 'Second'].includes(lower.span);
+        
+        // Rolling periods ending now: N units back, plus one day when today is included
+        if (rolling && upper.adds.length === 0) {
+            const steps = lower.adds.length === 2 && isToday(lower.adds[0]) ? lower.adds.slice(1) : lower.adds;
+            if (steps.length === 1 && steps[0].amount < 0) {
+                return `in the last ${plural(-steps[0].amount, steps[0].unit)}`;
+            }
+        }
+        
+        // Rolling periods starting now: N units ahead, minus one day
+        if (rolling && lower.adds.length === 0) {
+            const steps = upper.adds.length === 2 && upper.adds[0].unit === 'Day' && upper.adds[0].amount === -1 ? upper.adds.slice(1) : upper.adds;
+            if (steps.length === 1 && steps[0].amount > 0) {
+                return `in the next ${plural(steps[0].amount, steps[0].unit)}`;
+            }
+        }
+        
+        // Calendar periods: both bounds truncated to the same unit
+        const unit = lower.span;
+        if (unit && unit === upper.span && [...lower.adds, ...upper.adds].every(add => add.unit === unit)) {
+            const from = lower.adds.reduce((sum, add) => sum + add.amount, 0);
+            const to = upper.adds.reduce((sum, add) => sum + add.amount, 0);
+            const current = unit === 'Day' ? 'today' : `in this ${unit.toLowerCase()}`;
+            
+            if (from === 0 && to === 0) {
+                return current;
+            } else if (to === -1 && from < 0) {
+                return `in the last ${plural(-from, `calendar ${unit}`)}`;
+            } else if (from === 1 && to > 0) {
+                return `in the next ${plural(to, `calendar ${unit}`)}`;
+            } else if (to === 0 && from < 0) {
+                return `in the last ${plural(-from, `calendar ${unit}`)} or ${current}`;
+            }
+        }
+        
+        return null;
+    }
+    
+    // Field name as reviewers know it: "Sales", "Sum of Amount", "Order Date (Year)"
+    describeSubject(node) {
+        if (!node) return 'Unknown field';
+        
+        switch (node.type) {
+            case 'Column':
+            case 'Measure':
+            case 'GroupRef':
+                return node.property;
+            case 'Aggregation':
+                return `${FilterDescriber.aggregationNames[node.function] || node.function} of ${this.describeSubject(node.expression)}`;
+            case 'Min':
+            case 'Max':
+                return `${node.type} of ${this.describeSubject(node.expression)}`;
+            case 'HierarchyLevel': {
+                const source = node.expression && node.expression.expression;
+                return source && source.type === 'PropertyVariationSource' ? `${source.property} (${node.level})` : node.level;
+            }
+            case 'Hierarchy':
+                return node.hierarchy;
+            case 'PropertyVariationSource':
+                return node.property;
+        }
+        return describerDeps.SemanticQuery.format(node);
+    }
+    
+    describeValue(node) {
+        if (!node) return '';
+        if (node.type !== 'Literal') {
+            return describerDeps.SemanticQuery.format(node);
+        }
+        
+        switch (node.dataType) {
+            case 'Null':
+                return '(Blank)';
+            case 'Boolean':
+                return node.value ? 'True' : 'False';
+            case 'DateTime':
+                return node.value.replace(/T00:00:00(\.0+)?$/, '').replace('T', ' ');
+        }
+        return String(node.value);
+    }
+    
+    // Search text keeps its quotes so spaces stay visible
+    describeText(node) {
+        return node && node.type === 'Literal' && node.dataType === 'String' ? `"${node.value}"` : this.describeValue(node);
+    }
+}
+
+FilterDescriber.comparisons = {
+    Equal: 'is',
+    GreaterThan: 'is greater than',
+    GreaterThanOrEqual: 'is greater than or equal to',
+    LessThan: 'is less than',
+    LessThanOrEqual: 'is less than or equal to'
+};
+
+FilterDescriber.negatedComparisons = {
+    Equal: 'is not',
+    GreaterThan: 'is not greater than',
+    GreaterThanOrEqual: 'is not greater than or equal to',
+    LessThan: 'is not less than',
+    LessThanOrEqual: 'is not less than or equal to'
+};
+
+FilterDescriber.aggregationNames = {
+    Sum: 'Sum',
+    Average: 'Average',
+    DistinctCount: 'Count (Distinct)',
+    Min: 'Min',
+    Max: 'Max',
+    Count: 'Count',
+    Median: 'Median',
+    StandardDeviation: 'Standard deviation',
+    Variance: 'Variance'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FilterDescriber };
+}
\ No newline at end of file
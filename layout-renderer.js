@@ -8,6 +8,9 @@ class LayoutRenderer {
         this.selectedVisual = null;
         this.visualElements = [];
         this.pageData = null;
+        this.interactions = [];
+        this.mode = 'desktop';
+        this.theme = null;
         
         this.setupCanvas();
         this.bindEvents();
@@ -36,23 +39,144 @@ class LayoutRenderer {
         this.clearCanvas();
         
         if (!pageData || !pageData.visuals) {
-            this.drawEmptyState();
+            this.drawEmptyState('No visuals found in this page');
+            return;
+        }
+        
+        // The phone layout only holds the visuals placed on it
+        const visuals = Object.fromEntries(Object.entries(pageData.visuals).filter(([, visualData]) => this.mode === 'desktop' || visualData.mobileLayout));
+        if (Object.keys(visuals).length === 0) {
+            this.drawEmptyState('This page has no phone layout');
             return;
         }
         
         // Calculate optimal scale and offset
-        this.calculateViewport(pageData.visuals);
+        this.calculateViewport(visuals);
         
         // Draw page background
-        this.drawPageBackground();
+        this.drawPageBackground(visuals);
         
-        // Draw all visuals
-        Object.entries(pageData.visuals).forEach(([visualName, visualData]) => {
+        // Draw all visuals, then group outlines on top; groups come last in
+        // visualElements so a click inside a group selects the visual under it
+        const entries = Object.entries(visuals);
+        entries.filter(([, visualData]) => !visualData.visualGroup).forEach(([visualName, visualData]) => {
             this.drawVisual(visualName, visualData);
         });
+        entries.filter(([, visualData]) => visualData.visualGroup).forEach(([visualName, visualData]) => {
+            this.drawGroup(visualName, visualData);
+        });
         
         // Draw grid if needed
         this.drawGrid();
+        
+        // Draw what selecting the selected visual does to the others
+        this.drawInteractions();
+    }
+    
+    // 'desktop' or 'mobile': the phone layout draws mobile.json positions
+    // and formatting on the phone canvas
+    setMode(mode) {
+        this.mode = mode;
+        if (this.pageData) {
+            this.renderPage(this.pageData);
+        }
+    }
+    
+    // Resolved report theme (PBIRCore model.theme): page background, title
+    // fonts and field colours follow the report's palette
+    setTheme(theme) {
+        this.theme = theme;
+    }
+    
+    getLayout(visualData) {
+        return (this.mode === 'mobile' ? visualData.mobileLayout : visualData.layout) || {};
+    }
+    
+    getFormatting(visualData) {
+        return (this.mode === 'mobile' ? visualData.mobileFormatting : visualData.formatting) || {};
+    }
+    
+    // interactions from PBIRCore.getInteractionMatrix for the page about to
+    // be rendered
+    setInteractions(matrix) {
+        this.interactions = matrix ? matrix.interactions : [];
+    }
+    
+    drawInteractions() {
+        const source = this.selectedVisual && this.visualElements.find(element => element.data === this.selectedVisual);
+        if (!source) return;
+        
+        const outgoing = this.interactions.filter(interaction => interaction.source === source.name);
+        outgoing.forEach(interaction => {
+            const target = this.visualElements.find(element => element.name === interaction.target);
+            if (target) {
+                this.drawInteractionArrow(source.bounds, target.bounds, interaction.type);
+            }
+        });
+        
+        if (outgoing.length > 0) {
+            this.drawInteractionLegend();
+        }
+    }
+    
+    // From the source's centre to the edge of the target; "none" is a dashed
+    // line without a head
+    drawInteractionArrow(from, to, type) {
+        const startX = from.x + from.width / 2;
+        const startY = from.y + from.height / 2;
+        const centerX = to.x + to.width / 2;
+        const centerY = to.y + to.height / 2;
+        const dx = centerX - startX;
+        const dy = centerY - startY;
+        if (dx === 0 && dy === 0) return;
+        
+        // Shorten the line to where it enters the target rectangle
+        const edge = Math.min(
+            dx !== 0 ? (to.width / 2) / Math.abs(dx) : Infinity,
+            dy !== 0 ? (to.height / 2) / Math.abs(dy) : Infinity
+        );
+        const endX = centerX - dx * Math.min(edge, 1);
+        const endY = centerY - dy * Math.min(edge, 1);
+        
+        const color = LayoutRenderer.interactionColors[type] || LayoutRenderer.interactionColors.NoFilter;
+        this.ctx.save();
+        this.ctx.strokeStyle = color;
+        this.ctx.fillStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash(type === 'NoFilter' ? [4, 4] : []);
+        this.ctx.beginPath();
+        this.ctx.moveTo(startX, startY);
+        this.ctx.lineTo(endX, endY);
+        this.ctx.stroke();
+        
+        if (type !== 'NoFilter') {
+            const angle = Math.atan2(dy, dx);
+            const head = 10;
+            this.ctx.setLineDash([]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(endX, endY);
+            this.ctx.lineTo(endX - head * Math.cos(angle - Math.PI / 6), endY - head * Math.sin(angle - Math.PI / 6));
+            this.ctx.lineTo(endX - head * Math.cos(angle + Math.PI / 6), endY - head * Math.sin(angle + Math.PI / 6));
+            this.ctx.closePath();
+            this.ctx.fill();
+        }
+        this.ctx.restore();
+    }
+    
+    drawInteractionLegend() {
+        const labels = { DataFilter: 'filters', HighlightFilter: 'highlights', NoFilter: 'no interaction' };
+        let x = 10;
+        const y = 16;
+        
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+        Object.entries(labels).forEach(([type, label]) => {
+            this.ctx.fillStyle = LayoutRenderer.interactionColors[type];
+            this.ctx.fillRect(x, y - 8, 12, 4);
+            this.ctx.fillStyle = '#333';
+            this.ctx.fillText(label, x + 16, y - 2);
+            x += 24 + this.ctx.measureText(label).width;
+        });
     }
     
     calculateViewport(visuals) {
@@ -60,7 +184,7 @@ class LayoutRenderer {
         let maxX = -Infinity, maxY = -Infinity;
         
         Object.values(visuals).forEach(visual => {
-            const layout = visual.layout || {};
+            const layout = this.getLayout(visual);
             const x = layout.x || 0;
             const y = layout.y || 0;
             const width = layout.width || 100;
@@ -92,24 +216,30 @@ class LayoutRenderer {
         this.offsetY = (canvasHeight - (contentHeight * this.scale)) / 2 - (minY * this.scale) + (padding * this.scale);
     }
     
-    drawPageBackground() {
+    drawPageBackground(visuals) {
         const rect = this.canvas.getBoundingClientRect();
         this.ctx.fillStyle = '#ffffff';
         this.ctx.fillRect(0, 0, rect.width, rect.height);
         
+        // The phone canvas is as long as its content
+        const width = this.mode === 'mobile' ? LayoutRenderer.mobilePageWidth : 1280; // Standard Power BI page width
+        const height = this.mode === 'mobile'
+            ? Math.max(...Object.values(visuals).map(visual => (visual.mobileLayout.y || 0) + (visual.mobileLayout.height || 0)))
+            : 720; // Standard Power BI page height
+        
+        if (this.theme && this.theme.colors.background) {
+            this.ctx.fillStyle = this.theme.colors.background;
+            this.ctx.fillRect(this.offsetX, this.offsetY, width * this.scale, height * this.scale);
+        }
+        
         // Draw page border
         this.ctx.strokeStyle = '#e0e0e0';
         this.ctx.lineWidth = 2;
-        this.ctx.strokeRect(
-            this.offsetX,
-            this.offsetY,
-            1280 * this.scale, // Standard Power BI page width
-            720 * this.scale   // Standard Power BI page height
-        );
+        this.ctx.strokeRect(this.offsetX, this.offsetY, width * this.scale, height * this.scale);
     }
     
     drawVisual(visualName, visualData) {
-        const layout = visualData.layout || {};
+        const layout = this.getLayout(visualData);
         const x = (layout.x || 0) * this.scale + this.offsetX;
         const y = (layout.y || 0) * this.scale + this.offsetY;
         const width = (layout.width || 100) * this.scale;
@@ -122,6 +252,12 @@ class LayoutRenderer {
             bounds: { x: x, y: y, width: width, height: height }
         });
         
+        // Hidden visuals, and visuals in a hidden group, are drawn faded
+        this.ctx.save();
+        if (visualData.isHidden || visualData.hiddenByGroup) {
+            this.ctx.globalAlpha = 0.35;
+        }
+        
         // Draw visual background
         const bgColor = this.getVisualBackgroundColor(visualData);
         this.ctx.fillStyle = bgColor;
@@ -142,11 +278,48 @@ class LayoutRenderer {
         
         // Draw field indicators
         this.drawFieldIndicators(x, y, width, height, visualData);
+        this.ctx.restore();
+    }
+    
+    // Groups have no content of their own: a dashed outline with the group
+    // name and layout mode above it
+    drawGroup(visualName, visualData) {
+        const layout = this.getLayout(visualData);
+        const x = (layout.x || 0) * this.scale + this.offsetX;
+        const y = (layout.y || 0) * this.scale + this.offsetY;
+        const width = (layout.width || 100) * this.scale;
+        const height = (layout.height || 100) * this.scale;
+        
+        this.visualElements.push({
+            name: visualName,
+            data: visualData,
+            bounds: { x: x, y: y, width: width, height: height }
+        });
+        
+        const selected = visualData === this.selectedVisual;
+        this.ctx.save();
+        if (visualData.isHidden || visualData.hiddenByGroup) {
+            this.ctx.globalAlpha = 0.35;
+        }
+        this.ctx.strokeStyle = selected ? '#f7931e' : '#8a8886';
+        this.ctx.lineWidth = selected ? 3 : 1;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.strokeRect(x, y, width, height);
+        this.ctx.setLineDash([]);
+        
+        const mode = visualData.visualGroup.groupMode === 'ScrollMode' ? 'scroll' : 'scale';
+        this.ctx.fillStyle = '#605e5c';
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`▣ ${visualData.properties?.displayName || visualName} (${mode})`, x + 2, y - 4);
+        this.ctx.restore();
     }
     
     getVisualBackgroundColor(visualData) {
-        if (visualData.formatting && visualData.formatting.background && visualData.formatting.background.color) {
-            return visualData.formatting.background.color;
+        // Theme colors and conditional expressions arrive as text, not CSS colors
+        const background = this.getFormatting(visualData).background;
+        if (background && /^(#|rgba?\()/i.test(String(background.color))) {
+            return background.color;
         }
         
         const visualType = visualData.properties?.type || 'unknown';
@@ -218,10 +391,12 @@ class LayoutRenderer {
     }
     
     drawVisualTitle(x, y, width, visualName, visualData) {
-        const title = visualData.properties?.title || visualName;
+        const mobileTitle = this.mode === 'mobile' && this.getFormatting(visualData).title;
+        const title = (mobileTitle && typeof mobileTitle.text === 'string' && mobileTitle.text) || visualData.properties?.displayName || visualName;
         
-        this.ctx.fillStyle = '#333';
-        this.ctx.font = 'bold 12px Arial';
+        const font = this.getFormatting(visualData).title || {};
+        this.ctx.fillStyle = /^#/.test(font.fontColor || '') ? font.fontColor : '#333';
+        this.ctx.font = `bold 12px ${font.fontFamily || 'Arial'}`;
         this.ctx.textAlign = 'left';
         
         // Truncate title if too long
@@ -248,7 +423,7 @@ class LayoutRenderer {
         
         // Draw measures
         if (measures.length > 0) {
-            this.ctx.fillStyle = '#0078d4';
+            this.ctx.fillStyle = this.getPaletteColor(0, '#0078d4');
             this.ctx.font = '10px Arial';
             this.ctx.fillText(`📏 ${measures.length} measure(s)`, x + 5, y + yOffset);
             yOffset += lineHeight;
@@ -256,7 +431,7 @@ class LayoutRenderer {
         
         // Draw dimensions
         if (dimensions.length > 0) {
-            this.ctx.fillStyle = '#107c10';
+            this.ctx.fillStyle = this.getPaletteColor(1, '#107c10');
             this.ctx.font = '10px Arial';
             this.ctx.fillText(`📊 ${dimensions.length} dimension(s)`, x + 5, y + yOffset);
             yOffset += lineHeight;
@@ -271,6 +446,10 @@ class LayoutRenderer {
         }
     }
     
+    getPaletteColor(index, fallback) {
+        return this.theme && this.theme.dataColors[index] || fallback;
+    }
+    
     drawGrid() {
         const gridSize = 20 * this.scale;
         const rect = this.canvas.getBoundingClientRect();
@@ -295,13 +474,13 @@ class LayoutRenderer {
         }
     }
     
-    drawEmptyState() {
+    drawEmptyState(message) {
         const rect = this.canvas.getBoundingClientRect();
         
         this.ctx.fillStyle = '#666';
         this.ctx.font = '16px Arial';
         this.ctx.textAlign = 'center';
-        this.ctx.fillText('No visuals found in this page', rect.width / 2, rect.height / 2);
+        this.ctx.fillText(message, rect.width / 2, rect.height / 2);
     }
     
     clearCanvas() {
@@ -379,4 +558,13 @@ class LayoutRenderer {
         link.href = this.canvas.toDataURL();
         link.click();
     }
-}
\ No newline at end of file
+}
+
+LayoutRenderer.interactionColors = {
+    DataFilter: '#0078d4',
+    HighlightFilter: '#8764b8',
+    NoFilter: '#a0a0a0'
+};
+
+// Phone canvas width as the mobile layout editor saves it (six 54px columns)
+LayoutRenderer.mobilePageWidth = 324;
\ No newline at end of file
@@ -0,0 +1,354 @@
+// Input adapter for legacy report layouts.
+//
+// Older reports keep the whole layout in one document: the UTF-16 Report/Layout
+// part of a .pbix, or report.json in a PBIP project still saved as PBIR-Legacy.
+// Pages live in sections[], visuals in sections[].visualContainers[], and most
+// settings are stringified JSON (config, filters). LegacyLayoutSource converts
+// that document into the folder-per-visual PBIR files PBIRCore already reads,
+// and passes every other file of the wrapped source through unchanged.
+
+class LegacyLayoutSource {
+    constructor(layout, options = {}) {
+        this.source = options.source || null;
+        this.layoutPath = options.layoutPath || 'Report/Layout';
+        this.format = options.format || 'PBIR-Legacy';
+        this.name = options.name || (this.source ? this.source.name : 'legacy');
+        this.prefix = this.layoutPath.replace(/[^\/]*$/, '');
+        this.files = new Map();
+        this.warnings = [];
+        this.convertLayout(layout);
+    }
+    
+    // Wraps the source when it holds a legacy layout; resolves to null otherwise
+    static async open(source) {
+        const files = await source.listFiles();
+        
+        const pbixLayout = files.find(filePath => /(^|\/)Report\/Layout$/.test(filePath));
+        if (pbixLayout && source.readBytes) {
+            const layout = JSON.parse(LegacyLayoutSource.decodeLayout(await source.readBytes(pbixLayout)));
+            return new LegacyLayoutSource(layout, { source, layoutPath: pbixLayout, format: 'PBIX' });
+        }
+        
+        // A PBIR project always has definition/report.json; PBIR-Legacy only has report.json
+        if (files.some(filePath => /(^|\/)definition\/report\.json$/.test(filePath))) {
+            return null;
+        }
+        
+        for (const filePath of files.filter(candidate => /(^|\/)report\.json$/.test(candidate))) {
+            const layout = JSON.parse((await source.readText(filePath)).replace(/^\uFEFF/, ''));
+            if (Array.isArray(layout.sections)) {
+                return new LegacyLayoutSource(layout, { source, layoutPath: filePath, format: 'PBIR-Legacy' });
+            }
+        }
+        
+        return null;
+    }
+    
+    // Report/Layout is UTF-16LE, usually without a byte order mark
+    static decodeLayout(bytes) {
+        if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+            return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+        } else if (bytes.length > 1 && bytes[1] === 0) {
+            return new TextDecoder('utf-16le').decode(bytes);
+        }
+        return new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '');
+    }
+    
+    async listFiles() {
+        const passthrough = this.source ? await this.source.listFiles() : [];
+        const converted = Array.from(this.files.keys());
+        
+        return converted.concat(passthrough.filter(filePath => filePath !== this.layoutPath && !this.files.has(filePath)));
+    }
+    
+    async readText(filePath) {
+        if (this.files.has(filePath)) {
+            return JSON.stringify(this.files.get(filePath));
+        } else if (this.source) {
+            return this.source.readText(filePath);
+        }
+        throw new Error(`File not found: ${filePath}`);
+    }
+    
+    async readBytes(filePath) {
+        if (this.files.has(filePath)) {
+            return new TextEncoder().encode(await this.readText(filePath));
+        } else if (this.source && this.source.readBytes) {
+            return this.source.readBytes(filePath);
+        }
+        throw new Error(`File not found: ${filePath}`);
+    }
+    
+    addFile(relativePath, data) {
+        this.files.set(`${this.prefix}definition/${relativePath}`, data);
+    }
+    
+    // Stringified properties are parsed; malformed ones are reported and skipped
+    parseEmbedded(value, description) {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value !== 'string') return value;
+        
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            this.warnings.push(`Invalid JSON in ${description}: ${error.message}`);
+            return null;
+        }
+    }
+    
+    convertLayout(layout) {
+        const config = this.parseEmbedded(layout.config, 'report config') || {};
+        
+        this.addFile('report.json', this.convertReport(layout, config));
+        
+        const sections = (layout.sections || []).slice().sort((a, b) => (a.ordinal || 0) - (b.ordinal || 0));
+        const activeSection = sections.find(section => section.ordinal === config.activeSectionIndex) || sections[config.activeSectionIndex];
+        this.addFile('pages/pages.json', {
+            pageOrder: sections.map(section => section.name),
+            activePageName: activeSection ? activeSection.name : undefined
+        });
+        
+        sections.forEach(section => this.convertSection(section));
+        
+        if (Array.isArray(config.bookmarks) && config.bookmarks.length > 0) {
+            this.convertBookmarks(config.bookmarks);
+        }
+    }
+    
+    convertReport(layout, config) {
+        const filters = this.parseEmbedded(layout.filters, 'report filters') || [];
+        
+        return {
+            themeCollection: this.convertThemeCollection(config.themeCollection),
+            filterConfig: filters.length > 0 ? { filters: filters.map(filter => this.convertFilter(filter)) } : undefined,
+            objects: config.objects,
+            publicCustomVisuals: layout.publicCustomVisuals || config.publicCustomVisuals,
+            resourcePackages: (layout.resourcePackages || []).map(entry => this.convertResourcePackage(entry.resourcePackage || entry)),
+            settings: config.settings
+        };
+    }
+    
+    convertThemeCollection(themeCollection) {
+        if (!themeCollection) return undefined;
+        
+        const convertTheme = theme => theme && { ...theme, type: this.mapEnum(LegacyLayoutSource.packageTypes, theme.type) };
+        return {
+            baseTheme: convertTheme(themeCollection.baseTheme),
+            customTheme: convertTheme(themeCollection.customTheme)
+        };
+    }
+    
+    convertResourcePackage(resourcePackage) {
+        return {
+            name: resourcePackage.name,
+            type: this.mapEnum(LegacyLayoutSource.packageTypes, resourcePackage.type),
+            items: (resourcePackage.items || []).map(item => ({
+                name: item.name,
+                path: item.path,
+                type: this.mapEnum(LegacyLayoutSource.packageItemTypes, item.type)
+            }))
+        };
+    }
+    
+    convertSection(section) {
+        const config = this.parseEmbedded(section.config, `page ${section.name} config`) || {};
+        const filters = this.parseEmbedded(section.filters, `page ${section.name} filters`) || [];
+        
+        this.addFile(`pages/${section.name}/page.json`, {
+            name: section.name,
+            displayName: section.displayName,
+            displayOption: this.mapEnum(LegacyLayoutSource.displayOptions, section.displayOption),
+            width: section.width,
+            height: section.height,
+            filterConfig: filters.length > 0 ? { filters: filters.map(filter => this.convertFilter(filter)) } : undefined,
+            objects: config.objects,
+            visibility: config.visibility === 1 ? 'HiddenInViewMode' : undefined,
+            type: typeof config.type === 'string' ? config.type : undefined,
+            pageBinding: config.pageBinding,
+            visualInteractions: (config.relationships || []).map(relationship => ({
+                source: relationship.source,
+                target: relationship.target,
+                type: this.mapEnum(LegacyLayoutSource.interactionTypes, relationship.type)
+            }))
+        });
+        
+        const usedNames = new Set();
+        (section.visualContainers || []).forEach((container, index) => {
+            const config = this.parseEmbedded(container.config, `visual ${index} on page ${section.name}`) || {};
+            
+            let visualName = config.name || `visual${index}`;
+            while (usedNames.has(visualName)) {
+                visualName = `${visualName}_${index}`;
+            }
+            usedNames.add(visualName);
+            
+            this.convertVisualContainer(section.name, visualName, container, config);
+        });
+    }
+    
+    convertVisualContainer(pageName, visualName, container, config) {
+        const layouts = config.layouts || [];
+        const desktop = layouts.find(layout => layout.id === 0) || layouts[0];
+        const mobile = layouts.find(layout => layout.id === 1);
+        const filters = this.parseEmbedded(container.filters, `visual ${visualName} filters`) || [];
+        const singleVisual = config.singleVisual;
+        
+        const visualDir = `pages/${pageName}/visuals/${visualName}`;
+        this.addFile(`${visualDir}/visual.json`, {
+            name: visualName,
+            position: {
+                x: container.x,
+                y: container.y,
+                z: container.z,
+                width: container.width,
+                height: container.height,
+                ...(desktop ? desktop.position : {})
+            },
+            visual: singleVisual ? this.convertSingleVisual(singleVisual) : undefined,
+            visualGroup: config.singleVisualGroup ? {
+                displayName: config.singleVisualGroup.displayName,
+                groupMode: this.mapEnum(LegacyLayoutSource.groupModes, config.singleVisualGroup.groupMode),
+                objects: config.singleVisualGroup.objects
+            } : undefined,
+            parentGroupName: config.parentGroupName,
+            filterConfig: filters.length > 0 ? { filters: filters.map(filter => this.convertFilter(filter)) } : undefined,
+            isHidden: (singleVisual && singleVisual.display && singleVisual.display.mode === 'hidden') || (config.singleVisualGroup && config.singleVisualGroup.isHidden) ? true : undefined
+        });
+        
+        if (mobile) {
+            this.addFile(`${visualDir}/mobile.json`, { position: mobile.position });
+        }
+    }
+    
+    // projections + prototypeQuery -> query.queryState, with source aliases
+    // replaced by entity names the way PBIR stores field references. PBIR has
+    // no place for the query's Top, Where and Transform, so the
+    // prototypeQuery itself stays on the visual as singleVisual.prototypeQuery.
+    convertSingleVisual(singleVisual) {
+        const prototypeQuery = singleVisual.prototypeQuery || {};
+        const aliases = {};
+        (prototypeQuery.From || []).forEach(source => {
+            aliases[source.Name] = source.Entity;
+        });
+        
+        const selects = new Map((prototypeQuery.Select || []).map(select => [select.Name, select]));
+        const queryState = {};
+        
+        Object.entries(singleVisual.projections || {}).forEach(([role, projections]) => {
+            queryState[role] = {
+                projections: projections
+                    .filter(projection => selects.has(projection.queryRef))
+                    .map(projection => {
+                        const { Name, NativeReferenceName, ...field } = selects.get(projection.queryRef);
+                        return {
+                            field: this.resolveAliases(field, aliases),
+                            queryRef: projection.queryRef,
+                            nativeQueryRef: NativeReferenceName,
+                            active: projection.active
+                        };
+                    })
+            };
+        });
+        
+        const sort = (prototypeQuery.OrderBy || []).map(order => ({
+            field: this.resolveAliases(order.Expression, aliases),
+            direction: order.Direction === 2 ? 'Descending' : 'Ascending'
+        }));
+        
+        return {
+            visualType: singleVisual.visualType,
+            query: {
+                queryState,
+                sortDefinition: sort.length > 0 ? { sort } : undefined
+            },
+            singleVisual: singleVisual.prototypeQuery ? { prototypeQuery: singleVisual.prototypeQuery } : undefined,
+            objects: singleVisual.objects,
+            visualContainerObjects: singleVisual.vcObjects,
+            syncGroup: singleVisual.syncGroup,
+            drillFilterOtherVisuals: singleVisual.drillFilterOtherVisuals
+        };
+    }
+    
+    resolveAliases(expression, aliases) {
+        if (Array.isArray(expression)) {
+            return expression.map(item => this.resolveAliases(item, aliases));
+        } else if (!expression || typeof expression !== 'object') {
+            return expression;
+        }
+        
+        if (expression.SourceRef && expression.SourceRef.Source && aliases[expression.SourceRef.Source]) {
+            return { SourceRef: { Entity: aliases[expression.SourceRef.Source] } };
+        }
+        
+        const resolved = {};
+        Object.entries(expression).forEach(([key, value]) => {
+            resolved[key] = this.resolveAliases(value, aliases);
+        });
+        return resolved;
+    }
+    
+    // Legacy filters differ from PBIR ones in the field key and numeric enums;
+    // the filter query itself keeps its own From aliases in both formats
+    convertFilter(filter) {
+        return {
+            name: filter.name,
+            displayName: filter.displayName,
+            field: filter.expression,
+            type: filter.type,
+            filter: filter.filter,
+            howCreated: this.mapEnum(LegacyLayoutSource.howCreated, filter.howCreated),
+            isHiddenInViewMode: filter.isHiddenInViewMode,
+            isLockedInViewMode: filter.isLockedInViewMode,
+            ordinal: filter.ordinal,
+            objects: filter.objects
+        };
+    }
+    
+    convertBookmarks(bookmarks) {
+        const items = [];
+        const addBookmark = bookmark => {
+            this.addFile(`bookmarks/${bookmark.name}.bookmark.json`, {
+                name: bookmark.name,
+                displayName: bookmark.displayName,
+                options: bookmark.options,
+                explorationState: bookmark.explorationState
+            });
+        };
+        
+        bookmarks.forEach(bookmark => {
+            if (Array.isArray(bookmark.children)) {
+                bookmark.children.forEach(addBookmark);
+                items.push({
+                    name: bookmark.name,
+                    displayName: bookmark.displayName,
+                    children: bookmark.children.map(child => child.name)
+                });
+            } else {
+                addBookmark(bookmark);
+                items.push({ name: bookmark.name });
+            }
+        });
+        
+        this.addFile('bookmarks/bookmarks.json', { items });
+    }
+    
+    // Unknown numeric values are kept as-is so nothing is silently renamed
+    mapEnum(names, value) {
+        return value in names ? names[value] : value;
+    }
+}
+
+// Numeric enumerations used by the legacy layout and their PBIR names
+LegacyLayoutSource.displayOptions = { 0: 'FitToPage', 1: 'FitToWidth', 2: 'ActualSize' };
+LegacyLayoutSource.howCreated = { 0: 'Auto', 1: 'User', 2: 'Drilled', 3: 'Include', 4: 'Exclude', 5: 'Drillthrough' };
+LegacyLayoutSource.interactionTypes = { 0: 'Default', 1: 'DataFilter', 2: 'HighlightFilter', 3: 'NoFilter' };
+LegacyLayoutSource.groupModes = { 0: 'ScaleMode', 1: 'ScrollMode' };
+LegacyLayoutSource.packageTypes = { 0: 'CustomVisual', 1: 'RegisteredResources', 2: 'SharedResources', 3: 'OrganizationalStoreCustomVisual' };
+LegacyLayoutSource.packageItemTypes = {
+    0: 'CustomVisualJavascript', 1: 'CustomVisualsCss', 2: 'CustomVisualScreenshot', 3: 'CustomVisualIcon',
+    4: 'CustomVisualWatermark', 5: 'CustomVisualMetadata', 100: 'Image', 200: 'ShapeMap', 201: 'CustomTheme', 202: 'BaseTheme'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LegacyLayoutSource };
+}
\ No newline at end of file
@@ -0,0 +1,377 @@
+// Semantic model usage.
+//
+// Finds the measures, columns and tables of the paired semantic model that a
+// report never references. Every field reference in the raw report JSON is
+// collected: visual projections and sort definitions, filterConfig at report,
+// page and visual level, bookmark exploration state, drillthrough page
+// bindings, expressions inside formatting objects (conditional formatting)
+// and the DAX of report-level measures (reportExtensions.json).
+//
+// Objects the report does not use may still be needed by the model itself
+// (relationship keys, sort-by columns, hierarchy levels, other DAX), so each
+// unused object lists those model dependents as well.
+
+class ModelUsageAnalyzer {
+    // model is the result of PBIRCore.parse (report, pages, visuals, bookmarks
+    // and semanticModel)
+    constructor(model) {
+        this.model = model;
+        this.semanticModel = model.semanticModel;
+        this.references = [];
+    }
+    
+    analyze() {
+        if (!this.semanticModel) {
+            throw new Error('No semantic model loaded; open the project folder or pass --model');
+        }
+        
+        this.references = this.collectReportReferences();
+        const used = this.resolveReferences(this.references);
+        const dependents = this.collectModelDependents();
+        
+        const tables = [];
+        const columns = [];
+        const measures = [];
+        
+        this.semanticModel.tables.forEach(table => {
+            const tableKey = this.getKey(table.name);
+            if (!used.tables.has(tableKey)) {
+                tables.push({
+                    name: table.name,
+                    isHidden: table.isHidden || false,
+                    columns: table.columns.length,
+                    measures: table.measures.length
+                });
+            }
+            
+            table.columns.forEach(column => {
+                const key = this.getKey(table.name, column.name);
+                if (!used.columns.has(key)) {
+                    columns.push({
+                        table: table.name,
+                        name: column.name,
+                        type: column.type || 'data',
+                        dataType: column.dataType || null,
+                        isHidden: column.isHidden || false,
+                        usedByModel: dependents.get(key) || []
+                    });
+                }
+            });
+            
+            table.measures.forEach(measure => {
+                const key = this.getKey(table.name, measure.name);
+                if (!used.measures.has(key)) {
+                    measures.push({
+                        table: table.name,
+                        name: measure.name,
+                        displayFolder: measure.displayFolder || null,
+                        isHidden: measure.isHidden || false,
+                        usedByModel: dependents.get(key) || []
+                    });
+                }
+            });
+        });
+        
+        const summary = this.semanticModel.getSummary();
+        return {
+            model: this.semanticModel.name,
+            references: this.references.filter(reference => reference.kind !== 'table').length,
+            totals: { tables: summary.tables, columns: summary.columns, measures: summary.measures },
+            unused: { tables, columns, measures },
+            unresolved: Array.from(used.unresolved).sort()
+        };
+    }
+    
+    // One entry per field reference: { kind, table, name, level?, usage, location }
+    collectReportReferences() {
+        const references = [];
+        const collect = (node, usage, location) => this.collectReferences(node, {}, reference => {
+            references.push({ ...reference, usage, location });
+        });
+        const report = this.model.report || {};
+        
+        collect(report.filterConfig, 'filter', 'Report');
+        collect(report.objects, 'formatting', 'Report');
+        
+        Object.values(this.model.pages || {}).forEach(page => {
+            const location = `Page "${page.displayName}"`;
+            collect(page.filterConfig, 'filter', location);
+            collect(page.pageBinding, 'drillthrough', location);
+            collect(page.objects, 'formatting', location);
+        });
+        
+        Object.values(this.model.visuals || {}).forEach(visual => {
+            const page = (this.model.pages || {})[visual.pageName];
+            const location = `Page "${page ? page.displayName : visual.pageName}" › ${visual.properties ? visual.properties.displayName : visual.name}`;
+            const content = visual.visual || {};
+            
+            Object.entries(content).forEach(([key, value]) => {
+                if (key === 'query') {
+                    const { sortDefinition, ...query } = value || {};
+                    collect(query, 'projection', location);
+                    collect(sortDefinition, 'sort', location);
+                } else if (key === 'objects' || key === 'visualContainerObjects') {
+                    collect(value, 'formatting', location);
+                } else {
+                    collect(value, 'visual', location);
+                }
+            });
+            collect(visual.filterConfig, 'filter', location);
+        });
+        
+        Object.values(this.model.bookmarks || {}).forEach(bookmark => {
+            collect(bookmark.explorationState, 'bookmark', `Bookmark "${bookmark.displayName || bookmark.name}"`);
+        });
+        
+        // Report-level measures (reportExtensions.json) reach the model through
+        // their DAX. The file records the measures it uses; columns only show
+        // in the DAX itself, where a word before [Name] that is not a model
+        // table (RETURN [Sales], a variable) leaves the reference unqualified.
+        (this.model.reportMeasures || []).forEach(measure => {
+            const location = `Report measure ${measure.table}[${measure.name}]`;
+            measure.references.filter(reference => !reference.isReportMeasure).forEach(reference => {
+                references.push({ kind: 'measure', table: reference.table, name: reference.name, usage: 'reportMeasure', location });
+            });
+            this.findDaxReferences(measure.expression).forEach(reference => {
+                const table = reference.table && this.semanticModel.getTable(reference.table) ? reference.table : null;
+                references.push({ kind: 'dax', table, name: reference.name, usage: 'reportMeasure', location });
+            });
+        });
+        
+        return references;
+    }
+    
+    // Walks any JSON value and reports table, Column, Measure and
+    // HierarchyLevel references. Query filters name their sources in From
+    // and refer to them by alias, so aliases are scoped to each subtree.
+    collectReferences(node, aliases, onReference) {
+        if (Array.isArray(node)) {
+            node.forEach(item => this.collectReferences(item, aliases, onReference));
+            return;
+        }
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        
+        if (Array.isArray(node.From)) {
+            aliases = { ...aliases };
+            node.From.forEach(source => {
+                if (source && source.Name && source.Entity) {
+                    aliases[source.Name] = source.Entity;
+                }
+            });
+        }
+        
+        if (node.SourceRef) {
+            const table = node.SourceRef.Entity || aliases[node.SourceRef.Source];
+            if (table) {
+                onReference({ kind: 'table', table, name: null });
+            }
+        }
+        if (node.Column && node.Column.Property) {
+            onReference({ kind: 'column', table: this.resolveEntity(node.Column.Expression, aliases), name: node.Column.Property });
+        }
+        if (node.Measure && node.Measure.Property) {
+            onReference({ kind: 'measure', table: this.resolveEntity(node.Measure.Expression, aliases), name: node.Measure.Property });
+        }
+        if (node.PropertyVariationSource && node.PropertyVariationSource.Property) {
+            // Auto date/time hierarchies hang off a date column
+            onReference({ kind: 'column', table: this.resolveEntity(node.PropertyVariationSource.Expression, aliases), name: node.PropertyVariationSource.Property });
+        }
+        if (node.HierarchyLevel && node.HierarchyLevel.Level) {
+            const hierarchy = node.HierarchyLevel.Expression && node.HierarchyLevel.Expression.Hierarchy || {};
+            onReference({
+                kind: 'level',
+                table: this.resolveEntity(hierarchy.Expression, aliases),
+                name: hierarchy.Hierarchy,
+                level: node.HierarchyLevel.Level
+            });
+        }
+        
+        Object.values(node).forEach(value => this.collectReferences(value, aliases, onReference));
+    }
+    
+    resolveEntity(expression, aliases) {
+        if (!expression) return null;
+        
+        if (expression.SourceRef) {
+            return expression.SourceRef.Entity || aliases[expression.SourceRef.Source] || null;
+        } else if (expression.PropertyVariationSource) {
+            return this.resolveEntity(expression.PropertyVariationSource.Expression, aliases);
+        } else if (expression.Hierarchy) {
+            return this.resolveEntity(expression.Hierarchy.Expression, aliases);
+        } else if (expression.Column) {
+            return this.resolveEntity(expression.Column.Expression, aliases);
+        }
+        return null;
+    }
+    
+    // Maps report references onto model object keys; a table counts as used
+    // as soon as anything in it is referenced
+    resolveReferences(references) {
+        const model = this.semanticModel;
+        const used = { tables: new Set(), columns: new Set(), measures: new Set(), unresolved: new Set() };
+        
+        references.forEach(reference => {
+            if (this.isReportMeasure(reference)) {
+                return;
+            } else if (reference.kind === 'dax') {
+                this.resolveDaxReference(reference, used);
+                return;
+            }
+            
+            const table = model.getTable(reference.table);
+            if (!table) {
+                if (reference.table) {
+                    used.unresolved.add(reference.name ? `${reference.table}.${reference.name}` : reference.table);
+                }
+                return;
+            }
+            used.tables.add(this.getKey(table.name));
+            
+            let object = null;
+            let collection = null;
+            if (reference.kind === 'column') {
+                object = model.findColumn(table.name, reference.name);
+                collection = used.columns;
+            } else if (reference.kind === 'measure') {
+                object = model.findMeasure(table.name, reference.name);
+                collection = used.measures;
+            } else if (reference.kind === 'level') {
+                const hierarchy = model.findHierarchy(table.name, reference.name);
+                const level = hierarchy && hierarchy.levels.find(candidate => candidate.name.toLowerCase() === String(reference.level).toLowerCase());
+                object = level ? model.findColumn(table.name, level.column) : null;
+                collection = used.columns;
+                
+                // Levels of auto date/time hierarchies are not model objects;
+                // their date column arrives as a PropertyVariationSource reference
+                if (!hierarchy) return;
+            } else {
+                return;
+            }
+            
+            if (object) {
+                collection.add(this.getKey(table.name, object.name));
+            } else {
+                used.unresolved.add(`${table.name}.${reference.level || reference.name}`);
+            }
+        });
+        
+        return used;
+    }
+    
+    // Table[Column] or [Measure] in the DAX of a report-level measure
+    resolveDaxReference(reference, used) {
+        const model = this.semanticModel;
+        const table = reference.table
+            ? model.getTable(reference.table)
+            : model.tables.find(candidate => model.findMeasure(candidate.name, reference.name));
+        const object = table && ((reference.table && model.findColumn(table.name, reference.name)) || model.findMeasure(table.name, reference.name));
+        
+        if (!object) {
+            used.unresolved.add(reference.table ? `${reference.table}.${reference.name}` : reference.name);
+            return;
+        }
+        used.tables.add(this.getKey(table.name));
+        (model.findMeasure(table.name, reference.name) === object ? used.measures : used.columns).add(this.getKey(table.name, object.name));
+    }
+    
+    // Measures and DAX references that name a report-level measure, which
+    // the semantic model does not define
+    isReportMeasure(reference) {
+        if (reference.kind !== 'measure' && reference.kind !== 'dax') return false;
+        
+        const name = String(reference.name).toLowerCase();
+        return (this.model.reportMeasures || []).some(measure => measure.name.toLowerCase() === name
+            && (!reference.table || measure.table.toLowerCase() === String(reference.table).toLowerCase()));
+    }
+    
+    // key -> descriptions of the model objects that depend on it
+    collectModelDependents() {
+        const model = this.semanticModel;
+        const dependents = new Map();
+        const add = (tableName, objectName, description) => {
+            const table = model.getTable(tableName);
+            const object = table && (model.findColumn(table.name, objectName) || model.findMeasure(table.name, objectName));
+            if (!object) return;
+            
+            const key = this.getKey(table.name, object.name);
+            const list = dependents.get(key) || [];
+            if (!list.includes(description)) {
+                list.push(description);
+            }
+            dependents.set(key, list);
+        };
+        
+        model.relationships.forEach(relationship => {
+            add(relationship.fromTable, relationship.fromColumn, `relationship to ${relationship.toTable}`);
+            add(relationship.toTable, relationship.toColumn, `relationship from ${relationship.fromTable}`);
+        });
+        
+        model.tables.forEach(table => {
+            const addDax = (expression, owner) => {
+                this.findDaxReferences(expression).forEach(reference => {
+                    if (reference.table && model.getTable(reference.table)) {
+                        add(reference.table, reference.name, `DAX of ${owner}`);
+                    } else {
+                        // Unqualified [Name] is a measure anywhere or a column of the same table
+                        const measureTable = model.tables.find(candidate => model.findMeasure(candidate.name, reference.name));
+                        add(measureTable ? measureTable.name : table.name, reference.name, `DAX of ${owner}`);
+                    }
+                });
+            };
+            
+            table.columns.forEach(column => {
+                if (column.sortByColumn) {
+                    add(table.name, column.sortByColumn, `sort order of ${column.name}`);
+                }
+                if (column.type === 'calculated') {
+                    addDax(column.expression, `${table.name}[${column.name}]`);
+                }
+            });
+            table.measures.forEach(measure => {
+                addDax(measure.expression, `${table.name}[${measure.name}]`);
+                addDax(measure.formatStringExpression, `${table.name}[${measure.name}]`);
+            });
+            table.hierarchies.forEach(hierarchy => {
+                hierarchy.levels.forEach(level => add(table.name, level.column, `hierarchy ${hierarchy.name}`));
+            });
+            if (table.calculationGroup) {
+                table.calculationGroup.items.forEach(item => {
+                    addDax(item.expression, `calculation item ${item.name}`);
+                    addDax(item.formatStringExpression, `calculation item ${item.name}`);
+                });
+            }
+        });
+        
+        return dependents;
+    }
+    
+    // 'Table Name'[Column], Table[Column] and [Measure] references in a DAX
+    // expression; strings and comments are stripped first
+    findDaxReferences(expression) {
+        if (!expression) return [];
+        
+        const code = String(expression)
+            .replace(/"(?:[^"]|"")*"/g, '""')
+            .replace(/\/\*[\s\S]*?\*\//g, ' ')
+            .replace(/(\/\/|--).*$/gm, '');
+        const references = [];
+        const pattern = /(?:'((?:[^']|'')+)'|([A-Za-z_][\w]*))?\s*\[([^\]]+)\]/g;
+        let match;
+        
+        while ((match = pattern.exec(code)) !== null) {
+            const table = match[1] !== undefined ? match[1].replace(/''/g, "'") : match[2] || null;
+            references.push({ table, name: match[3] });
+        }
+        return references;
+    }
+    
+    getKey(table, name) {
+        return name === undefined ? String(table).toLowerCase() : `${String(table).toLowerCase()}\u0000${String(name).toLowerCase()}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelUsageAnalyzer };
+}
\ No newline at end of file
@@ -0,0 +1,255 @@
+// Navigation graph.
+//
+// Which page leads to which page or bookmark, through which visual. Edges
+// come from button, shape and image actions (visualLink: PageNavigation,
+// Bookmark, Drillthrough, Back, WebUrl and Q&A), from page and bookmark
+// navigators, and from bookmarks that open a page.
+//
+// Reachability follows what a report reader can do: visible pages are on
+// the page tabs, hidden pages need a link, drillthrough pages open from a
+// right-click and tooltip pages from hovering. Links to pages or bookmarks
+// that do not exist are flagged as broken.
+
+class NavigationGraph {
+    // model is the result of PBIRCore.parse
+    constructor(model) {
+        this.model = model;
+    }
+    
+    // { nodes: [{ id, kind, name, label }], edges: [{ from, to, type, via,
+    //   broken }], pages: [{ name, displayName, isHidden, reachedBy }] }
+    build() {
+        const nodes = new Map();
+        const edges = [];
+        const pages = this.model.pages || {};
+        const bookmarks = this.model.bookmarks || {};
+        
+        const node = (kind, name, label) => {
+            const id = `${kind}:${name}`;
+            if (!nodes.has(id)) {
+                nodes.set(id, { id, kind, name, label });
+            }
+            return id;
+        };
+        const pageNode = name => pages[name]
+            ? node('page', name, pages[name].displayName)
+            : node('missing', name, `Missing page ${name || '(none)'}`);
+        const bookmarkNode = name => bookmarks[name]
+            ? node('bookmark', name, bookmarks[name].displayName || name)
+            : node('missing', name, `Missing bookmark ${name || '(none)'}`);
+        const target = link => {
+            switch (link.type) {
+                case 'PageNavigation':
+                case 'Drillthrough':
+                    return pageNode(link.target);
+                case 'Bookmark':
+                    return bookmarkNode(link.target);
+                case 'WebUrl':
+                    return node('url', link.target || '', link.target || 'Web URL');
+                case 'Back':
+                    return node('back', 'back', 'Previous page');
+                case 'Qna':
+                    return node('qna', 'qna', 'Q&A');
+            }
+            return node('other', link.type, link.type);
+        };
+        const addEdge = (from, to, type, via) => {
+            edges.push({ from, to, type, via, broken: nodes.get(to).kind === 'missing' });
+        };
+        
+        Object.values(pages).forEach(page => pageNode(page.name));
+        Object.values(bookmarks).forEach(bookmark => bookmarkNode(bookmark.name));
+        
+        Object.values(this.model.visuals || {}).forEach(visual => {
+            if (!pages[visual.pageName]) return;
+            
+            const from = pageNode(visual.pageName);
+            const via = { page: visual.pageName, visual: visual.name, displayName: visual.properties.displayName };
+            if (visual.link) {
+                addEdge(from, target(visual.link), visual.link.type, via);
+            }
+            this.getNavigatorTargets(visual).forEach(([type, to]) => {
+                addEdge(from, type === 'PageNavigator' ? pageNode(to) : bookmarkNode(to), type, via);
+            });
+        });
+        
+        Object.values(bookmarks).forEach(bookmark => {
+            const section = bookmark.explorationState && bookmark.explorationState.activeSection;
+            if (section && !(bookmark.options && bookmark.options.suppressActiveSection)) {
+                addEdge(bookmarkNode(bookmark.name), pageNode(section), 'OpensPage', null);
+            }
+        });
+        
+        return {
+            nodes: Array.from(nodes.values()),
+            edges,
+            pages: this.getReachability(edges)
+        };
+    }
+    
+    // Pages a page navigator lists and bookmarks a bookmark navigator lists.
+    // Page navigators leave out hidden and tooltip pages unless told
+    // otherwise; bookmark navigators show one group, or every bookmark.
+    getNavigatorTargets(visual) {
+        const type = visual.properties.type;
+        const objects = visual.visual && visual.visual.objects || {};
+        const setting = (object, property) => {
+            const value = objects[object]?.[0]?.properties?.[property];
+            return value && value.expr && value.expr.Literal ? value.expr.Literal.Value.replace(/^'(.*)'$/, '$1') : null;
+        };
+        
+        if (type === 'pageNavigator') {
+            const showHidden = setting('pages', 'showHiddenPages') === 'true';
+            const showTooltips = setting('pages', 'showTooltipPages') === 'true';
+            return Object.values(this.model.pages || {})
+                .filter(page => (showHidden || page.visibility !== 'HiddenInViewMode') && (showTooltips || page.usage !== 'Tooltip'))
+                .map(page => ['PageNavigator', page.name]);
+        }
+        if (type === 'bookmarkNavigator') {
+            const group = setting('bookmarks', 'bookmarkGroup');
+            return Object.values(this.model.bookmarks || {})
+                .filter(bookmark => !group || (bookmark.group && bookmark.group.name === group))
+                .map(bookmark => ['BookmarkNavigator', bookmark.name]);
+        }
+        return [];
+    }
+    
+    // How a reader gets to each page: 'tabs', 'navigation', 'drillthrough',
+    // 'tooltip' or null when nothing leads there
+    getReachability(edges) {
+        const pages = Object.values(this.model.pages || {});
+        const reachedBy = new Map();
+        pages.forEach(page => {
+            if (page.visibility !== 'HiddenInViewMode') {
+                reachedBy.set(`page:${page.name}`, 'tabs');
+            }
+        });
+        
+        // Walk links out of every reached page, and out of bookmarks they reach
+        const queue = Array.from(reachedBy.keys());
+        const reached = new Set(queue);
+        while (queue.length > 0) {
+            const from = queue.shift();
+            edges.filter(edge => edge.from === from && !reached.has(edge.to)).forEach(edge => {
+                reached.add(edge.to);
+                queue.push(edge.to);
+                if (!reachedBy.has(edge.to)) {
+                    reachedBy.set(edge.to, 'navigation');
+                }
+            });
+        }
+        
+        return pages.map(page => {
+            let way = reachedBy.get(`page:${page.name}`) || null;
+            if (!way && page.usage === 'Drillthrough') {
+                way = 'drillthrough';
+            } else if (!way && page.usage === 'Tooltip') {
+                way = 'tooltip';
+            }
+            return {
+                name: page.name,
+                displayName: page.displayName,
+                isHidden: page.visibility === 'HiddenInViewMode',
+                reachedBy: way
+            };
+        });
+    }
+    
+    toMermaid(graph) {
+        const lines = ['flowchart LR'];
+        const ids = this.getShortIds(graph);
+        
+        graph.nodes.forEach(node => {
+            const label = NavigationGraph.escapeMermaid(node.label);
+            const shape = NavigationGraph.mermaidShapes[node.kind] || NavigationGraph.mermaidShapes.other;
+            lines.push(`    ${ids.get(node.id)}${shape[0]}"${label}"${shape[1]}`);
+        });
+        graph.edges.forEach(edge => {
+            const label = NavigationGraph.escapeMermaid(this.describeEdge(edge));
+            lines.push(`    ${ids.get(edge.from)} ${edge.broken ? '-.->' : '-->'}|"${label}"| ${ids.get(edge.to)}`);
+        });
+        
+        const unreachable = graph.pages.filter(page => !page.reachedBy).map(page => ids.get(`page:${page.name}`));
+        if (unreachable.length > 0) {
+            lines.push('    classDef unreachable stroke:#d83b01,stroke-dasharray:4 4');
+            lines.push(`    class ${unreachable.join(',')} unreachable`);
+        }
+        return lines.join('\n');
+    }
+    
+    toDot(graph) {
+        const lines = ['digraph navigation {', '    rankdir=LR;', '    node [fontname="Segoe UI"];'];
+        const unreachable = new Set(graph.pages.filter(page => !page.reachedBy).map(page => `page:${page.name}`));
+        
+        graph.nodes.forEach(node => {
+            const attributes = [`label=${NavigationGraph.quoteDot(node.label)}`, `shape=${NavigationGraph.dotShapes[node.kind] || 'plaintext'}`];
+            if (unreachable.has(node.id) || node.kind === 'missing') {
+                attributes.push('color=red', 'style=dashed');
+            }
+            lines.push(`    ${NavigationGraph.quoteDot(node.id)} [${attributes.join(', ')}];`);
+        });
+        graph.edges.forEach(edge => {
+            const attributes = [`label=${NavigationGraph.quoteDot(this.describeEdge(edge))}`];
+            if (edge.broken) {
+                attributes.push('color=red', 'style=dashed');
+            }
+            lines.push(`    ${NavigationGraph.quoteDot(edge.from)} -> ${NavigationGraph.quoteDot(edge.to)} [${attributes.join(', ')}];`);
+        });
+        
+        lines.push('}');
+        return lines.join('\n');
+    }
+    
+    // "Button → Net Sales (Bookmark)"; bookmark-to-page edges have no visual
+    describeEdge(edge) {
+        const type = NavigationGraph.edgeLabels[edge.type] || edge.type;
+        return edge.via ? `${edge.via.displayName} (${type})` : type;
+    }
+    
+    // Mermaid ids must be plain words
+    getShortIds(graph) {
+        const prefixes = { page: 'P', bookmark: 'B', url: 'U', missing: 'X' };
+        const counts = {};
+        return new Map(graph.nodes.map(node => {
+            const prefix = prefixes[node.kind] || 'N';
+            counts[prefix] = (counts[prefix] || 0) + 1;
+            return [node.id, `${prefix}${counts[prefix]}`];
+        }));
+    }
+    
+    static escapeMermaid(text) {
+        return String(text).replace(/"/g, '#quot;');
+    }
+    
+    static quoteDot(text) {
+        return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+}
+
+NavigationGraph.edgeLabels = {
+    PageNavigation: 'page navigation',
+    Bookmark: 'bookmark',
+    Drillthrough: 'drillthrough',
+    Back: 'back',
+    WebUrl: 'web URL',
+    Qna: 'Q&A',
+    PageNavigator: 'page navigator',
+    BookmarkNavigator: 'bookmark navigator',
+    OpensPage: 'opens page'
+};
+
+NavigationGraph.mermaidShapes = {
+    page: ['[', ']'],
+    bookmark: ['([', '])'],
+    url: ['>', ']'],
+    back: ['((', '))'],
+    qna: ['((', '))'],
+    missing: ['{{', '}}'],
+    other: ['[', ']']
+};
+
+NavigationGraph.dotShapes = { page: 'box', bookmark: 'ellipse', url: 'note', back: 'circle', qna: 'circle', missing: 'octagon' };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NavigationGraph };
+}
\ No newline at end of file
@@ -0,0 +1,2112 @@
+// Shared PBIR parsing engine used by the web app and both CLIs.
+//
+// PBIRCore walks a report through a file-source adapter (see file-sources.js)
+// and produces one canonical report model, so every consumer documents the
+// same pages, visuals, fields and filters.
+
+// Node loads sibling modules with require; the browser gets them as globals
+// from the <script> tags in index.html
+const coreDeps = typeof module !== 'undefined' && module.exports
+    ? Object.assign({}, require('./file-sources'), require('./legacy-layout'), require('./semantic-model'), require('./semantic-query'), require('./filter-describer'), require('./dax-generator'), require('./filter-context'), require('./bookmark-state'), require('./report-theme'))
+    : { ScopedFileSource, ZipFileSource, LegacyLayoutSource, SemanticModel, SemanticQuery, FilterDescriber, DaxGenerator, FilterContextAnalyzer, BookmarkStateDecoder, ReportTheme };
+
+class PBIRCore {
+    constructor(options = {}) {
+        this.validator = options.validator || null;
+        this.log = options.log || (() => {});
+        this.schemas = this.loadSchemaDefinitions();
+        this.filterDescriber = new coreDeps.FilterDescriber();
+        this.reset();
+    }
+    
+    loadSchemaDefinitions() {
+        // Enumerations taken from Microsoft's PBIR schemas (semanticQuery 1.3.0)
+        return {
+            aggregationFunctions: coreDeps.SemanticQuery.aggregateFunctions,
+            comparisonKinds: coreDeps.SemanticQuery.comparisonKinds,
+            visualTypeNames: {
+                'columnChart': 'Column Chart',
+                'clusteredColumnChart': 'Clustered Column Chart',
+                'barChart': 'Bar Chart',
+                'clusteredBarChart': 'Clustered Bar Chart',
+                'lineChart': 'Line Chart',
+                'areaChart': 'Area Chart',
+                'pieChart': 'Pie Chart',
+                'donutChart': 'Donut Chart',
+                'scatterChart': 'Scatter Chart',
+                'card': 'Card',
+                'multiRowCard': 'Multi-row Card',
+                'tableEx': 'Table',
+                'matrix': 'Matrix',
+                'pivotTable': 'Pivot Table',
+                'slicer': 'Slicer',
+                'textbox': 'Text Box',
+                'image': 'Image',
+                'shape': 'Shape',
+                'basicShape': 'Shape',
+                'actionButton': 'Button',
+                'gauge': 'Gauge',
+                'kpi': 'KPI',
+                'map': 'Map',
+                'filledMap': 'Filled Map',
+                'treemap': 'Treemap',
+                'waterfallChart': 'Waterfall Chart',
+                'ribbonChart': 'Ribbon Chart',
+                'funnel': 'Funnel',
+                'qnaVisual': 'Q&A Visual',
+                'keyDriversVisual': 'Key Drivers',
+                'decompositionTreeVisual': 'Decomposition Tree'
+            }
+        };
+    }
+    
+    reset() {
+        this.source = null;
+        this.projectSource = null;
+        this.reportRoot = '';
+        this.definition = null;
+        this.semanticModel = null;
+        this.format = 'PBIR';
+        this.reportData = null;
+        this.theme = new coreDeps.ReportTheme();
+        this.resourceItems = [];
+        this.reportMeasures = [];
+        this.customVisuals = new Map();
+        this.pages = new Map();
+        this.visuals = new Map();
+        this.bookmarks = new Map();
+        this.bookmarkTree = { items: [], orphans: [], missing: [] };
+        this.errors = [];
+        this.warnings = [];
+        this.validationErrors = [];
+    }
+    
+    // options.report picks one report when the source holds several
+    async parse(source, options = {}) {
+        this.reset();
+        this.projectSource = source;
+        
+        // Everything below reads paths relative to the chosen .Report folder
+        this.reportRoot = await this.resolveReportRoot(source, options);
+        const reportSource = this.reportRoot ? new coreDeps.ScopedFileSource(source, this.reportRoot) : source;
+        this.definition = await this.readDefinition(reportSource);
+        this.source = await this.openLegacyLayout(reportSource) || reportSource;
+        
+        const allFiles = await this.source.listFiles();
+        const files = allFiles.filter(filePath => filePath.endsWith('.json'));
+        this.log(`📁 Found ${files.length} JSON files`);
+        
+        // Parse main report structure
+        await this.parseReportStructure(files);
+        if (this.reportData) {
+            this.reportData.format = this.format;
+            this.reportData.name = this.getReportName(this.reportRoot);
+            this.reportData.root = this.reportRoot;
+            this.reportData.definition = this.definition;
+            this.reportData.datasetReference = this.definition ? this.definition.datasetReference : null;
+        }
+        
+        // Theme colours resolve while visuals are parsed
+        await this.loadTheme(files);
+        
+        // Registered images and themes, and custom visual metadata
+        await this.loadResources(allFiles);
+        
+        // Parse pages and their visuals
+        await this.parsePages(files);
+        
+        // Parse bookmarks if available
+        await this.parseBookmarks(files);
+        
+        // Fields on report-level measures, with or without a semantic model
+        this.linkReportMeasures();
+        
+        // Untitled buttons are named after where they lead
+        this.labelLinkedVisuals();
+        
+        // Which visuals drill through to or show each special page
+        this.mapPageTargets();
+        
+        // Link field references to the semantic model, when one can be found
+        this.semanticModel = await this.loadSemanticModel(options);
+        if (this.semanticModel) {
+            this.linkSemanticModel();
+        }
+        
+        // DAX comes last so hierarchy levels can use the model's columns
+        this.generateFilterDax();
+        
+        return this.getModel();
+    }
+    
+    // options.modelSource (rooted at a .SemanticModel folder) wins over the
+    // byPath datasetReference in definition.pbir
+    async loadSemanticModel(options) {
+        let modelSource = options.modelSource || null;
+        const reference = this.definition && this.definition.datasetReference;
+        
+        if (!modelSource && reference && reference.type === 'byPath') {
+            if (reference.resolvedPath === null) {
+                this.warnings.push(`Semantic model ${reference.path} is outside the opened folder; open the project folder or .pbip to include it`);
+                return null;
+            }
+            
+            const prefix = `${reference.resolvedPath}/`;
+            const files = await this.projectSource.listFiles();
+            if (!files.some(filePath => filePath.startsWith(prefix))) {
+                this.warnings.push(`Semantic model folder not found: ${reference.resolvedPath}`);
+                return null;
+            }
+            modelSource = new coreDeps.ScopedFileSource(this.projectSource, prefix);
+        }
+        
+        if (!modelSource) {
+            return null;
+        }
+        
+        this.log('\n🧱 Loading semantic model...');
+        try {
+            const model = await coreDeps.SemanticModel.load(modelSource);
+            if (!model) {
+                this.warnings.push(`No model definition found in ${modelSource.name}`);
+                return null;
+            }
+            
+            const summary = model.getSummary();
+            this.log(`  ✓ ${summary.format}: ${summary.tables} tables, ${summary.measures} measures, ${summary.relationships} relationships`);
+            return model;
+        } catch (error) {
+            this.errors.push(`Error loading semantic model: ${error.message}`);
+            return null;
+        }
+    }
+    
+    // Adds modelObject to every visual field and filter; references the model
+    // does not define are reported once as a warning
+    linkSemanticModel() {
+        const unresolved = new Set();
+        const link = field => {
+            field.modelObject = this.resolveModelObject(field);
+            if (!field.modelObject) {
+                unresolved.add(`${field.table}.${field.property}`);
+            }
+        };
+        const linkFilters = filters => filters.forEach(filter => {
+            const field = this.describeFieldExpression(filter.fieldExpression);
+            if (field) {
+                link(field);
+                filter.modelObject = field.modelObject;
+            }
+        });
+        
+        if (this.reportData) {
+            linkFilters(this.reportData.filters);
+        }
+        
+        for (const page of this.pages.values()) {
+            linkFilters(page.filters);
+        }
+        
+        for (const visual of this.visuals.values()) {
+            const fields = visual.fields;
+            [...fields.measures, ...fields.dimensions, ...fields.hierarchies].forEach(link);
+            linkFilters(visual.filters);
+        }
+        
+        if (unresolved.size > 0) {
+            const names = Array.from(unresolved).sort();
+            this.warnings.push(`${names.length} field references not found in semantic model ${this.semanticModel.name}: ${names.slice(0, 10).join(', ')}${names.length > 10 ? ', …' : ''}`);
+        }
+    }
+    
+    // Marks visual fields and filters on report-level measures: fields get
+    // isReportMeasure, both get the measure as modelObject, and each
+    // measure lists the visuals using it in usedBy
+    linkReportMeasures() {
+        const find = field => field && field.expression && field.expression.Measure ? this.findReportMeasure(field.table, field.property) : null;
+        const linkFilters = filters => filters.forEach(filter => {
+            const measure = find(this.describeFieldExpression(filter.fieldExpression));
+            if (measure) {
+                filter.modelObject = this.describeReportMeasure(measure);
+            }
+        });
+        
+        if (this.reportData) {
+            linkFilters(this.reportData.filters);
+        }
+        
+        for (const page of this.pages.values()) {
+            linkFilters(page.filters);
+        }
+        
+        for (const visual of this.visuals.values()) {
+            visual.fields.measures.forEach(field => {
+                const measure = find(field);
+                if (!measure) return;
+                
+                field.isReportMeasure = true;
+                field.modelObject = this.describeReportMeasure(measure);
+                if (!measure.usedBy.some(use => use.page === visual.pageName && use.visual === visual.name)) {
+                    measure.usedBy.push({ page: visual.pageName, visual: visual.name });
+                }
+            });
+            linkFilters(visual.filters);
+        }
+    }
+    
+    // Adds dax to every filter: the DAX filter argument that reproduces it
+    // (see dax-generator.js). Visual measure filters are evaluated over the
+    // visual's grouping columns.
+    generateFilterDax() {
+        const generator = new coreDeps.DaxGenerator(this.semanticModel, this.reportMeasures);
+        const generate = (filters, groupBy = []) => filters.forEach(filter => {
+            filter.dax = generator.generateFilter(filter, groupBy);
+        });
+        
+        if (this.reportData) {
+            generate(this.reportData.filters);
+        }
+        
+        for (const page of this.pages.values()) {
+            generate(page.filters);
+        }
+        
+        for (const visual of this.visuals.values()) {
+            generate(visual.filters, generator.getVisualQueryShape(visual).groupBy);
+        }
+    }
+    
+    resolveModelObject(field) {
+        const model = this.semanticModel;
+        let expression = field.expression || {};
+        if (expression.Aggregation) {
+            expression = expression.Aggregation.Expression || {};
+        }
+        
+        if (expression.Measure) {
+            const reportMeasure = this.findReportMeasure(field.table, field.property);
+            if (reportMeasure) {
+                return this.describeReportMeasure(reportMeasure);
+            }
+            return this.describeModelObject('measure', field.table, model.findMeasure(field.table, field.property));
+        } else if (expression.Column) {
+            return this.describeModelObject('column', field.table, model.findColumn(field.table, field.property));
+        } else if (expression.Hierarchy) {
+            return this.describeModelObject('hierarchy', field.table, model.findHierarchy(field.table, expression.Hierarchy.Hierarchy));
+        } else if (expression.HierarchyLevel) {
+            // Auto date/time hierarchies hang off a date column (PropertyVariationSource)
+            const hierarchyExpression = expression.HierarchyLevel.Expression?.Hierarchy?.Expression || {};
+            if (hierarchyExpression.PropertyVariationSource) {
+                return this.describeModelObject('column', field.table, model.findColumn(field.table, hierarchyExpression.PropertyVariationSource.Property));
+            }
+            
+            const hierarchy = model.findHierarchy(field.table, field.hierarchy);
+            const level = hierarchy && hierarchy.levels.find(candidate => candidate.name.toLowerCase() === String(field.property).toLowerCase());
+            return level ? this.describeModelObject('column', field.table, model.findColumn(field.table, level.column)) : null;
+        }
+        
+        return null;
+    }
+    
+    describeModelObject(kind, table, object) {
+        if (!object) return null;
+        
+        return {
+            kind: object.type === 'calculated' ? 'calculatedColumn' : kind,
+            table: this.semanticModel.getTable(table).name,
+            name: object.name,
+            dataType: object.dataType || null,
+            expression: object.expression || null,
+            formatString: object.formatString || null,
+            displayFolder: object.displayFolder || null,
+            description: object.description || null,
+            isHidden: object.isHidden || false
+        };
+    }
+    
+    // Same shape as describeModelObject, for a report-level measure
+    describeReportMeasure(measure) {
+        return {
+            kind: 'reportMeasure',
+            table: measure.table,
+            name: measure.name,
+            dataType: measure.dataType,
+            expression: measure.expression,
+            formatString: measure.formatString,
+            displayFolder: measure.displayFolder,
+            description: measure.description,
+            isHidden: measure.isHidden
+        };
+    }
+    
+    findReportMeasure(table, name) {
+        const key = `${String(table).toLowerCase()}\u0000${String(name).toLowerCase()}`;
+        return this.reportMeasures.find(measure => `${measure.table.toLowerCase()}\u0000${measure.name.toLowerCase()}` === key) || null;
+    }
+    
+    // Finds the report folder: the .pbip or definition.pbir entry point when
+    // given, otherwise the only report in the source. Several reports without
+    // a choice are refused rather than guessed.
+    async resolveReportRoot(source, options) {
+        const files = await source.listFiles();
+        const entryPoint = options.entryPoint || source.entryPoint;
+        let roots;
+        
+        if (entryPoint && /\.pbip$/i.test(entryPoint)) {
+            const project = await this.readProjectFile(source, entryPoint);
+            const projectDir = this.getDirectory(entryPoint);
+            roots = (project.artifacts || [])
+                .filter(artifact => artifact.report && artifact.report.path)
+                .map(artifact => (this.resolveRelativePath(projectDir, artifact.report.path) || '') + '/');
+            
+            if (roots.length === 0) {
+                throw new Error(`${entryPoint} does not reference a report`);
+            }
+        } else if (entryPoint && /(^|\/)definition\.pbir$/i.test(entryPoint)) {
+            roots = [this.getDirectory(entryPoint)];
+        } else {
+            roots = this.findReportRoots(files);
+        }
+        
+        if (options.report) {
+            const selected = roots.filter(root => this.matchesReportName(root, options.report));
+            if (selected.length !== 1) {
+                throw new Error(`Report "${options.report}" not found. Available reports: ${roots.map(root => this.getReportName(root)).join(', ') || 'none'}`);
+            }
+            roots = selected;
+        }
+        
+        if (roots.length > 1) {
+            throw new Error(`Found ${roots.length} reports: ${roots.map(root => this.getReportName(root)).join(', ')}. Choose one with --report <name> or point at its .pbip/definition.pbir`);
+        }
+        
+        if (roots.length === 1 && roots[0] && !files.some(filePath => filePath.startsWith(roots[0]))) {
+            throw new Error(`Report folder not found: ${roots[0]}`);
+        }
+        
+        return roots[0] || '';
+    }
+    
+    // A report folder holds definition.pbir (PBIP) or definition/report.json
+    findReportRoots(files) {
+        const roots = new Set();
+        
+        files.forEach(filePath => {
+            const match = filePath.match(/^(.*?)(?:definition\.pbir|definition\/report\.json)$/);
+            if (match && (match[1] === '' || match[1].endsWith('/'))) {
+                roots.add(match[1]);
+            }
+        });
+        
+        return Array.from(roots).sort();
+    }
+    
+    async readProjectFile(source, filePath) {
+        try {
+            return JSON.parse((await source.readText(filePath)).replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`Cannot read ${filePath}: ${error.message}`);
+        }
+    }
+    
+    // definition.pbir names the semantic model, by relative path or by connection
+    async readDefinition(source) {
+        const files = await source.listFiles();
+        if (!files.includes('definition.pbir')) {
+            return null;
+        }
+        
+        let definition;
+        try {
+            definition = JSON.parse((await source.readText('definition.pbir')).replace(/^\uFEFF/, ''));
+        } catch (error) {
+            this.errors.push(`Error parsing definition.pbir: ${error.message}`);
+            return null;
+        }
+        
+        this.log(`  ✓ Found definition.pbir (version ${definition.version || 'unknown'})`);
+        return {
+            version: definition.version,
+            datasetReference: this.normalizeDatasetReference(definition.datasetReference)
+        };
+    }
+    
+    normalizeDatasetReference(datasetReference) {
+        if (!datasetReference) {
+            return null;
+        } else if (datasetReference.byPath && datasetReference.byPath.path) {
+            return {
+                type: 'byPath',
+                path: datasetReference.byPath.path,
+                // Relative to the project source, e.g. "Sales.SemanticModel"
+                resolvedPath: this.resolveRelativePath(this.reportRoot, datasetReference.byPath.path),
+                label: `${datasetReference.byPath.path} (local semantic model)`
+            };
+        } else if (datasetReference.byConnection) {
+            return {
+                type: 'byConnection',
+                ...datasetReference.byConnection,
+                label: this.describeConnection(datasetReference.byConnection)
+            };
+        }
+        
+        return null;
+    }
+    
+    // "Data Source=powerbi://.../Sales Team;Initial Catalog=Sales" -> "Sales on powerbi://.../Sales Team"
+    describeConnection(connection) {
+        const settings = {};
+        (connection.connectionString || '').split(';').forEach(part => {
+            const [key, ...value] = part.split('=');
+            if (key.trim()) {
+                settings[key.trim().toLowerCase()] = value.join('=').trim().replace(/^"(.*)"$/, '$1');
+            }
+        });
+        
+        const model = settings['initial catalog'] || connection.pbiModelDatabaseName || connection.name || 'Unknown model';
+        const server = settings['data source'];
+        return server ? `${model} on ${server}` : model;
+    }
+    
+    getDirectory(filePath) {
+        return filePath.replace(/[^\/]*$/, '');
+    }
+    
+    // "Sales.Report/" + "../Sales.SemanticModel" -> "Sales.SemanticModel";
+    // null when the path leaves the source (e.g. only the .Report folder was opened)
+    resolveRelativePath(baseDir, relativePath) {
+        const segments = baseDir.split('/').filter(Boolean);
+        for (const segment of relativePath.replace(/\\/g, '/').split('/')) {
+            if (segment === '..') {
+                if (segments.length === 0) return null;
+                segments.pop();
+            } else if (segment && segment !== '.') {
+                segments.push(segment);
+            }
+        }
+        return segments.join('/');
+    }
+    
+    getReportName(root) {
+        const folder = root.replace(/\/$/, '').split('/').pop() || (this.projectSource ? this.projectSource.name : 'Report');
+        return folder.replace(/\.Report$/i, '');
+    }
+    
+    matchesReportName(root, name) {
+        const wanted = name.replace(/\\/g, '/').replace(/\/$/, '');
+        return this.getReportName(root) === wanted.replace(/\.Report$/i, '') || root.replace(/\/$/, '') === wanted;
+    }
+    
+    // .pbix files and PBIR-Legacy projects are converted to PBIR files first
+    async openLegacyLayout(source) {
+        let legacy;
+        try {
+            legacy = await coreDeps.LegacyLayoutSource.open(source);
+        } catch (error) {
+            this.errors.push(`Error reading legacy layout: ${error.message}`);
+            return null;
+        }
+        if (!legacy) return null;
+        
+        this.log(`🗂️  Converting ${legacy.format} layout: ${legacy.layoutPath}`);
+        this.format = legacy.format;
+        this.warnings.push(...legacy.warnings);
+        
+        // The PBIR schemas describe saved PBIR files, not converted ones
+        if (this.validator) {
+            this.warnings.push(`Schema validation skipped: ${legacy.format} layouts have no PBIR schemas`);
+        }
+        return legacy;
+    }
+    
+    getModel() {
+        return {
+            report: this.reportData,
+            pages: Object.fromEntries(this.pages),
+            visuals: Object.fromEntries(this.visuals),
+            bookmarks: Object.fromEntries(this.bookmarks),
+            bookmarkTree: this.bookmarkTree,
+            theme: this.theme.describe(),
+            reportMeasures: this.reportMeasures,
+            semanticModel: this.semanticModel,
+            errors: this.errors,
+            warnings: this.warnings,
+            validationErrors: this.validationErrors
+        };
+    }
+    
+    async parseReportStructure(files) {
+        this.log('\n📊 Parsing report structure...');
+        
+        // Parse main report.json
+        const reportFile = this.findFile(files, 'definition/report.json');
+        if (reportFile) {
+            this.log('  ✓ Found report.json');
+            const reportData = await this.readJson(reportFile, 'report');
+            if (reportData) {
+                this.reportData = this.validateAndNormalizeReport(reportData);
+            }
+        } else {
+            this.warnings.push('No main report.json found');
+        }
+        
+        // Parse version metadata
+        const versionFile = this.findFile(files, 'definition/version.json');
+        if (versionFile) {
+            this.log('  ✓ Found version.json');
+            const versionData = await this.readJson(versionFile, 'versionMetadata');
+            if (versionData && this.reportData) {
+                this.reportData.version = this.validateVersionMetadata(versionData);
+            }
+        }
+        
+        // Parse report extensions
+        const extensionsFile = this.findFile(files, 'definition/reportExtensions.json');
+        if (extensionsFile) {
+            this.log('  ✓ Found reportExtensions.json');
+            const extensionsData = await this.readJson(extensionsFile, 'reportExtension');
+            if (extensionsData && this.reportData) {
+                this.reportData.extensions = extensionsData;
+                this.reportMeasures = this.extractReportMeasures(extensionsData);
+            }
+        }
+    }
+    
+    // Measures a thin report adds to model tables (reportExtensions.json
+    // entities). references lists the measures their DAX uses, as the file
+    // records them: model measures, or other report-level measures when the
+    // reference names the extension's schema.
+    extractReportMeasures(extensions) {
+        return (extensions.entities || []).flatMap(entity => (entity.measures || []).map(measure => ({
+            schema: extensions.name || 'extension',
+            table: entity.name,
+            name: measure.name,
+            dataType: measure.dataType || null,
+            dataCategory: measure.dataCategory || null,
+            expression: measure.expression || '',
+            formatString: measure.formatString || null,
+            description: measure.description || null,
+            displayFolder: measure.displayFolder || null,
+            isHidden: measure.hidden || false,
+            template: measure.measureTemplate ? { name: measure.measureTemplate.daxTemplateName, version: measure.measureTemplate.version } : null,
+            references: (measure.references && measure.references.measures || []).map(reference => ({
+                table: reference.entity,
+                name: reference.name,
+                isReportMeasure: Boolean(reference.schema)
+            })),
+            unrecognizedReferences: Boolean(measure.references && measure.references.unrecognizedReferences),
+            annotations: measure.annotations || [],
+            usedBy: []
+        })));
+    }
+    
+    // Base and custom theme files named in themeCollection. They live under
+    // StaticResources/<package>/<item path>, as resourcePackages lists them;
+    // a missing file leaves the Power BI default theme in its place.
+    async loadTheme(files) {
+        const collection = this.reportData && this.reportData.themeCollection || {};
+        const packages = this.reportData && this.reportData.resourcePackages || [];
+        
+        const read = async theme => {
+            if (!theme || !theme.name) return null;
+            
+            const candidates = [];
+            packages.filter(resourcePackage => resourcePackage.type === theme.type).forEach(resourcePackage => {
+                (resourcePackage.items || []).filter(item => item.name === theme.name).forEach(item => {
+                    candidates.push(`StaticResources/${resourcePackage.name}/${item.path}`);
+                });
+            });
+            candidates.push(`StaticResources/${theme.type}/BaseThemes/${theme.name}.json`, `StaticResources/${theme.type}/${theme.name}`);
+            
+            const file = candidates.map(candidate => this.findFile(files, candidate)).find(Boolean);
+            if (!file) {
+                this.warnings.push(`Theme ${theme.name} not found in StaticResources; the Power BI default theme stands in`);
+                return null;
+            }
+            this.log(`  ✓ Found theme ${file}`);
+            return this.readJson(file, null);
+        };
+        
+        this.theme = new coreDeps.ReportTheme(await read(collection.baseTheme), await read(collection.customTheme));
+    }
+    
+    // Every item resourcePackages registers, and whether its file is in the
+    // project, plus one entry per custom visual: the ones with a CustomVisual
+    // package (private, or AppSource when publicCustomVisuals lists them too),
+    // the other AppSource ones and organizationCustomVisuals
+    async loadResources(allFiles) {
+        const report = this.reportData || {};
+        const bundled = await this.readBundledVisuals(allFiles);
+        const appSource = new Set(report.publicCustomVisuals || []);
+        
+        const addVisual = async (name, origin, details) => {
+            const metadata = await this.readCustomVisualMetadata(allFiles, name) || bundled.get(name) || null;
+            this.customVisuals.set(name, {
+                name,
+                origin,
+                ...details,
+                found: metadata !== null,
+                ...(metadata || {})
+            });
+        };
+        
+        for (const resourcePackage of report.resourcePackages || []) {
+            if (resourcePackage.type === 'CustomVisual') {
+                await addVisual(resourcePackage.name, appSource.has(resourcePackage.name) ? 'AppSource' : 'private', { package: resourcePackage.name, disabled: resourcePackage.disabled || false });
+                continue;
+            }
+            (resourcePackage.items || []).forEach(item => {
+                this.resourceItems.push({
+                    name: item.name,
+                    package: resourcePackage.name,
+                    type: item.type,
+                    path: item.path,
+                    present: this.findFile(allFiles, `StaticResources/${resourcePackage.name}/${item.path}`) !== null
+                });
+            });
+        }
+        for (const name of report.publicCustomVisuals || []) {
+            if (!this.customVisuals.has(name)) {
+                await addVisual(name, 'AppSource', { package: null, disabled: false });
+            }
+        }
+        for (const visual of report.organizationCustomVisuals || []) {
+            await addVisual(visual.name, 'organization', { package: visual.path, disabled: visual.disabled || false });
+        }
+    }
+    
+    // CustomVisuals/<name>/package.json and resources/*.pbiviz.json, as
+    // Power BI Desktop saves a private custom visual
+    async readCustomVisualMetadata(allFiles, name) {
+        const inFolder = filePath => `/${filePath}`.includes(`/CustomVisuals/${name}/`);
+        const packageFile = allFiles.find(filePath => inFolder(filePath) && filePath.endsWith('/package.json'));
+        const resourceFile = allFiles.find(filePath => inFolder(filePath) && filePath.endsWith('.pbiviz.json'));
+        if (!packageFile && !resourceFile) return null;
+        
+        const packageJson = packageFile ? await this.readJson(packageFile, null) : null;
+        const resourceJson = resourceFile ? await this.readJson(resourceFile, null) : null;
+        return this.describeCustomVisual(packageJson, resourceJson, resourceFile || packageFile);
+    }
+    
+    // .pbiviz files anywhere in the project, by visual guid. A .pbiviz is a
+    // zip with the same package.json and resources/*.pbiviz.json.
+    async readBundledVisuals(allFiles) {
+        const bundled = new Map();
+        
+        for (const pbivizFile of allFiles.filter(filePath => /\.pbiviz$/i.test(filePath))) {
+            try {
+                const archive = new coreDeps.ZipFileSource(await this.source.readBytes(pbivizFile), pbivizFile);
+                const entries = await archive.listFiles();
+                const read = async entry => entry ? JSON.parse((await archive.readText(entry)).replace(/^\uFEFF/, '')) : null;
+                
+                const packageJson = await read(entries.find(entry => entry === 'package.json'));
+                const resourceJson = await read(entries.find(entry => entry.endsWith('.pbiviz.json')));
+                const metadata = this.describeCustomVisual(packageJson, resourceJson, pbivizFile);
+                if (metadata.guid) {
+                    bundled.set(metadata.guid, metadata);
+                }
+            } catch (error) {
+                this.warnings.push(`Could not read custom visual ${pbivizFile}: ${error.message}`);
+            }
+        }
+        return bundled;
+    }
+    
+    // Display name, version, author and what the visual asks for: its data
+    // roles and privileges (web access, local storage...)
+    describeCustomVisual(packageJson, resourceJson, file) {
+        const visual = { ...(packageJson && packageJson.visual), ...(resourceJson && resourceJson.visual) };
+        const author = (resourceJson && resourceJson.author) || (packageJson && packageJson.author) || {};
+        const capabilities = resourceJson && resourceJson.capabilities || packageJson && packageJson.capabilities || {};
+        
+        return {
+            file,
+            guid: visual.guid || null,
+            displayName: visual.displayName || visual.name || null,
+            version: visual.version || null,
+            author: author.name || null,
+            description: visual.description || null,
+            supportUrl: visual.supportUrl || null,
+            apiVersion: (resourceJson && resourceJson.apiVersion) || (packageJson && packageJson.apiVersion) || null,
+            dataRoles: (capabilities.dataRoles || []).map(role => ({ name: role.name, displayName: role.displayName || role.name, kind: role.kind })),
+            privileges: (capabilities.privileges || []).map(privilege => ({
+                name: privilege.name,
+                essential: privilege.essential || false,
+                parameters: privilege.parameters || []
+            }))
+        };
+    }
+    
+    validateAndNormalizeReport(reportData) {
+        // Normalize according to the report schema
+        return {
+            $schema: reportData.$schema,
+            themeCollection: reportData.themeCollection || {},
+            filterConfig: reportData.filterConfig,
+            filters: this.extractContainerFilters(reportData.filterConfig, 'report'),
+            objects: reportData.objects,
+            reportSource: reportData.reportSource || 'Default',
+            publicCustomVisuals: reportData.publicCustomVisuals || [],
+            resourcePackages: reportData.resourcePackages || [],
+            organizationCustomVisuals: reportData.organizationCustomVisuals || [],
+            annotations: reportData.annotations || [],
+            settings: reportData.settings || {},
+            slowDataSourceSettings: reportData.slowDataSourceSettings || {}
+        };
+    }
+    
+    validateVersionMetadata(versionData) {
+        return {
+            version: versionData.version,
+            minVersion: versionData.minVersion,
+            lastSavedUtc: versionData.lastSavedUtc
+        };
+    }
+    
+    async parsePages(files) {
+        this.log('\n📄 Parsing pages...');
+        
+        // pages.json defines the page order; pages missing from it go last
+        const pagesFile = this.findFile(files, 'definition/pages/pages.json');
+        let pageOrder = [];
+        
+        if (pagesFile) {
+            this.log('  ✓ Found pages.json');
+            const pagesData = await this.readJson(pagesFile, 'pagesMetadata');
+            if (pagesData && Array.isArray(pagesData.pageOrder)) {
+                pageOrder = pagesData.pageOrder;
+            }
+        }
+        
+        const pageFiles = files.filter(filePath => /(^|\/)pages\/[^\/]+\/page\.json$/.test(filePath));
+        this.log(`  📑 Found ${pageFiles.length} page files`);
+        
+        const parsedPages = [];
+        for (const pageFile of pageFiles) {
+            const pageName = this.extractPageName(pageFile);
+            this.log(`    Processing page: ${pageName}`);
+            
+            const pageData = await this.readJson(pageFile, 'page');
+            if (pageData) {
+                const page = this.validateAndNormalizePage(pageData);
+                page.name = pageName;
+                page.visuals = await this.parsePageVisuals(files, pageFile, pageName);
+                page.visualTree = this.buildVisualTree(page);
+                
+                parsedPages.push(page);
+                this.log(`      ✓ Parsed ${Object.keys(page.visuals).length} visuals`);
+            }
+        }
+        
+        parsedPages.forEach(page => {
+            const position = pageOrder.indexOf(page.name);
+            page.ordinal = position === -1 ? Infinity : position;
+        });
+        
+        parsedPages
+            .sort((a, b) => a.ordinal - b.ordinal || a.displayName.localeCompare(b.displayName))
+            .forEach((page, index) => {
+                page.ordinal = index;
+                this.pages.set(page.name, page);
+            });
+    }
+    
+    validateAndNormalizePage(pageData) {
+        const filters = this.extractContainerFilters(pageData.filterConfig, 'page');
+        
+        // Normalize according to the page schema
+        return {
+            $schema: pageData.$schema,
+            name: pageData.name,
+            displayName: pageData.displayName || pageData.name || 'Untitled Page',
+            displayOption: pageData.displayOption || 'FitToPage',
+            width: pageData.width,
+            height: pageData.height,
+            filterConfig: pageData.filterConfig,
+            filters: filters,
+            pageBinding: pageData.pageBinding,
+            usage: this.getPageUsage(pageData),
+            bindingFields: this.extractBindingFields(pageData.pageBinding, filters),
+            objects: pageData.objects,
+            type: pageData.type,
+            visibility: pageData.visibility || 'AlwaysVisible',
+            visualInteractions: pageData.visualInteractions || [],
+            annotations: pageData.annotations || [],
+            howCreated: pageData.howCreated || 'Default'
+        };
+    }
+    
+    // 'Drillthrough', 'Tooltip' or 'Default'. Tooltip pages usually set the
+    // page type and keep a Default binding, so either one decides
+    getPageUsage(pageData) {
+        const binding = pageData.pageBinding && pageData.pageBinding.type;
+        if (pageData.type === 'Drillthrough' || binding === 'Drillthrough') {
+            return 'Drillthrough';
+        }
+        if (pageData.type === 'Tooltip' || binding === 'Tooltip') {
+            return 'Tooltip';
+        }
+        return 'Default';
+    }
+    
+    // Drillthrough and tooltip fields: one per binding parameter, taken from
+    // its fieldExpr or else from the page filter it fills in
+    extractBindingFields(pageBinding, filters) {
+        return (pageBinding && pageBinding.parameters || []).map(parameter => {
+            const filter = filters.find(item => item.name === parameter.boundFilter);
+            const expression = parameter.fieldExpr || (filter && filter.fieldExpression) || null;
+            
+            return {
+                name: parameter.name,
+                boundFilter: parameter.boundFilter || null,
+                field: this.describeFieldExpression(expression),
+                label: expression ? this.getFieldLabel(expression) : parameter.name,
+                asAggregation: parameter.asAggregation || false
+            };
+        });
+    }
+    
+    async parsePageVisuals(files, pageFile, pageName) {
+        const visuals = new Map();
+        const visualsDir = pageFile.replace(/page\.json$/, 'visuals/');
+        
+        const visualFiles = files.filter(filePath =>
+            filePath.startsWith(visualsDir) && /^[^\/]+\/visual\.json$/.test(filePath.slice(visualsDir.length))
+        );
+        
+        for (const visualFile of visualFiles) {
+            const visualName = this.extractVisualName(visualFile);
+            const visualData = await this.readJson(visualFile, 'visualContainer');
+            
+            if (visualData) {
+                // Parse mobile layout if exists
+                const mobileFile = visualFile.replace(/visual\.json$/, 'mobile.json');
+                let mobileData = null;
+                
+                if (files.includes(mobileFile)) {
+                    mobileData = await this.readJson(mobileFile, 'visualContainerMobileState');
+                }
+                
+                const processedVisual = this.processVisualData(visualData, mobileData);
+                processedVisual.pageName = pageName;
+                processedVisual.visualName = visualName;
+                
+                visuals.set(visualName, processedVisual);
+                this.visuals.set(`${pageName}:${visualName}`, processedVisual);
+            }
+        }
+        
+        return Object.fromEntries(visuals);
+    }
+    
+    processVisualData(visualData, mobileData = null) {
+        const validated = this.validateVisualContainer(visualData);
+        
+        return {
+            ...validated,
+            mobile: mobileData,
+            properties: this.extractVisualProperties(validated),
+            fields: this.extractFields(validated),
+            filters: this.extractFilters(validated),
+            layout: this.extractLayout(validated),
+            formatting: this.extractFormatting(validated),
+            mobileLayout: mobileData && mobileData.position ? this.extractLayout(mobileData) : null,
+            mobileFormatting: mobileData ? this.extractFormatting(this.applyMobileState(validated, mobileData)) : null,
+            mobileOverrides: mobileData ? this.getMobileOverrides(validated, mobileData) : [],
+            link: this.extractVisualLink(validated),
+            tooltip: this.extractVisualTooltip(validated)
+        };
+    }
+    
+    validateVisualContainer(visualData) {
+        // Normalize according to the visualContainer schema
+        return {
+            $schema: visualData.$schema,
+            name: visualData.name,
+            position: this.validatePosition(visualData.position),
+            visual: visualData.visual,
+            visualGroup: visualData.visualGroup,
+            parentGroupName: visualData.parentGroupName,
+            filterConfig: visualData.filterConfig,
+            isHidden: visualData.isHidden || false,
+            annotations: visualData.annotations || [],
+            howCreated: visualData.howCreated || 'Default'
+        };
+    }
+    
+    validatePosition(position) {
+        if (!position) return null;
+        
+        return {
+            x: position.x || 0,
+            y: position.y || 0,
+            z: position.z || 0,
+            height: position.height || 0,
+            width: position.width || 0,
+            tabOrder: position.tabOrder,
+            angle: position.angle
+        };
+    }
+    
+    extractVisualProperties(visualData) {
+        const type = this.getVisualType(visualData);
+        const title = this.getVisualTitle(visualData);
+        
+        return {
+            name: visualData.name,
+            type: type,
+            typeName: this.getVisualTypeName(type),
+            title: title,
+            displayName: this.getVisualDisplayName(visualData, type, title),
+            isCustomVisual: this.isCustomVisualType(type),
+            isHidden: visualData.isHidden,
+            howCreated: visualData.howCreated
+        };
+    }
+    
+    getVisualType(visualData) {
+        if (visualData.visual && visualData.visual.visualType) {
+            return visualData.visual.visualType;
+        } else if (visualData.visual && visualData.visual.singleVisual && visualData.visual.singleVisual.visualType) {
+            return visualData.visual.singleVisual.visualType;
+        } else if (visualData.visualGroup) {
+            return 'visualGroup';
+        }
+        return 'unknown';
+    }
+    
+    getVisualTypeName(type) {
+        const customVisual = this.customVisuals.get(type);
+        if (customVisual && customVisual.displayName) {
+            return customVisual.displayName;
+        }
+        if (this.isCustomVisualType(type)) {
+            return 'Custom Visual';
+        }
+        if (type === 'visualGroup') {
+            return 'Group';
+        }
+        return this.schemas.visualTypeNames[type] || type;
+    }
+    
+    isCustomVisualType(type) {
+        return this.customVisuals.has(type) || type.startsWith('PBI_CV_') || type.includes('CV_') || type.length > 30;
+    }
+    
+    getVisualTitle(visualData) {
+        const visual = visualData.visual || {};
+        const singleVisual = visual.singleVisual || {};
+        
+        // Title objects, most common location first
+        const titleSources = [
+            visual.visualContainerObjects,
+            visualData.visualContainerObjects,
+            visual.objects,
+            singleVisual.vcObjects,
+            singleVisual.objects
+        ];
+        
+        for (const objects of titleSources) {
+            const text = objects?.title?.[0]?.properties?.text;
+            const title = this.extractLiteralValue(text);
+            if (typeof title === 'string' && title.trim() && title.trim() !== 'Title') {
+                return title.trim();
+            }
+        }
+        
+        // For text boxes, use the first text run
+        const general = (visual.objects || singleVisual.objects)?.general?.[0]?.properties;
+        const firstText = general?.paragraphs?.[0]?.textRuns?.[0]?.value;
+        if (firstText && firstText.trim() && firstText.length < 50) {
+            return firstText.trim();
+        }
+        
+        return null;
+    }
+    
+    getVisualDisplayName(visualData, type, title) {
+        if (title) {
+            return title;
+        }
+        if (visualData.visualGroup && visualData.visualGroup.displayName) {
+            return visualData.visualGroup.displayName;
+        }
+        
+        const shortId = visualData.name ? visualData.name.substring(0, 8) : 'unknown';
+        const typeName = this.getVisualTypeName(type);
+        
+        return type !== 'unknown' ? `${typeName} (${shortId})` : `Visual (${shortId})`;
+    }
+    
+    // The selection pane tree of a page: { name, kind, displayName, type,
+    // groupMode, isHidden, hiddenByGroup, offset, children }, top of the
+    // z-order first. offset is the position inside the parent group (visual
+    // positions are page coordinates). Every visual also gets groupPath, the
+    // names of its groups from the outermost in, and hiddenByGroup when a
+    // group above it is hidden, which hides it whatever its own state.
+    buildVisualTree(page) {
+        const visuals = page.visuals || {};
+        const children = new Map();
+        const roots = [];
+        
+        const parentOf = visual => {
+            const parent = visual.parentGroupName;
+            return parent && visuals[parent] && visuals[parent].visualGroup && parent !== visual.name ? parent : null;
+        };
+        // Groups that name each other as parent never reach the top level;
+        // each group in such a cycle is treated as a root instead
+        const isInCycle = visual => {
+            const visited = new Set();
+            for (let name = parentOf(visual); name && !visited.has(name); name = parentOf(visuals[name])) {
+                if (name === visual.name) return true;
+                visited.add(name);
+            }
+            return false;
+        };
+        
+        Object.values(visuals).forEach(visual => {
+            visual.groupPath = [];
+            visual.hiddenByGroup = false;
+            
+            const parent = parentOf(visual);
+            if (parent && !isInCycle(visual)) {
+                children.set(parent, [...(children.get(parent) || []), visual]);
+            } else {
+                if (parent) {
+                    this.warnings.push(`Group ${visual.properties.displayName} on page ${page.displayName} is part of a cycle of groups containing each other; shown at the top level`);
+                } else if (visual.parentGroupName) {
+                    this.warnings.push(`Visual ${visual.properties.displayName} on page ${page.displayName} belongs to group ${visual.parentGroupName}, which is not on the page`);
+                }
+                roots.push(visual);
+            }
+        });
+        
+        const byZ = (a, b) => b.layout.z - a.layout.z;
+        const toNode = (visual, parent, path) => {
+            visual.groupPath = path.map(group => group.name);
+            visual.hiddenByGroup = path.some(group => group.isHidden);
+            
+            const isGroup = Boolean(visual.visualGroup);
+            return {
+                name: visual.name,
+                kind: isGroup ? 'group' : 'visual',
+                displayName: visual.properties.displayName,
+                type: visual.properties.type,
+                groupMode: isGroup ? visual.visualGroup.groupMode || 'ScaleMode' : null,
+                isHidden: visual.isHidden,
+                hiddenByGroup: visual.hiddenByGroup,
+                offset: parent ? { x: visual.layout.x - parent.layout.x, y: visual.layout.y - parent.layout.y } : null,
+                children: isGroup
+                    ? (children.get(visual.name) || []).sort(byZ).map(child => toNode(child, visual, [...path, visual]))
+                    : []
+            };
+        };
+        
+        return roots.sort(byZ).map(visual => toNode(visual, null, []));
+    }
+    
+    // Button, shape and image action (visualLink): { type, target, tooltip },
+    // or null when the visual has no action or it is turned off
+    extractVisualLink(visualData) {
+        const visual = visualData.visual || {};
+        const sources = [
+            visual.visualContainerObjects,
+            visual.singleVisual && visual.singleVisual.vcObjects
+        ];
+        
+        for (const objects of sources) {
+            const properties = objects?.visualLink?.[0]?.properties;
+            if (!properties) continue;
+            
+            const type = this.extractLiteralValue(properties.type);
+            if (!type || this.extractLiteralValue(properties.show) === false) {
+                return null;
+            }
+            const targetProperty = PBIRCore.linkTargetProperties[type];
+            return {
+                type,
+                target: targetProperty ? this.extractLiteralValue(properties[targetProperty]) : null,
+                tooltip: this.extractLiteralValue(properties.tooltip) || null
+            };
+        }
+        return null;
+    }
+    
+    // visualTooltip: { type, page }. Type 'Canvas' (the default) shows a
+    // report page tooltip, either the chosen page or, with page null, any
+    // tooltip page whose fields the visual uses; 'Default' shows the
+    // standard tooltip. null when tooltips are turned off.
+    extractVisualTooltip(visualData) {
+        const visual = visualData.visual || {};
+        const properties = visual.visualContainerObjects?.visualTooltip?.[0]?.properties
+            || visual.singleVisual?.vcObjects?.visualTooltip?.[0]?.properties
+            || {};
+        
+        if (this.extractLiteralValue(properties.show) === false) {
+            return null;
+        }
+        return {
+            type: this.extractLiteralValue(properties.type) || 'Canvas',
+            page: this.extractLiteralValue(properties.section) || null
+        };
+    }
+    
+    // "Button → Net Sales" instead of "Button (23db26b3)"; runs once pages
+    // and bookmarks are known
+    labelLinkedVisuals() {
+        for (const visual of this.visuals.values()) {
+            if (visual.link && !visual.properties.title) {
+                visual.properties.displayName = `${visual.properties.typeName} → ${this.describeLinkTarget(visual.link)}`;
+            }
+        }
+    }
+    
+    // Links visuals to the drillthrough and tooltip pages they open, on both
+    // ends: visual.targetPages and page.sourceVisuals hold { page, visual,
+    // kind, via, fields }. Drillthrough comes from the right-click menu
+    // (via 'menu', when the visual uses a drillthrough field) or from a
+    // drillthrough button ('button'); tooltip pages are either chosen on the
+    // visual ('page') or matched on their fields ('auto').
+    mapPageTargets() {
+        const pages = Array.from(this.pages.values());
+        pages.forEach(page => {
+            page.sourceVisuals = [];
+        });
+        
+        for (const visual of this.visuals.values()) {
+            visual.targetPages = [];
+            const add = (page, kind, via, fields) => {
+                const link = { page: page.name, visual: visual.name, kind, via, fields };
+                visual.targetPages.push(link);
+                page.sourceVisuals.push({ ...link, page: visual.pageName });
+            };
+            
+            const type = visual.properties.type;
+            const hasData = !PBIRCore.staticVisualTypes.has(type) && !/slicer/i.test(type);
+            
+            pages.filter(page => page.usage === 'Drillthrough' && page.name !== visual.pageName).forEach(page => {
+                if (visual.link && visual.link.type === 'Drillthrough' && visual.link.target === page.name) {
+                    add(page, 'drillthrough', 'button', page.bindingFields.map(field => field.label));
+                    return;
+                }
+                const fields = hasData ? this.matchBindingFields(page, visual) : [];
+                if (fields.length > 0) {
+                    add(page, 'drillthrough', 'menu', fields);
+                }
+            });
+            
+            const tooltip = visual.tooltip;
+            if (!hasData || !tooltip || tooltip.type !== 'Canvas') continue;
+            
+            if (tooltip.page) {
+                const page = this.pages.get(tooltip.page);
+                if (page) {
+                    add(page, 'tooltip', 'page', []);
+                } else {
+                    this.warnings.push(`Visual ${visual.properties.displayName} on page ${this.pages.get(visual.pageName).displayName} uses tooltip page ${tooltip.page}, which does not exist`);
+                }
+                continue;
+            }
+            pages.filter(page => page.usage === 'Tooltip' && page.name !== visual.pageName).forEach(page => {
+                const fields = this.matchBindingFields(page, visual);
+                if (fields.length > 0) {
+                    add(page, 'tooltip', 'auto', fields);
+                }
+            });
+        }
+    }
+    
+    // Labels of the page's binding fields the visual uses. Power BI offers
+    // drillthrough when any of them is there; a summarized field only counts
+    // when the parameter accepts aggregations.
+    matchBindingFields(page, visual) {
+        const used = [...visual.fields.measures, ...visual.fields.dimensions, ...visual.fields.hierarchies];
+        
+        return page.bindingFields
+            .filter(binding => binding.field && used.some(field =>
+                field.table === binding.field.table &&
+                field.property === binding.field.property &&
+                (!field.aggregation || binding.asAggregation)))
+            .map(binding => binding.label);
+    }
+    
+    describeLinkTarget(link) {
+        switch (link.type) {
+            case 'PageNavigation':
+            case 'Drillthrough': {
+                const page = this.pages.get(link.target);
+                return page ? page.displayName : link.target || 'no page';
+            }
+            case 'Bookmark': {
+                const bookmark = this.bookmarks.get(link.target);
+                return bookmark ? bookmark.displayName : link.target || 'no bookmark';
+            }
+            case 'WebUrl':
+                return link.target || 'web page';
+            case 'Qna':
+                return 'Q&A';
+        }
+        return link.type;
+    }
+    
+    extractFields(visualData) {
+        const fields = {
+            measures: [],
+            dimensions: [],
+            hierarchies: [],
+            calculations: []
+        };
+        
+        const addField = (field) => {
+            if (!field) return;
+            if (field.type === 'measure') {
+                fields.measures.push(field);
+            } else if (field.type === 'calculation') {
+                fields.calculations.push(field);
+            } else if (field.type === 'hierarchy') {
+                fields.hierarchies.push(field);
+            } else {
+                fields.dimensions.push(field);
+            }
+        };
+        
+        const visual = visualData.visual;
+        if (!visual) {
+            return fields;
+        }
+        
+        // PBIR format: query.queryState holds projections per data role
+        if (visual.query && visual.query.queryState) {
+            Object.entries(visual.query.queryState).forEach(([roleKey, role]) => {
+                (role.projections || []).forEach(projection => {
+                    addField(this.parseProjectionField(roleKey, projection));
+                });
+            });
+        }
+        
+        // Legacy format: singleVisual.prototypeQuery
+        if (visual.singleVisual && visual.singleVisual.prototypeQuery) {
+            const query = visual.singleVisual.prototypeQuery;
+            const aliases = this.getSourceAliases(query);
+            
+            // Converted legacy visuals already list their Select as projections
+            if (!visual.query || !visual.query.queryState) {
+                (query.Select || []).forEach(select => {
+                    addField(this.parseSelectExpression(select, aliases));
+                });
+            }
+            
+            // Visual calculations are the output columns of a VisualCalculation
+            // transform; Select only points at them by role
+            (query.Transform || []).forEach(transform => {
+                if (transform.Algorithm !== 'VisualCalculation') return;
+                
+                (transform.Output && transform.Output.Table && transform.Output.Table.Columns || []).forEach(column => {
+                    const field = this.describeFieldExpression(column.Expression);
+                    if (field && field.type === 'calculation' && !fields.calculations.some(calculation => calculation.property === field.property)) {
+                        addField({ ...field, role: column.Role || null, queryRef: field.property, name: field.property, isActive: true, isHidden: false });
+                    }
+                });
+            });
+        }
+        
+        fields.calculations.forEach(calculation => {
+            calculation.references = this.findCalculationReferences(calculation, fields);
+        });
+        
+        return fields;
+    }
+    
+    // Fields a visual calculation's DAX uses. Visual calculations refer to
+    // the visual's own fields by their name in the visual ([Sum of Sales]),
+    // or to other visual calculations; strings and comments are skipped.
+    findCalculationReferences(calculation, fields) {
+        const code = String(calculation.dax || '')
+            .replace(/"(?:[^"]|"")*"/g, '""')
+            .replace(/\/\*[\s\S]*?\*\//g, ' ')
+            .replace(/(\/\/|--).*$/gm, '');
+        const visualFields = [...fields.measures, ...fields.dimensions, ...fields.hierarchies];
+        const references = [];
+        const pattern = /\[([^\]]+)\]/g;
+        let match;
+        
+        while ((match = pattern.exec(code)) !== null) {
+            const name = match[1].trim();
+            const key = name.toLowerCase();
+            if (references.some(reference => reference.name.toLowerCase() === key)) continue;
+            
+            const field = visualFields.find(candidate => String(candidate.name).toLowerCase() === key)
+                || visualFields.find(candidate => String(candidate.property).toLowerCase() === key);
+            if (field) {
+                const label = `${field.table}.${field.property}`;
+                references.push({ name, kind: 'field', field: field.aggregation ? `${field.aggregation}(${label})` : label });
+            } else if (fields.calculations.some(other => other !== calculation && other.name.toLowerCase() === key)) {
+                references.push({ name, kind: 'calculation', field: null });
+            } else {
+                references.push({ name, kind: 'unknown', field: null });
+            }
+        }
+        return references;
+    }
+    
+    parseProjectionField(roleKey, projection) {
+        if (!projection.field) {
+            return null;
+        }
+        
+        const field = this.describeFieldExpression(projection.field);
+        if (!field) {
+            return null;
+        }
+        
+        return {
+            ...field,
+            role: roleKey,
+            queryRef: projection.queryRef,
+            name: projection.displayName || projection.nativeQueryRef || projection.queryRef || field.property,
+            isActive: projection.active !== false,
+            isHidden: projection.hidden || false
+        };
+    }
+    
+    parseSelectExpression(select, aliases = {}) {
+        const field = this.describeFieldExpression(select, aliases);
+        if (!field) {
+            return null;
+        }
+        
+        return {
+            ...field,
+            role: null,
+            queryRef: select.Name,
+            name: select.NativeReferenceName || select.Name || field.property
+        };
+    }
+    
+    // Describes a column, measure, aggregation, hierarchy level or visual
+    // calculation reference
+    describeFieldExpression(expression, aliases = {}) {
+        if (!expression) return null;
+        
+        if (expression.Measure) {
+            return {
+                type: 'measure',
+                table: this.resolveEntity(expression.Measure.Expression, aliases),
+                property: expression.Measure.Property,
+                aggregation: null,
+                expression: expression
+            };
+        } else if (expression.Column) {
+            return {
+                type: 'dimension',
+                table: this.resolveEntity(expression.Column.Expression, aliases),
+                property: expression.Column.Property,
+                aggregation: null,
+                expression: expression
+            };
+        } else if (expression.Aggregation) {
+            const inner = this.describeFieldExpression(expression.Aggregation.Expression, aliases) || {};
+            return {
+                type: 'measure',
+                table: inner.table || 'Unknown Table',
+                property: inner.property || 'Unknown Field',
+                aggregation: this.schemas.aggregationFunctions[expression.Aggregation.Function] || 'Unknown',
+                expression: expression
+            };
+        } else if (expression.HierarchyLevel) {
+            const hierarchy = expression.HierarchyLevel.Expression?.Hierarchy || {};
+            return {
+                type: 'dimension',
+                table: this.resolveEntity(hierarchy.Expression, aliases),
+                property: expression.HierarchyLevel.Level,
+                hierarchy: hierarchy.Hierarchy,
+                aggregation: null,
+                expression: expression
+            };
+        } else if (expression.Hierarchy) {
+            return {
+                type: 'hierarchy',
+                table: this.resolveEntity(expression.Hierarchy.Expression, aliases),
+                property: expression.Hierarchy.Hierarchy,
+                hierarchy: expression.Hierarchy.Hierarchy,
+                aggregation: null,
+                expression: expression
+            };
+        } else if (expression.NativeVisualCalculation) {
+            const calculation = expression.NativeVisualCalculation;
+            return {
+                type: 'calculation',
+                table: null,
+                property: calculation.Name,
+                aggregation: null,
+                dax: calculation.Expression || '',
+                dataType: calculation.DataType || null,
+                expression: expression
+            };
+        }
+        
+        return null;
+    }
+    
+    resolveEntity(expression, aliases = {}) {
+        if (!expression) return 'Unknown Table';
+        
+        if (expression.SourceRef) {
+            return expression.SourceRef.Entity || aliases[expression.SourceRef.Source] || expression.SourceRef.Source || 'Unknown Table';
+        } else if (expression.PropertyVariationSource) {
+            return this.resolveEntity(expression.PropertyVariationSource.Expression, aliases);
+        } else if (expression.Hierarchy) {
+            return this.resolveEntity(expression.Hierarchy.Expression, aliases);
+        } else if (expression.Column) {
+            return this.resolveEntity(expression.Column.Expression, aliases);
+        }
+        return 'Unknown Table';
+    }
+    
+    getSourceAliases(query) {
+        const aliases = {};
+        (query && query.From || []).forEach(source => {
+            if (source.Name && source.Entity) {
+                aliases[source.Name] = source.Entity;
+            }
+        });
+        return aliases;
+    }
+    
+    getFieldLabel(expression, aliases = {}) {
+        const field = this.describeFieldExpression(expression, aliases);
+        if (!field) {
+            return 'Unknown Field';
+        }
+        
+        if (field.type === 'calculation') {
+            return `[${field.property}]`;
+        }
+        
+        const label = `${field.table}.${field.property}`;
+        return field.aggregation ? `${field.aggregation}(${label})` : label;
+    }
+    
+    extractFilters(visualData) {
+        const filters = this.extractContainerFilters(visualData.filterConfig, 'visual');
+        
+        // Legacy format: prototypeQuery Where clause
+        const prototypeQuery = visualData.visual?.singleVisual?.prototypeQuery;
+        if (prototypeQuery && prototypeQuery.Where) {
+            const aliases = this.getSourceAliases(prototypeQuery);
+            prototypeQuery.Where.forEach(where => {
+                filters.push(this.parseQueryFilter(where, 'visual', aliases));
+            });
+        }
+        
+        return filters;
+    }
+    
+    extractContainerFilters(filterConfig, level) {
+        if (!filterConfig || !Array.isArray(filterConfig.filters)) {
+            return [];
+        }
+        
+        return filterConfig.filters.map(filterContainer => this.parseFilterContainer(filterContainer, level));
+    }
+    
+    parseFilterContainer(filterContainer, level) {
+        const query = coreDeps.SemanticQuery.decodeFilter(filterContainer.filter);
+        
+        // Parse according to the FilterContainer schema
+        return {
+            name: filterContainer.name,
+            displayName: filterContainer.displayName || filterContainer.name || 'Unnamed Filter',
+            type: filterContainer.type || 'Unknown',
+            level: level,
+            field: filterContainer.field ? this.getFieldLabel(filterContainer.field) : null,
+            fieldExpression: filterContainer.field,
+            filter: filterContainer.filter,
+            query: query,
+            conditionText: coreDeps.SemanticQuery.formatFilter(query) || null,
+            ordinal: filterContainer.ordinal,
+            restatement: filterContainer.restatement,
+            howCreated: filterContainer.howCreated,
+            isHidden: filterContainer.isHiddenInViewMode || false,
+            isLocked: filterContainer.isLockedInViewMode || false,
+            description: this.generateFilterDescription(filterContainer, query)
+        };
+    }
+    
+    parseQueryFilter(queryFilter, level, aliases = {}) {
+        const condition = this.parseConditionExpression(queryFilter.Condition, aliases);
+        
+        // Parse according to the QueryFilter schema
+        return {
+            name: null,
+            displayName: 'Query Filter',
+            type: 'Query Filter',
+            level: level,
+            field: null,
+            target: queryFilter.Target,
+            condition: condition,
+            conditionText: coreDeps.SemanticQuery.format(condition),
+            isHidden: false,
+            isLocked: false,
+            description: this.filterDescriber.describeCondition(condition)
+        };
+    }
+    
+    // Typed node for any SemanticQuery expression (see semantic-query.js)
+    parseConditionExpression(condition, aliases = {}) {
+        return coreDeps.SemanticQuery.decode(condition, aliases);
+    }
+    
+    formatExpression(expression, aliases = {}) {
+        if (!expression) return '';
+        
+        if (typeof expression === 'string') {
+            return expression;
+        }
+        return coreDeps.SemanticQuery.format(coreDeps.SemanticQuery.decode(expression, aliases));
+    }
+    
+    // One readable sentence per filter, e.g. "Region is one of West, East"
+    generateFilterDescription(filterContainer, query) {
+        return this.filterDescriber.describe(filterContainer, query);
+    }
+    
+    extractLayout(visualData) {
+        const layout = {
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+            z: 0,
+            tabOrder: null,
+            angle: null
+        };
+        
+        if (visualData.position) {
+            const pos = visualData.position;
+            layout.x = pos.x || 0;
+            layout.y = pos.y || 0;
+            layout.width = pos.width || 0;
+            layout.height = pos.height || 0;
+            layout.z = pos.z || 0;
+            layout.tabOrder = pos.tabOrder;
+            layout.angle = pos.angle;
+        }
+        
+        return layout;
+    }
+    
+    extractFormatting(visualData) {
+        const formatting = {
+            background: null,
+            border: null,
+            title: null,
+            colors: [],
+            general: null
+        };
+        
+        const visual = visualData.visual;
+        if (!visual) {
+            return formatting;
+        }
+        
+        // Container objects first, then visual objects so the latter win
+        const objectSets = [
+            visual.visualContainerObjects,
+            visual.singleVisual && visual.singleVisual.vcObjects,
+            visual.objects,
+            visual.singleVisual && visual.singleVisual.objects
+        ];
+        
+        objectSets.forEach(objects => {
+            if (!objects) return;
+            
+            Object.keys(objects).forEach(objectKey => {
+                const objectArray = objects[objectKey];
+                if (Array.isArray(objectArray)) {
+                    objectArray.forEach(obj => {
+                        if (obj.properties) {
+                            this.processFormattingObject(objectKey, obj.properties, formatting);
+                        }
+                    });
+                }
+            });
+        });
+        
+        // Title font settings the visual leaves unset come from the theme
+        const titleClass = this.theme.getTextClass('title');
+        const title = formatting.title || {};
+        formatting.title = {
+            text: title.text || null,
+            fontColor: title.fontColor || titleClass.color,
+            fontSize: title.fontSize || titleClass.fontSize,
+            fontFamily: title.fontFamily || titleClass.fontFace
+        };
+        
+        return formatting;
+    }
+    
+    // The visual as the phone layout shows it: mobile.json objects and
+    // container objects replace the desktop properties they name
+    applyMobileState(visualData, mobileData) {
+        const visual = visualData.visual || {};
+        const merge = (desktop, mobile) => {
+            const merged = { ...(desktop || {}) };
+            Object.entries(mobile || {}).forEach(([objectKey, entries]) => {
+                const properties = (entries || []).reduce((all, entry) => ({ ...all, ...entry.properties }), {});
+                merged[objectKey] = [{ properties: { ...(merged[objectKey]?.[0]?.properties || {}), ...properties } }];
+            });
+            return merged;
+        };
+        
+        return {
+            ...visualData,
+            visual: {
+                ...visual,
+                objects: merge(visual.objects, mobileData.objects),
+                visualContainerObjects: merge(visual.visualContainerObjects, mobileData.visualContainerObjects)
+            }
+        };
+    }
+    
+    // Properties the phone layout formats differently: { object, property,
+    // desktop, mobile }, desktop null when only the phone layout sets it
+    getMobileOverrides(visualData, mobileData) {
+        const visual = visualData.visual || {};
+        const overrides = [];
+        [[visual.objects, mobileData.objects], [visual.visualContainerObjects, mobileData.visualContainerObjects]].forEach(([desktop, mobile]) => {
+            Object.entries(mobile || {}).forEach(([objectKey, entries]) => {
+                (entries || []).forEach(entry => {
+                    Object.entries(entry.properties || {}).forEach(([property, value]) => {
+                        const desktopValue = this.extractLiteralValue(desktop?.[objectKey]?.[0]?.properties?.[property]);
+                        const mobileValue = this.extractLiteralValue(value);
+                        if (JSON.stringify(desktopValue) !== JSON.stringify(mobileValue)) {
+                            overrides.push({ object: objectKey, property, desktop: desktopValue, mobile: mobileValue });
+                        }
+                    });
+                });
+            });
+        });
+        return overrides;
+    }
+    
+    processFormattingObject(objectKey, properties, formatting) {
+        switch (objectKey) {
+            case 'background':
+                formatting.background = {
+                    show: this.extractLiteralValue(properties.show),
+                    color: this.extractLiteralValue(properties.color),
+                    transparency: this.extractLiteralValue(properties.transparency)
+                };
+                break;
+            case 'border':
+                formatting.border = {
+                    show: this.extractLiteralValue(properties.show),
+                    color: this.extractLiteralValue(properties.color),
+                    radius: this.extractLiteralValue(properties.radius)
+                };
+                break;
+            case 'title':
+                formatting.title = {
+                    text: this.extractLiteralValue(properties.text),
+                    fontColor: this.extractLiteralValue(properties.fontColor),
+                    fontSize: this.extractLiteralValue(properties.fontSize),
+                    fontFamily: this.extractLiteralValue(properties.fontFamily)
+                };
+                break;
+            case 'dataPoint':
+            case 'dataColors':
+                if (properties.fill) {
+                    formatting.colors.push(this.extractLiteralValue(properties.fill));
+                }
+                break;
+            case 'general':
+                formatting.general = properties;
+                break;
+        }
+    }
+    
+    extractLiteralValue(property) {
+        if (!property) return null;
+        
+        if (property.solid) {
+            return this.extractLiteralValue(property.solid.color);
+        } else if (property.expr && property.expr.Literal) {
+            return this.parseLiteral(property.expr.Literal.Value);
+        } else if (property.expr && property.expr.ThemeDataColor) {
+            return this.theme.getColor(property.expr.ThemeDataColor.ColorId, property.expr.ThemeDataColor.Percent || 0);
+        } else if (property.expr) {
+            // Measures and other expressions (conditional formatting) as text
+            return this.formatExpression(property.expr);
+        } else if (property.literal) {
+            return property.literal.value;
+        }
+        
+        return property;
+    }
+    
+    // Decodes a PBIR literal string: 'text', true, 12D, 12L, datetime'...'
+    parseLiteral(value) {
+        return coreDeps.SemanticQuery.parseLiteral(value).value;
+    }
+    
+    async parseBookmarks(files) {
+        this.log('\n🔖 Parsing bookmarks...');
+        
+        // bookmarks.json holds the Bookmarks pane: standalone bookmarks and
+        // groups, in order
+        const bookmarksFile = this.findFile(files, 'definition/bookmarks/bookmarks.json');
+        let items = [];
+        
+        if (bookmarksFile) {
+            this.log('  ✓ Found bookmarks.json');
+            const metadata = await this.readJson(bookmarksFile, 'bookmarksMetadata');
+            if (metadata && Array.isArray(metadata.items)) {
+                items = metadata.items;
+            }
+        }
+        
+        const bookmarkFiles = files.filter(filePath => /(^|\/)bookmarks\/[^\/]+\.bookmark\.json$/.test(filePath));
+        this.log(`  📑 Found ${bookmarkFiles.length} bookmark files`);
+        
+        const parsedBookmarks = new Map();
+        for (const bookmarkFile of bookmarkFiles) {
+            const bookmarkName = this.extractBookmarkName(bookmarkFile);
+            this.log(`    Processing bookmark: ${bookmarkName}`);
+            
+            const bookmarkData = await this.readJson(bookmarkFile, 'bookmark');
+            if (bookmarkData) {
+                parsedBookmarks.set(bookmarkName, this.validateBookmark(bookmarkData));
+            }
+        }
+        
+        this.buildBookmarkTree(items, parsedBookmarks, Boolean(bookmarksFile));
+    }
+    
+    // Adds bookmarks in pane order, each with its ordinal and group. Files
+    // bookmarks.json does not list are orphans and go last; names it lists
+    // without a file are missing.
+    buildBookmarkTree(items, parsedBookmarks, hasMetadata) {
+        const tree = { items: [], orphans: [], missing: [] };
+        const place = (name, group) => {
+            const bookmark = parsedBookmarks.get(name);
+            if (!bookmark) {
+                tree.missing.push(name);
+                return false;
+            }
+            
+            parsedBookmarks.delete(name);
+            bookmark.ordinal = this.bookmarks.size;
+            bookmark.group = group ? { name: group.name, displayName: group.displayName || group.name } : null;
+            bookmark.isOrphan = false;
+            this.bookmarks.set(name, bookmark);
+            return true;
+        };
+        
+        items.forEach(item => {
+            if (Array.isArray(item.children)) {
+                tree.items.push({
+                    type: 'group',
+                    name: item.name,
+                    displayName: item.displayName || item.name,
+                    children: item.children.filter(child => place(child, item))
+                });
+            } else if (place(item.name, null)) {
+                tree.items.push({ type: 'bookmark', name: item.name });
+            }
+        });
+        
+        Array.from(parsedBookmarks.entries())
+            .sort(([, a], [, b]) => String(a.displayName || a.name).localeCompare(String(b.displayName || b.name)))
+            .forEach(([name, bookmark]) => {
+                bookmark.ordinal = this.bookmarks.size;
+                bookmark.group = null;
+                bookmark.isOrphan = hasMetadata;
+                this.bookmarks.set(name, bookmark);
+                (hasMetadata ? tree.orphans : tree.items).push(hasMetadata ? name : { type: 'bookmark', name });
+            });
+        
+        if (tree.orphans.length > 0) {
+            this.warnings.push(`${tree.orphans.length} bookmark file(s) not listed in bookmarks.json: ${tree.orphans.join(', ')}`);
+        }
+        if (tree.missing.length > 0) {
+            this.warnings.push(`bookmarks.json lists ${tree.missing.length} bookmark(s) without a file: ${tree.missing.join(', ')}`);
+        }
+        this.bookmarkTree = tree;
+    }
+    
+    validateBookmark(bookmarkData) {
+        return {
+            name: bookmarkData.name,
+            displayName: bookmarkData.displayName,
+            options: bookmarkData.options,
+            explorationState: bookmarkData.explorationState,
+            annotations: bookmarkData.annotations || []
+        };
+    }
+    
+    async readJson(filePath, schemaName) {
+        try {
+            const text = await this.source.readText(filePath);
+            const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+            
+            // Validate against schema if a validator was supplied
+            if (this.validator && schemaName && this.format === 'PBIR') {
+                const validation = this.validator.validate(data, schemaName, filePath);
+                if (!validation.valid) {
+                    this.validationErrors.push(...validation.errors);
+                }
+            }
+            
+            return data;
+        } catch (error) {
+            this.errors.push(`Error parsing ${filePath}: ${error.message}`);
+            return null;
+        }
+    }
+    
+    findFile(files, relativePath) {
+        return files.find(filePath => filePath === relativePath || filePath.endsWith(`/${relativePath}`)) || null;
+    }
+    
+    extractPageName(path) {
+        const match = path.match(/(?:^|\/)pages\/([^\/]+)\/page\.json$/);
+        return match ? match[1] : 'unknown';
+    }
+    
+    extractVisualName(path) {
+        const match = path.match(/(?:^|\/)visuals\/([^\/]+)\/visual\.json$/);
+        return match ? match[1] : 'unknown';
+    }
+    
+    extractBookmarkName(path) {
+        const match = path.match(/([^\/]+)\.bookmark\.json$/);
+        return match ? match[1] : 'unknown';
+    }
+    
+    getReportSummary() {
+        return {
+            totalPages: this.pages.size,
+            totalVisuals: this.visuals.size,
+            totalBookmarks: this.bookmarks.size,
+            visualTypes: this.getVisualTypesSummary(),
+            reportInfo: this.reportData,
+            errors: this.errors,
+            warnings: this.warnings
+        };
+    }
+    
+    getVisualTypesSummary() {
+        const types = new Map();
+        
+        for (const visual of this.visuals.values()) {
+            const type = visual.properties?.type || 'unknown';
+            types.set(type, (types.get(type) || 0) + 1);
+        }
+        
+        return Object.fromEntries(types);
+    }
+    
+    getPageVisuals(pageName) {
+        const page = this.pages.get(pageName);
+        return page ? page.visuals : {};
+    }
+    
+    getVisualDetails(pageName, visualName) {
+        return this.visuals.get(`${pageName}:${visualName}`);
+    }
+    
+    // Every filter reaching one visual, with where it came from (see
+    // filter-context.js)
+    getVisualFilterContext(pageName, visualName) {
+        return new coreDeps.FilterContextAnalyzer(this.getModel()).getVisualContext(pageName, visualName);
+    }
+    
+    // DAX query reproducing one visual under its effective filter context
+    // (see dax-generator.js); null for visuals without fields
+    getVisualQuery(pageName, visualName) {
+        const context = this.getVisualFilterContext(pageName, visualName);
+        if (!context) {
+            return null;
+        }
+        
+        const scopes = ['Report', 'Page', 'Drillthrough', 'Slicer'].map(label => ({
+            label,
+            filters: context.filters.filter(entry => entry.level === label.toLowerCase()).map(entry => entry.filter)
+        }));
+        return new coreDeps.DaxGenerator(this.semanticModel, this.reportMeasures).generateVisualQuery(this.getVisualDetails(pageName, visualName), scopes);
+    }
+    
+    // Readable change list of one bookmark (see bookmark-state.js)
+    getBookmarkChanges(bookmarkName) {
+        const bookmark = this.bookmarks.get(bookmarkName);
+        return bookmark ? new coreDeps.BookmarkStateDecoder(this.getModel()).decode(bookmark) : null;
+    }
+    
+    // What selecting a data point in each visual does to every other visual
+    // on the page: { page, visuals, interactions: [{ source, target, type,
+    // isDefault }] } with type DataFilter, HighlightFilter or NoFilter.
+    // Pairs the page does not list get Power BI's default: slicers filter,
+    // other visuals highlight the charts that can show highlights and filter
+    // the rest, unless the report turns on defaultFilterActionIsDataFilter.
+    getInteractionMatrix(pageName) {
+        const page = this.pages.get(pageName);
+        if (!page) {
+            return null;
+        }
+        
+        const visuals = Object.values(page.visuals || {})
+            .filter(visual => visual.properties.type !== 'visualGroup')
+            .map(visual => ({
+                name: visual.name,
+                displayName: visual.properties.displayName,
+                type: visual.properties.type,
+                canSelect: !PBIRCore.staticVisualTypes.has(visual.properties.type) && !PBIRCore.unselectableVisualTypes.has(visual.properties.type),
+                canReact: !PBIRCore.staticVisualTypes.has(visual.properties.type)
+            }));
+        const listed = new Map(page.visualInteractions.map(interaction => [`${interaction.source}\u0000${interaction.target}`, interaction.type]));
+        const settings = this.reportData && this.reportData.settings || {};
+        
+        const interactions = [];
+        visuals.forEach(source => {
+            visuals.forEach(target => {
+                const type = listed.get(`${source.name}\u0000${target.name}`);
+                if (source === target || (!type && (!source.canSelect || !target.canReact))) return;
+                
+                const isDefault = !type || type === 'Default';
+                interactions.push({
+                    source: source.name,
+                    target: target.name,
+                    type: isDefault ? this.getDefaultInteraction(source, target, settings) : type,
+                    isDefault
+                });
+            });
+        });
+        
+        return {
+            page: page.displayName,
+            visuals: visuals.map(({ name, displayName, type }) => ({ name, displayName, type })),
+            interactions
+        };
+    }
+    
+    getDefaultInteraction(source, target, settings) {
+        if (settings.defaultFilterActionIsDataFilter || source.type === 'slicer') {
+            return 'DataFilter';
+        }
+        return PBIRCore.highlightVisualTypes.has(target.type) ? 'HighlightFilter' : 'DataFilter';
+    }
+    
+    // Per page: whether it has a phone layout, the visible visuals that
+    // layout leaves out (a placed group brings its children) and the visuals
+    // it formats differently. Tooltip pages never show on phones.
+    getMobileAudit() {
+        return Array.from(this.pages.values())
+            .filter(page => page.usage !== 'Tooltip')
+            .map(page => {
+                const visuals = Object.values(page.visuals || {});
+                const placed = new Set(visuals.filter(visual => visual.mobileLayout).map(visual => visual.name));
+                const describe = visual => ({ name: visual.name, displayName: visual.properties.displayName });
+                
+                return {
+                    page: page.name,
+                    displayName: page.displayName,
+                    hasMobileLayout: placed.size > 0,
+                    missing: placed.size === 0 ? [] : visuals
+                        .filter(visual => !visual.visualGroup && !visual.isHidden && !visual.hiddenByGroup)
+                        .filter(visual => !placed.has(visual.name) && !visual.groupPath.some(group => placed.has(group)))
+                        .map(describe),
+                    overridden: visuals
+                        .filter(visual => visual.mobileOverrides.length > 0)
+                        .map(visual => ({ ...describe(visual), overrides: visual.mobileOverrides }))
+                };
+            });
+    }
+    
+    // { images, themes, customVisuals, other }: every registered resource
+    // with the pages and visuals that use it. Images are used wherever
+    // formatting points at their ResourcePackageItem (page backgrounds and
+    // wallpapers, image visuals, button fills); custom visuals by visuals of
+    // their type. Themes are used when themeCollection names them.
+    getResourceInventory() {
+        const references = [];
+        const collect = (value, use) => {
+            if (!value || typeof value !== 'object') return;
+            if (value.ResourcePackageItem) {
+                references.push({ package: value.ResourcePackageItem.PackageName, item: value.ResourcePackageItem.ItemName, ...use });
+            }
+            Object.values(value).forEach(child => collect(child, use));
+        };
+        const collectObjects = (objects, page, visual) => {
+            Object.entries(objects || {}).forEach(([object, entries]) => collect(entries, { page, visual, object }));
+        };
+        
+        collectObjects(this.reportData && this.reportData.objects, null, null);
+        this.pages.forEach(page => collectObjects(page.objects, page.name, null));
+        this.visuals.forEach(visual => {
+            const config = visual.visual || {};
+            collectObjects(config.objects, visual.pageName, visual.name);
+            collectObjects(config.visualContainerObjects, visual.pageName, visual.name);
+        });
+        
+        const describeUse = reference => ({
+            page: reference.page,
+            pageDisplayName: reference.page && this.pages.has(reference.page) ? this.pages.get(reference.page).displayName : null,
+            visual: reference.visual,
+            visualDisplayName: reference.visual ? this.visuals.get(`${reference.page}:${reference.visual}`).properties.displayName : null,
+            object: reference.object
+        });
+        const collection = this.reportData && this.reportData.themeCollection || {};
+        const activeThemes = [collection.baseTheme, collection.customTheme].filter(Boolean).map(theme => theme.name);
+        
+        const images = [];
+        const themes = [];
+        const other = [];
+        this.resourceItems.forEach(item => {
+            if (item.type === 'Image') {
+                const usedBy = references.filter(reference => reference.package === item.package && reference.item === item.name).map(describeUse);
+                images.push({ ...item, usedBy });
+            } else if (/Theme$/.test(item.type)) {
+                themes.push({ ...item, active: activeThemes.includes(item.name) });
+            } else {
+                other.push(item);
+            }
+        });
+        
+        const customVisuals = Array.from(this.customVisuals.values()).map(customVisual => ({
+            ...customVisual,
+            usedBy: Array.from(this.visuals.values())
+                .filter(visual => visual.properties.type === customVisual.name)
+                .map(visual => describeUse({ page: visual.pageName, visual: visual.name, object: null }))
+        }));
+        
+        return { images, themes, customVisuals, other };
+    }
+}
+
+// visualLink property holding the target of each action type
+PBIRCore.linkTargetProperties = {
+    PageNavigation: 'navigationSection',
+    Bookmark: 'bookmark',
+    Drillthrough: 'drillthroughSection',
+    WebUrl: 'webUrl'
+};
+
+// Decorative visuals: selecting them does nothing and nothing filters them
+PBIRCore.staticVisualTypes = new Set(['textbox', 'image', 'shape', 'basicShape', 'actionButton', 'pageNavigator', 'bookmarkNavigator']);
+
+// Visuals that react to other visuals but have no data points to select
+PBIRCore.unselectableVisualTypes = new Set(['card', 'cardVisual', 'multiRowCard', 'gauge', 'kpi']);
+
+// Built-in visuals that show a selection elsewhere as a highlight by default
+PBIRCore.highlightVisualTypes = new Set([
+    'columnChart', 'clusteredColumnChart', 'hundredPercentStackedColumnChart',
+    'barChart', 'clusteredBarChart', 'hundredPercentStackedBarChart',
+    'lineClusteredColumnComboChart', 'lineStackedColumnComboChart',
+    'pieChart', 'donutChart', 'treemap', 'funnel', 'scatterChart',
+    'waterfallChart', 'ribbonChart', 'map', 'filledMap'
+]);
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PBIRCore };
+}
\ No newline at end of file
@@ -0,0 +1,147 @@
+// Report theme.
+//
+// Merges the base theme and the custom theme a report's themeCollection
+// points to, and resolves what visuals store as theme references into
+// concrete values: ThemeDataColor { ColorId, Percent } into a hex colour and
+// text classes (title, label, callout...) into a font face, size and colour.
+//
+// ColorId 0 and 1 are the theme background and foreground ("White" and
+// "Black" in the colour picker); 2 and up index dataColors. Percent shades
+// the colour towards white (positive) or black (negative). When a theme
+// file is not in the project the Power BI defaults below stand in for it.
+
+class ReportTheme {
+    // baseTheme and customTheme are parsed theme JSON files, or null
+    constructor(baseTheme = null, customTheme = null) {
+        const layers = [ReportTheme.defaults, baseTheme, customTheme].filter(Boolean);
+        
+        this.name = (customTheme && customTheme.name) || (baseTheme && baseTheme.name) || ReportTheme.defaults.name;
+        this.dataColors = layers.reduce((colors, theme) => Array.isArray(theme.dataColors) && theme.dataColors.length > 0 ? theme.dataColors : colors, []);
+        this.colors = {};
+        this.textClasses = {};
+        
+        layers.forEach(theme => {
+            ReportTheme.colorNames.forEach(name => {
+                if (typeof theme[name] === 'string') {
+                    this.colors[name] = theme[name];
+                }
+            });
+            Object.entries(theme.textClasses || {}).forEach(([name, textClass]) => {
+                this.textClasses[name] = { ...this.textClasses[name], ...textClass };
+            });
+        });
+    }
+    
+    // Hex colour for a ThemeDataColor reference
+    getColor(colorId, percent = 0) {
+        let base;
+        if (colorId === 0) {
+            base = this.colors.background;
+        } else if (colorId === 1) {
+            base = this.colors.foreground;
+        } else {
+            base = this.dataColors[(colorId - 2) % this.dataColors.length];
+        }
+        return ReportTheme.shade(base, percent);
+    }
+    
+    // { fontFace, fontSize, color } of a text class. Secondary classes
+    // (largeTitle, smallLabel...) start from their primary class unless the
+    // theme defines them itself.
+    getTextClass(name) {
+        const derived = ReportTheme.secondaryTextClasses[name];
+        const primary = derived ? this.getTextClass(derived.from) : {};
+        const { from, ...overrides } = derived || {};
+        const textClass = { ...primary, ...overrides, ...this.textClasses[name] };
+        
+        if (textClass.color === 'secondary') {
+            textClass.color = this.colors.foregroundNeutralSecondary;
+        }
+        return textClass;
+    }
+    
+    // Summary for reports: name, data colours, named colours, text classes
+    describe() {
+        const textClasses = {};
+        ['title', 'header', 'label', 'callout', ...Object.keys(ReportTheme.secondaryTextClasses)].forEach(name => {
+            textClasses[name] = this.getTextClass(name);
+        });
+        
+        return {
+            name: this.name,
+            dataColors: this.dataColors,
+            colors: this.colors,
+            textClasses
+        };
+    }
+    
+    // Blends a hex colour towards white (percent > 0) or black (< 0)
+    static shade(hex, percent = 0) {
+        const match = /^#?([0-9a-f]{6})$/i.exec(String(hex || ''));
+        if (!match) return hex || null;
+        
+        const value = parseInt(match[1], 16);
+        const channels = [value >> 16, (value >> 8) & 0xff, value & 0xff].map(channel => {
+            const shaded = percent > 0 ? channel + (255 - channel) * percent : channel * (1 + percent);
+            return Math.max(0, Math.min(255, Math.round(shaded)));
+        });
+        return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+    }
+}
+
+// Named colours a theme can set at the top level
+ReportTheme.colorNames = [
+    'foreground', 'foregroundNeutralSecondary', 'foregroundNeutralTertiary',
+    'background', 'backgroundLight', 'backgroundNeutral', 'tableAccent',
+    'good', 'neutral', 'bad', 'maximum', 'center', 'minimum', 'null',
+    'hyperlink', 'visitedHyperlink'
+];
+
+// Power BI's default theme
+ReportTheme.defaults = {
+    name: 'Default',
+    dataColors: [
+        '#118DFF', '#12239E', '#E66C37', '#6B007B', '#E044A7', '#744EC2', '#D9B300', '#D64550',
+        '#197278', '#1AAB40', '#15C6F4', '#4092FF', '#FFA058', '#BE5DC9', '#F472D0', '#B5A1FF',
+        '#C4A200', '#FF8080', '#00DBBC', '#5BD667', '#0091D5', '#4668C5', '#FF6300', '#99008A'
+    ],
+    foreground: '#252423',
+    foregroundNeutralSecondary: '#605E5C',
+    foregroundNeutralTertiary: '#B3B0AD',
+    background: '#FFFFFF',
+    backgroundLight: '#F3F2F1',
+    backgroundNeutral: '#C8C6C4',
+    tableAccent: '#118DFF',
+    good: '#1AAB40',
+    neutral: '#D9B300',
+    bad: '#D64554',
+    maximum: '#118DFF',
+    center: '#D9B300',
+    minimum: '#DEEFFF',
+    null: '#FF7F48',
+    hyperlink: '#0078D4',
+    visitedHyperlink: '#0078D4',
+    textClasses: {
+        callout: { fontSize: 45, fontFace: 'DIN', color: '#252423' },
+        title: { fontSize: 12, fontFace: 'DIN', color: '#252423' },
+        header: { fontSize: 12, fontFace: 'Segoe UI Semibold', color: '#252423' },
+        label: { fontSize: 10, fontFace: 'Segoe UI', color: '#252423' }
+    }
+};
+
+// Secondary text classes and the primary class each one starts from;
+// 'secondary' is the theme's foregroundNeutralSecondary
+ReportTheme.secondaryTextClasses = {
+    largeTitle: { from: 'title', fontSize: 14 },
+    semiboldLabel: { from: 'label', fontFace: 'Segoe UI Semibold' },
+    boldLabel: { from: 'label', fontFace: 'Segoe UI Bold' },
+    largeLabel: { from: 'label', fontSize: 12 },
+    smallLabel: { from: 'label', fontSize: 9 },
+    lightLabel: { from: 'label', color: 'secondary' },
+    largeLightLabel: { from: 'label', fontSize: 12, color: 'secondary' },
+    smallLightLabel: { from: 'label', fontSize: 9, color: 'secondary' }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReportTheme };
+}
\ No newline at end of file
@@ -0,0 +1,519 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON Schema (draft-07) validator for the bundled PBIR schemas.
+//
+// Schemas are registered by their $id, so cross-file references such as
+// "../../semanticQuery/1.3.0/schema.json#/definitions/QueryExpressionContainer"
+// resolve against the referencing schema's $id. Every error carries the file
+// it was found in and a JSON Pointer to the offending value.
+//
+// Several versions of a schema can sit side by side anywhere under
+// json-schemas/ (e.g. json-schemas/page/2.1.0/schema.json); each PBIR file is
+// validated against the exact version its own $schema URL declares.
+class SchemaValidator {
+    constructor(options = {}) {
+        // Older callers passed the schema directory directly
+        if (typeof options === 'string') {
+            options = { schemaDir: options };
+        }
+        
+        this.schemaDir = options.schemaDir || path.join(__dirname, 'json-schemas');
+        this.minVersions = options.minVersions || {};
+        this.schemas = new Map();
+        this.versions = new Map();
+        this.documents = new Map();
+        this.resolutionWarnings = new Set();
+        this.versionIssues = [];
+        this.versionUsage = new Map();
+        this.loadSchemas();
+    }
+    
+    loadSchemas() {
+        if (!fs.existsSync(this.schemaDir)) {
+            console.warn('JSON schemas directory not found');
+            return;
+        }
+        
+        for (const schemaPath of this.findSchemaFiles(this.schemaDir)) {
+            try {
+                const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+                this.registerSchema(schema, schemaPath);
+            } catch (error) {
+                console.warn(`Failed to load schema ${path.relative(this.schemaDir, schemaPath)}:`, error.message);
+            }
+        }
+        
+        // Newest version first, so the default for a name is the latest one
+        this.versions.forEach(entries => entries.sort((a, b) => this.compareVersions(b.version, a.version)));
+        this.versions.forEach((entries, schemaName) => this.schemas.set(schemaName, entries[0].schema));
+        
+        const total = Array.from(this.versions.values()).reduce((sum, entries) => sum + entries.length, 0);
+        console.log(`Loaded ${total} schemas (${this.schemas.size} types)`);
+    }
+    
+    findSchemaFiles(dirPath) {
+        const files = [];
+        for (const item of fs.readdirSync(dirPath)) {
+            const fullPath = path.join(dirPath, item);
+            if (fs.statSync(fullPath).isDirectory()) {
+                files.push(...this.findSchemaFiles(fullPath));
+            } else if (item.endsWith('.json')) {
+                files.push(fullPath);
+            }
+        }
+        return files;
+    }
+    
+    registerSchema(schema, schemaPath) {
+        const info = this.parseSchemaUrl(schema.$id);
+        if (!info) {
+            throw new Error('missing or unrecognized $id');
+        }
+        
+        if (this.documents.has(schema.$id)) {
+            console.warn(`Duplicate schema ${info.name} ${info.version} in ${path.relative(this.schemaDir, schemaPath)} ignored`);
+            return;
+        }
+        
+        this.documents.set(schema.$id, schema);
+        if (!this.versions.has(info.name)) {
+            this.versions.set(info.name, []);
+        }
+        this.versions.get(info.name).push({ version: info.version, schema });
+    }
+    
+    // ".../item/report/definition/page/2.0.0/schema.json" -> { name: 'page', version: '2.0.0', variant: 'schema' }
+    parseSchemaUrl(url) {
+        const match = typeof url === 'string' && url.match(/\/definition\/([^\/]+)\/([^\/]+)\/(schema(?:-embedded)?)\.json$/);
+        return match ? { name: match[1], version: match[2], variant: match[3] } : null;
+    }
+    
+    getSchema(schemaName, version) {
+        const entry = (this.versions.get(schemaName) || []).find(candidate => candidate.version === version);
+        return entry ? entry.schema : null;
+    }
+    
+    getBundledVersions(schemaName) {
+        return (this.versions.get(schemaName) || []).map(entry => entry.version);
+    }
+    
+    compareVersions(a, b) {
+        const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+        const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const difference = (left[i] || 0) - (right[i] || 0);
+            if (difference !== 0) return difference;
+        }
+        return 0;
+    }
+    
+    validate(data, schemaName, filePath = '') {
+        if (!this.versions.has(schemaName)) {
+            return { valid: false, errors: [this.createError(filePath, '', 'schema', `Schema ${schemaName} not found`)] };
+        }
+        
+        const schema = this.selectSchema(data, schemaName, filePath);
+        if (!schema) {
+            // Validating against a different version would only produce false errors
+            return { valid: true, errors: [], skipped: true };
+        }
+        
+        const errors = [];
+        this.validateNode(data, schema, '', { file: filePath, baseId: schema.$id }, errors);
+        return { valid: errors.length === 0, errors };
+    }
+    
+    // Picks the schema matching the file's declared $schema version and
+    // records unknown, undeclared and below-minimum versions
+    selectSchema(data, schemaName, filePath) {
+        const declared = this.parseSchemaUrl(data && data.$schema);
+        const issue = (status, version, message) => {
+            this.versionIssues.push({ file: filePath, schema: schemaName, version, status, message });
+        };
+        
+        if (!declared) {
+            const latest = this.schemas.get(schemaName);
+            const version = this.getSchemaVersion(latest);
+            issue('undeclared', null, `no recognizable $schema URL; validated against ${schemaName} ${version}`);
+            this.recordUsage(schemaName, version);
+            return latest;
+        }
+        
+        if (declared.name !== schemaName) {
+            issue('mismatch', declared.version, `declares ${declared.name} ${declared.version} but a ${schemaName} file is expected`);
+        }
+        
+        const schema = this.getSchema(schemaName, declared.version);
+        if (!schema) {
+            issue('unknown', declared.version, `${schemaName} ${declared.version} is not bundled (available: ${this.getBundledVersions(schemaName).join(', ')}); not validated`);
+            return null;
+        }
+        
+        const minimum = this.minVersions[schemaName];
+        if (minimum && this.compareVersions(declared.version, minimum) < 0) {
+            issue('outdated', declared.version, `${schemaName} ${declared.version} is older than the minimum ${minimum}`);
+        }
+        
+        this.recordUsage(schemaName, declared.version);
+        return schema;
+    }
+    
+    recordUsage(schemaName, version) {
+        const key = `${schemaName} ${version}`;
+        this.versionUsage.set(key, (this.versionUsage.get(key) || 0) + 1);
+    }
+    
+    createError(file, pointer, keyword, message) {
+        return { file, pointer, keyword, message };
+    }
+    
+    formatError(error) {
+        return `${error.file}#${error.pointer} ${error.message}`;
+    }
+    
+    validateNode(data, schema, pointer, context, errors) {
+        const fail = (keyword, message, at = pointer) => {
+            errors.push(this.createError(context.file, at, keyword, message));
+        };
+        
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            fail('false', 'is not allowed');
+            return;
+        }
+        
+        // In draft-07 a $ref replaces every sibling keyword
+        if (schema.$ref) {
+            const resolved = this.resolveRef(schema.$ref, context.baseId);
+            if (!resolved) {
+                fail('$ref', `cannot resolve schema reference ${schema.$ref}`);
+                return;
+            }
+            this.validateNode(data, resolved.schema, pointer, { ...context, baseId: resolved.baseId }, errors);
+            return;
+        }
+        
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this.matchesType(data, type))) {
+                fail('type', `must be ${types.join(' or ')}`);
+                return;
+            }
+        }
+        
+        if (schema.const !== undefined && !this.isEqual(data, schema.const)) {
+            fail('const', `must equal ${JSON.stringify(schema.const)}`);
+        }
+        
+        if (schema.enum && !schema.enum.some(value => this.isEqual(data, value))) {
+            fail('enum', `must be one of: ${schema.enum.map(value => JSON.stringify(value)).join(', ')}`);
+        }
+        
+        if (typeof data === 'string') {
+            this.validateString(data, schema, fail);
+        } else if (typeof data === 'number') {
+            this.validateNumber(data, schema, fail);
+        } else if (Array.isArray(data)) {
+            this.validateArray(data, schema, pointer, context, errors, fail);
+        } else if (data !== null && typeof data === 'object') {
+            this.validateObject(data, schema, pointer, context, errors, fail);
+        }
+        
+        this.validateCombinators(data, schema, pointer, context, errors, fail);
+    }
+    
+    validateString(data, schema, fail) {
+        const length = Array.from(data).length;
+        
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            fail('minLength', `must have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            fail('maxLength', `must have at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(data)) {
+            fail('pattern', `must match pattern ${schema.pattern}`);
+        }
+    }
+    
+    validateNumber(data, schema, fail) {
+        if (schema.minimum !== undefined && data < schema.minimum) {
+            fail('minimum', `must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && data > schema.maximum) {
+            fail('maximum', `must be <= ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && data <= schema.exclusiveMinimum) {
+            fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && data >= schema.exclusiveMaximum) {
+            fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+        }
+        if (schema.multipleOf !== undefined && !Number.isInteger(data / schema.multipleOf)) {
+            fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+    
+    validateArray(data, schema, pointer, context, errors, fail) {
+        if (schema.minItems !== undefined && data.length < schema.minItems) {
+            fail('minItems', `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+            fail('maxItems', `must have at most ${schema.maxItems} items`);
+        }
+        
+        if (Array.isArray(schema.items)) {
+            // Tuple validation
+            data.forEach((item, index) => {
+                const itemSchema = index < schema.items.length ? schema.items[index] : schema.additionalItems;
+                if (itemSchema === false) {
+                    fail('additionalItems', `must have at most ${schema.items.length} items`);
+                } else {
+                    this.validateNode(item, itemSchema, `${pointer}/${index}`, context, errors);
+                }
+            });
+        } else if (schema.items !== undefined) {
+            data.forEach((item, index) => {
+                this.validateNode(item, schema.items, `${pointer}/${index}`, context, errors);
+            });
+        }
+        
+        if (schema.uniqueItems) {
+            const seen = new Set();
+            data.forEach((item, index) => {
+                const key = this.stableStringify(item);
+                if (seen.has(key)) {
+                    fail('uniqueItems', 'must not contain duplicate items', `${pointer}/${index}`);
+                }
+                seen.add(key);
+            });
+        }
+        
+        if (schema.contains !== undefined && !data.some(item => this.isValid(item, schema.contains, context))) {
+            fail('contains', 'must contain at least one matching item');
+        }
+    }
+    
+    validateObject(data, schema, pointer, context, errors, fail) {
+        const keys = Object.keys(data);
+        
+        (schema.required || []).forEach(property => {
+            if (!(property in data)) {
+                fail('required', `must have required property '${property}'`);
+            }
+        });
+        
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            fail('minProperties', `must have at least ${schema.minProperties} properties`);
+        }
+        if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+            fail('maxProperties', `must have at most ${schema.maxProperties} properties`);
+        }
+        
+        const properties = schema.properties || {};
+        const patterns = Object.keys(schema.patternProperties || {}).map(pattern => ({
+            regex: new RegExp(pattern, 'u'),
+            schema: schema.patternProperties[pattern]
+        }));
+        
+        keys.forEach(key => {
+            const childPointer = `${pointer}/${this.escapePointer(key)}`;
+            let matched = false;
+            
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                matched = true;
+                this.validateNode(data[key], properties[key], childPointer, context, errors);
+            }
+            
+            patterns.forEach(pattern => {
+                if (pattern.regex.test(key)) {
+                    matched = true;
+                    this.validateNode(data[key], pattern.schema, childPointer, context, errors);
+                }
+            });
+            
+            if (!matched && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    fail('additionalProperties', `has unexpected property '${key}'`, childPointer);
+                } else {
+                    this.validateNode(data[key], schema.additionalProperties, childPointer, context, errors);
+                }
+            }
+            
+            if (schema.propertyNames !== undefined && !this.isValid(key, schema.propertyNames, context)) {
+                fail('propertyNames', `has invalid property name '${key}'`, childPointer);
+            }
+        });
+        
+        Object.entries(schema.dependencies || {}).forEach(([key, dependency]) => {
+            if (!(key in data)) return;
+            
+            if (Array.isArray(dependency)) {
+                dependency.forEach(property => {
+                    if (!(property in data)) {
+                        fail('dependencies', `must have property '${property}' when '${key}' is present`);
+                    }
+                });
+            } else {
+                this.validateNode(data, dependency, pointer, context, errors);
+            }
+        });
+    }
+    
+    validateCombinators(data, schema, pointer, context, errors, fail) {
+        (schema.allOf || []).forEach(subSchema => {
+            this.validateNode(data, subSchema, pointer, context, errors);
+        });
+        
+        if (schema.anyOf) {
+            const results = schema.anyOf.map(subSchema => this.collectErrors(data, subSchema, pointer, context));
+            if (!results.some(result => result.length === 0)) {
+                this.reportAlternatives(schema.anyOf, results, 'anyOf', errors, fail);
+            }
+        }
+        
+        if (schema.oneOf) {
+            const results = schema.oneOf.map(subSchema => this.collectErrors(data, subSchema, pointer, context));
+            const matches = results.filter(result => result.length === 0).length;
+            if (matches === 0) {
+                this.reportAlternatives(schema.oneOf, results, 'oneOf', errors, fail);
+            } else if (matches > 1) {
+                fail('oneOf', `must match exactly one schema in oneOf (matched ${matches})`);
+            }
+        }
+        
+        if (schema.not !== undefined && this.isValid(data, schema.not, context)) {
+            fail('not', 'must not match the schema in "not"');
+        }
+        
+        if (schema.if !== undefined) {
+            const branch = this.isValid(data, schema.if, context) ? schema.then : schema.else;
+            if (branch !== undefined) {
+                this.validateNode(data, branch, pointer, context, errors);
+            }
+        }
+    }
+    
+    // Reports a failed anyOf/oneOf: enumerations collapse into one message,
+    // otherwise the closest alternative's errors are reported.
+    reportAlternatives(alternatives, results, keyword, errors, fail) {
+        const constants = alternatives.filter(alternative => alternative && alternative.const !== undefined);
+        if (constants.length === alternatives.length) {
+            fail(keyword, `must be one of: ${constants.map(alternative => JSON.stringify(alternative.const)).join(', ')}`);
+            return;
+        }
+        
+        const closest = results.reduce((best, result) => result.length < best.length ? result : best);
+        fail(keyword, `must match at least one schema in ${keyword}`);
+        errors.push(...closest);
+    }
+    
+    collectErrors(data, schema, pointer, context) {
+        const errors = [];
+        this.validateNode(data, schema, pointer, context, errors);
+        return errors;
+    }
+    
+    isValid(data, schema, context) {
+        return this.collectErrors(data, schema, '', context).length === 0;
+    }
+    
+    resolveRef(ref, baseId) {
+        const url = new URL(ref, baseId || 'file:///');
+        const fragment = decodeURIComponent(url.hash.replace(/^#/, ''));
+        url.hash = '';
+        
+        const document = this.getDocument(url.href);
+        if (!document) return null;
+        if (document.schema === true) {
+            return { schema: true, baseId: document.id };
+        }
+        
+        let target = document.schema;
+        for (const segment of fragment.split('/').slice(1)) {
+            const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+            if (target === undefined || target === null) return null;
+            target = target[key];
+        }
+        
+        return target === undefined ? null : { schema: target, baseId: document.id };
+    }
+    
+    getDocument(url) {
+        if (this.documents.has(url)) {
+            return { id: url, schema: this.documents.get(url) };
+        }
+        
+        // "schema-embedded.json" is the same schema without the root $schema property
+        const info = this.parseSchemaUrl(url);
+        if (!info) return null;
+        
+        // Another version's definitions would only produce false errors, so
+        // references into a version that is not bundled accept any value
+        const { name: schemaName, version, variant } = info;
+        const bundled = this.getSchema(schemaName, version);
+        if (!bundled) {
+            if (!this.versions.has(schemaName)) return null;
+            this.resolutionWarnings.add(`${schemaName} ${version} is not bundled; values it defines were not validated`);
+            this.documents.set(url, true);
+            return { id: url, schema: true };
+        }
+        
+        const schema = variant === 'schema-embedded' ? this.createEmbeddedSchema(bundled) : bundled;
+        this.documents.set(url, schema);
+        return { id: url, schema };
+    }
+    
+    createEmbeddedSchema(schema) {
+        const properties = { ...schema.properties };
+        delete properties.$schema;
+        
+        return {
+            ...schema,
+            properties,
+            required: (schema.required || []).filter(property => property !== '$schema')
+        };
+    }
+    
+    getSchemaVersion(schema) {
+        const match = (schema.$id || '').match(/\/(\d+\.\d+\.\d+)\//);
+        return match ? match[1] : 'unknown';
+    }
+    
+    matchesType(data, type) {
+        switch (type) {
+            case 'null':
+                return data === null;
+            case 'array':
+                return Array.isArray(data);
+            case 'object':
+                return data !== null && typeof data === 'object' && !Array.isArray(data);
+            case 'integer':
+                return Number.isInteger(data);
+            case 'number':
+                return typeof data === 'number' && Number.isFinite(data);
+            default:
+                return typeof data === type;
+        }
+    }
+    
+    isEqual(a, b) {
+        return this.stableStringify(a) === this.stableStringify(b);
+    }
+    
+    stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        } else if (value !== null && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+    
+    escapePointer(key) {
+        return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+}
+
+module.exports = { SchemaValidator };
\ No newline at end of file
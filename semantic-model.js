@@ -0,0 +1,531 @@
+// Semantic model reader.
+//
+// Loads the .SemanticModel folder a report points at (definition.pbir
+// datasetReference) into plain tables, columns, measures, hierarchies and
+// relationships, so report fields can be linked to real model objects.
+// Both storage formats map into the same structures: TMDL (definition/*.tmdl)
+// and the older single-file TMSL (model.bim).
+//
+// TMDL is an indentation-based text format: one object per declaration line
+// ("measure 'Total Sales' = SUM(Sales[Amount])"), its properties one tab
+// deeper ("formatString: #,0"), and multi-line expressions two tabs deeper
+// or fenced with ```.
+
+class TmdlParser {
+    constructor() {
+        // Keywords that start an object declaration rather than a property
+        this.objectKinds = new Set([
+            'model', 'database', 'table', 'column', 'measure', 'hierarchy', 'level',
+            'partition', 'relationship', 'calculationGroup', 'calculationItem',
+            'annotation', 'extendedProperty', 'perspective', 'perspectiveTable',
+            'perspectiveColumn', 'perspectiveMeasure', 'perspectiveHierarchy',
+            'role', 'tablePermission', 'culture', 'linguisticMetadata', 'expression',
+            'dataSource', 'ref', 'queryGroup', 'variation', 'formatStringDefinition',
+            'detailRowsDefinition', 'kpi', 'alternateOf', 'dataAccessOptions'
+        ]);
+    }
+    
+    // Returns the top-level objects of one .tmdl document
+    parse(text) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => {
+            const indent = line.match(/^[\t ]*/)[0];
+            return {
+                depth: (indent.match(/\t/g) || []).length + Math.floor((indent.match(/ /g) || []).length / 4),
+                text: line.trim(),
+                raw: line
+            };
+        });
+        
+        const root = this.createNode(null, null);
+        this.parseBody(lines, 0, 0, root);
+        return root.children;
+    }
+    
+    createNode(kind, name) {
+        return { kind, name, expression: null, description: null, properties: {}, children: [] };
+    }
+    
+    // Reads the properties and child objects at one depth into node;
+    // returns the index of the first line that belongs to an outer object
+    parseBody(lines, index, depth, node) {
+        let description = [];
+        
+        while (index < lines.length) {
+            const line = lines[index];
+            if (!line.text) {
+                index++;
+                continue;
+            }
+            if (line.depth < depth) break;
+            if (line.depth > depth) {
+                // Stray deeper line (e.g. malformed indentation): skip it
+                index++;
+                continue;
+            }
+            
+            if (line.text.startsWith('///')) {
+                description.push(line.text.slice(3).trim());
+                index++;
+                continue;
+            }
+            
+            const declaration = this.parseDeclaration(line.text);
+            index++;
+            
+            if (declaration) {
+                const child = this.createNode(declaration.kind, declaration.name);
+                child.description = description.length > 0 ? description.join('\n') : null;
+                
+                if (declaration.expression !== null) {
+                    const expression = this.readExpression(lines, index, depth + 2, declaration.expression);
+                    child.expression = expression.text;
+                    index = expression.next;
+                }
+                
+                index = this.parseBody(lines, index, depth + 1, child);
+                node.children.push(child);
+            } else {
+                const property = this.parseProperty(line.text);
+                if (property.expression !== undefined) {
+                    const expression = this.readExpression(lines, index, depth + 1, property.expression);
+                    node.properties[property.key] = expression.text;
+                    index = expression.next;
+                } else {
+                    node.properties[property.key] = property.value;
+                }
+            }
+            
+            description = [];
+        }
+        
+        return index;
+    }
+    
+    // "measure 'Total Sales' = SUM(...)" -> { kind, name, expression }
+    parseDeclaration(text) {
+        const match = text.match(/^([A-Za-z]+)(?=\s|=|$)\s*(.*)$/);
+        if (!match || !this.objectKinds.has(match[1])) {
+            return null;
+        }
+        
+        const [, kind, rest] = match;
+        const { name, remainder } = this.readName(rest);
+        const assignment = remainder.match(/^=\s*(.*)$/);
+        
+        return {
+            kind,
+            name,
+            expression: assignment ? assignment[1] : null
+        };
+    }
+    
+    // "formatString: #,0" | "source =" | "isHidden"
+    parseProperty(text) {
+        const colon = text.match(/^([A-Za-z][\w]*)\s*:\s*(.*)$/);
+        if (colon) {
+            return { key: colon[1], value: this.parseValue(colon[2]) };
+        }
+        
+        const assignment = text.match(/^([A-Za-z][\w]*)\s*=\s*(.*)$/);
+        if (assignment) {
+            return { key: assignment[1], expression: assignment[2] };
+        }
+        
+        // Boolean flags are written without a value
+        return { key: text, value: true };
+    }
+    
+    parseValue(value) {
+        if (value === 'true' || value === 'false') {
+            return value === 'true';
+        } else if (/^".*"$/.test(value)) {
+            return value.slice(1, -1).replace(/""/g, '"');
+        } else if (/^-?\d+(\.\d+)?$/.test(value)) {
+            return Number(value);
+        }
+        return value;
+    }
+    
+    // Names are bare words or single-quoted with '' as the escape
+    readName(text) {
+        if (text.startsWith("'")) {
+            let name = '';
+            let index = 1;
+            while (index < text.length) {
+                if (text[index] === "'" && text[index + 1] === "'") {
+                    name += "'";
+                    index += 2;
+                } else if (text[index] === "'") {
+                    index++;
+                    break;
+                } else {
+                    name += text[index++];
+                }
+            }
+            return { name, remainder: text.slice(index).trim() };
+        }
+        
+        const match = text.match(/^([^\s=]*)\s*(.*)$/);
+        return { name: match[1] || null, remainder: match[2] };
+    }
+    
+    // Expressions continue on the same line, on deeper lines, or inside ``` fences
+    readExpression(lines, index, minDepth, firstLine) {
+        const first = firstLine.trim();
+        
+        if (first.startsWith('```')) {
+            const body = [];
+            while (index < lines.length && lines[index].text !== '```') {
+                body.push(lines[index].raw);
+                index++;
+            }
+            return { text: this.dedent(body), next: Math.min(index + 1, lines.length) };
+        }
+        
+        const body = first ? [first] : [];
+        const continuation = [];
+        while (index < lines.length && (!lines[index].text || lines[index].depth >= minDepth)) {
+            continuation.push(lines[index].raw);
+            index++;
+        }
+        
+        // Trailing blank lines belong to the enclosing object
+        while (continuation.length > 0 && !continuation[continuation.length - 1].trim()) {
+            continuation.pop();
+            index--;
+        }
+        
+        const text = [body.join(''), this.dedent(continuation)].filter(Boolean).join('\n');
+        return { text, next: index };
+    }
+    
+    dedent(lines) {
+        const indents = lines.filter(line => line.trim()).map(line => line.match(/^[\t ]*/)[0].length);
+        const common = indents.length > 0 ? Math.min(...indents) : 0;
+        return lines.map(line => line.slice(common).replace(/\s+$/, '')).join('\n').trim();
+    }
+}
+
+class SemanticModel {
+    constructor(definition = {}) {
+        this.name = definition.name || 'Model';
+        this.format = definition.format || 'TMDL';
+        this.compatibilityLevel = definition.compatibilityLevel || null;
+        this.culture = definition.culture || null;
+        this.tables = definition.tables || [];
+        this.relationships = definition.relationships || [];
+        this.expressions = definition.expressions || [];
+        
+        // Lookups are case-insensitive, like the engine's own name resolution
+        this.tableIndex = new Map(this.tables.map(table => [table.name.toLowerCase(), table]));
+    }
+    
+    // source is rooted at the .SemanticModel folder; resolves to null when it
+    // holds no model definition
+    static async load(source) {
+        const files = await source.listFiles();
+        
+        const tmdlFiles = files.filter(filePath => /^definition\/.*\.tmdl$/i.test(filePath)).sort();
+        if (tmdlFiles.length > 0) {
+            const documents = [];
+            for (const filePath of tmdlFiles) {
+                documents.push({ path: filePath, text: await source.readText(filePath) });
+            }
+            return SemanticModel.fromTmdl(documents);
+        }
+        
+        const bimFile = files.find(filePath => filePath === 'model.bim') || files.find(filePath => /^[^\/]+\.bim$/i.test(filePath));
+        if (bimFile) {
+            const text = await source.readText(bimFile);
+            return SemanticModel.fromBim(JSON.parse(text.replace(/^\uFEFF/, '')));
+        }
+        
+        return null;
+    }
+    
+    // TMSL: { name, compatibilityLevel, model: { tables, relationships, ... } }
+    static fromBim(database) {
+        const model = database.model || {};
+        const joinExpression = expression => Array.isArray(expression) ? expression.join('\n') : (expression || null);
+        const formatStringExpression = object => object.formatStringDefinition ? joinExpression(object.formatStringDefinition.expression) : null;
+        
+        return new SemanticModel({
+            name: model.name || database.name,
+            format: 'TMSL',
+            compatibilityLevel: database.compatibilityLevel || null,
+            culture: model.culture || null,
+            tables: (model.tables || []).map(table => ({
+                name: table.name,
+                description: joinExpression(table.description),
+                isHidden: table.isHidden === true,
+                dataCategory: table.dataCategory || null,
+                columns: (table.columns || [])
+                    // The engine's internal RowNumber column is not visible to reports
+                    .filter(column => column.type !== 'rowNumber')
+                    .map(column => ({
+                        name: column.name,
+                        type: column.type === 'calculated' ? 'calculated' : 'data',
+                        dataType: column.dataType || null,
+                        expression: column.type === 'calculated' ? joinExpression(column.expression) : null,
+                        formatString: column.formatString || null,
+                        displayFolder: column.displayFolder || null,
+                        isHidden: column.isHidden === true,
+                        description: joinExpression(column.description),
+                        sourceColumn: column.sourceColumn || null,
+                        sortByColumn: column.sortByColumn || null,
+                        summarizeBy: column.summarizeBy || null,
+                        dataCategory: column.dataCategory || null
+                    })),
+                measures: (table.measures || []).map(measure => ({
+                    name: measure.name,
+                    expression: joinExpression(measure.expression),
+                    formatString: measure.formatString || null,
+                    formatStringExpression: formatStringExpression(measure),
+                    displayFolder: measure.displayFolder || null,
+                    isHidden: measure.isHidden === true,
+                    description: joinExpression(measure.description)
+                })),
+                hierarchies: (table.hierarchies || []).map(hierarchy => ({
+                    name: hierarchy.name,
+                    displayFolder: hierarchy.displayFolder || null,
+                    isHidden: hierarchy.isHidden === true,
+                    description: joinExpression(hierarchy.description),
+                    levels: (hierarchy.levels || [])
+                        .map((level, index) => ({
+                            name: level.name,
+                            column: level.column || level.name,
+                            ordinal: level.ordinal !== undefined ? level.ordinal : index
+                        }))
+                        .sort((a, b) => a.ordinal - b.ordinal)
+                })),
+                partitions: (table.partitions || []).map(partition => ({
+                    name: partition.name,
+                    sourceType: partition.source ? partition.source.type : null,
+                    mode: partition.mode || null
+                })),
+                calculationGroup: table.calculationGroup ? {
+                    precedence: table.calculationGroup.precedence || 0,
+                    items: (table.calculationGroup.calculationItems || []).map((item, index) => ({
+                        name: item.name,
+                        expression: joinExpression(item.expression),
+                        ordinal: item.ordinal !== undefined ? item.ordinal : index,
+                        formatStringExpression: formatStringExpression(item),
+                        description: joinExpression(item.description)
+                    }))
+                } : null
+            })),
+            relationships: (model.relationships || []).map(relationship => ({
+                name: relationship.name,
+                fromTable: relationship.fromTable,
+                fromColumn: relationship.fromColumn,
+                toTable: relationship.toTable,
+                toColumn: relationship.toColumn,
+                fromCardinality: relationship.fromCardinality || 'many',
+                toCardinality: relationship.toCardinality || 'one',
+                crossFilteringBehavior: relationship.crossFilteringBehavior || 'oneDirection',
+                isActive: relationship.isActive !== false
+            })),
+            expressions: (model.expressions || []).map(expression => ({
+                name: expression.name,
+                expression: joinExpression(expression.expression),
+                description: joinExpression(expression.description)
+            }))
+        });
+    }
+    
+    static fromTmdl(documents) {
+        const parser = new TmdlParser();
+        const definition = { format: 'TMDL', tables: [], relationships: [], expressions: [] };
+        
+        documents.forEach(document => {
+            parser.parse(document.text).forEach(node => {
+                switch (node.kind) {
+                    case 'database':
+                        definition.compatibilityLevel = node.properties.compatibilityLevel || null;
+                        break;
+                    case 'model':
+                        definition.name = node.name;
+                        definition.culture = node.properties.culture || null;
+                        break;
+                    case 'table':
+                        definition.tables.push(SemanticModel.convertTmdlTable(node));
+                        break;
+                    case 'relationship':
+                        definition.relationships.push(SemanticModel.convertTmdlRelationship(node));
+                        break;
+                    case 'expression':
+                        definition.expressions.push({ name: node.name, expression: node.expression, description: node.description });
+                        break;
+                }
+            });
+        });
+        
+        return new SemanticModel(definition);
+    }
+    
+    static convertTmdlTable(node) {
+        const childrenOf = kind => node.children.filter(child => child.kind === kind);
+        const calculationGroup = childrenOf('calculationGroup')[0];
+        
+        return {
+            name: node.name,
+            description: node.description,
+            isHidden: node.properties.isHidden === true,
+            dataCategory: node.properties.dataCategory || null,
+            columns: childrenOf('column').map(column => ({
+                name: column.name,
+                type: column.expression ? 'calculated' : 'data',
+                dataType: column.properties.dataType || null,
+                expression: column.expression,
+                formatString: column.properties.formatString || null,
+                displayFolder: column.properties.displayFolder || null,
+                isHidden: column.properties.isHidden === true,
+                description: column.description,
+                sourceColumn: column.properties.sourceColumn || null,
+                sortByColumn: SemanticModel.readObjectName(column.properties.sortByColumn),
+                summarizeBy: column.properties.summarizeBy || null,
+                dataCategory: column.properties.dataCategory || null
+            })),
+            measures: childrenOf('measure').map(measure => ({
+                name: measure.name,
+                expression: measure.expression,
+                formatString: measure.properties.formatString || null,
+                formatStringExpression: SemanticModel.getChildExpression(measure, 'formatStringDefinition'),
+                displayFolder: measure.properties.displayFolder || null,
+                isHidden: measure.properties.isHidden === true,
+                description: measure.description
+            })),
+            hierarchies: childrenOf('hierarchy').map(hierarchy => ({
+                name: hierarchy.name,
+                displayFolder: hierarchy.properties.displayFolder || null,
+                isHidden: hierarchy.properties.isHidden === true,
+                description: hierarchy.description,
+                levels: hierarchy.children
+                    .filter(child => child.kind === 'level')
+                    .map((level, index) => ({
+                        name: level.name,
+                        column: SemanticModel.readObjectName(level.properties.column) || level.name,
+                        ordinal: level.properties.ordinal !== undefined ? level.properties.ordinal : index
+                    }))
+            })),
+            partitions: childrenOf('partition').map(partition => ({
+                name: partition.name,
+                sourceType: partition.expression,
+                mode: partition.properties.mode || null
+            })),
+            calculationGroup: calculationGroup ? {
+                precedence: calculationGroup.properties.precedence || 0,
+                items: calculationGroup.children
+                    .filter(child => child.kind === 'calculationItem')
+                    .map((item, index) => ({
+                        name: item.name,
+                        expression: item.expression,
+                        ordinal: item.properties.ordinal !== undefined ? item.properties.ordinal : index,
+                        formatStringExpression: SemanticModel.getChildExpression(item, 'formatStringDefinition'),
+                        description: item.description
+                    }))
+            } : null
+        };
+    }
+    
+    static convertTmdlRelationship(node) {
+        const from = SemanticModel.parseColumnReference(node.properties.fromColumn);
+        const to = SemanticModel.parseColumnReference(node.properties.toColumn);
+        
+        return {
+            name: node.name,
+            fromTable: from.table,
+            fromColumn: from.column,
+            toTable: to.table,
+            toColumn: to.column,
+            fromCardinality: node.properties.fromCardinality || 'many',
+            toCardinality: node.properties.toCardinality || 'one',
+            crossFilteringBehavior: node.properties.crossFilteringBehavior || 'oneDirection',
+            isActive: node.properties.isActive !== false
+        };
+    }
+    
+    static getChildExpression(node, kind) {
+        const child = node.children.find(candidate => candidate.kind === kind);
+        return child ? child.expression : null;
+    }
+    
+    // "'Month Number'" -> "Month Number"
+    static readObjectName(value) {
+        const text = String(value || '').trim();
+        return text.startsWith("'") ? new TmdlParser().readName(text).name : text || null;
+    }
+    
+    // "'Sales Table'.'Customer Key'" -> { table: 'Sales Table', column: 'Customer Key' }
+    static parseColumnReference(reference) {
+        const parser = new TmdlParser();
+        const text = String(reference || '').trim();
+        
+        // A bare table name ends at the first dot; a quoted one at its closing quote
+        let table = text;
+        let remainder = '';
+        if (text.startsWith("'")) {
+            ({ name: table, remainder } = parser.readName(text));
+        } else if (text.includes('.')) {
+            table = text.slice(0, text.indexOf('.'));
+            remainder = text.slice(text.indexOf('.'));
+        }
+        
+        return { table, column: parser.readName(remainder.replace(/^\./, '')).name };
+    }
+    
+    getTable(name) {
+        return name ? this.tableIndex.get(String(name).toLowerCase()) || null : null;
+    }
+    
+    findObject(tableName, collection, name) {
+        const table = this.getTable(tableName);
+        if (!table || !name) return null;
+        
+        const wanted = String(name).toLowerCase();
+        return table[collection].find(item => item.name.toLowerCase() === wanted) || null;
+    }
+    
+    findColumn(tableName, name) {
+        return this.findObject(tableName, 'columns', name);
+    }
+    
+    findMeasure(tableName, name) {
+        return this.findObject(tableName, 'measures', name);
+    }
+    
+    findHierarchy(tableName, name) {
+        return this.findObject(tableName, 'hierarchies', name);
+    }
+    
+    getSummary() {
+        const count = collection => this.tables.reduce((sum, table) => sum + table[collection].length, 0);
+        
+        return {
+            name: this.name,
+            format: this.format,
+            tables: this.tables.length,
+            columns: count('columns'),
+            measures: count('measures'),
+            hierarchies: count('hierarchies'),
+            calculationGroups: this.tables.filter(table => table.calculationGroup).length,
+            relationships: this.relationships.length
+        };
+    }
+    
+    toJSON() {
+        return {
+            name: this.name,
+            format: this.format,
+            compatibilityLevel: this.compatibilityLevel,
+            culture: this.culture,
+            tables: this.tables,
+            relationships: this.relationships,
+            expressions: this.expressions
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TmdlParser, SemanticModel };
+}
\ No newline at end of file
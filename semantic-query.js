@@ -0,0 +1,511 @@
+// SemanticQuery expression decoder and printer.
+//
+// Filters, visual queries, sort definitions and conditional formatting all
+// store expressions as QueryExpressionContainer objects: a single key naming
+// the expression kind ("Column", "Comparison", "DateAdd", ...) wrapping its
+// arguments. decode() turns any of the kinds in semanticQuery_schema.json into
+// a typed node ({ type: 'Comparison', comparisonKind, left, right }) with
+// enums named and table aliases resolved; format() renders a node as text.
+//
+//   SemanticQuery.format(SemanticQuery.decode(condition))
+//   -> Sales.Amount >= 100 AND Product.Color IN ("Red", "Blue")
+
+class SemanticQuery {
+    // Decodes one QueryExpressionContainer; aliases maps From names to entities
+    static decode(container, aliases = {}) {
+        if (!container || typeof container !== 'object') {
+            return null;
+        }
+        
+        const kind = SemanticQuery.expressionKinds.find(candidate => container[candidate] !== undefined);
+        const node = kind
+            ? { type: kind, ...SemanticQuery.decodeExpression(kind, container[kind] || {}, aliases) }
+            : { type: 'Unknown', raw: container };
+        
+        if (container.Name) {
+            node.name = container.Name;
+        }
+        if (container.NativeReferenceName) {
+            node.nativeReferenceName = container.NativeReferenceName;
+        }
+        return node;
+    }
+    
+    static decodeExpression(kind, value, aliases) {
+        const decode = expression => SemanticQuery.decode(expression, aliases);
+        const decodeAll = expressions => (expressions || []).map(decode);
+        const table = expression => SemanticQuery.resolveEntity(expression, aliases);
+        
+        switch (kind) {
+            case 'SourceRef': {
+                // A From entry is either a model table or a table expression (subquery)
+                const target = aliases[value.Source];
+                return {
+                    source: value.Source || null,
+                    entity: value.Entity || (typeof target === 'string' ? target : null),
+                    schema: value.Schema || null,
+                    expression: target && typeof target === 'object' ? target : null
+                };
+            }
+            case 'Column':
+            case 'Measure':
+                return { table: table(value.Expression), property: value.Property, expression: decode(value.Expression) };
+            case 'Hierarchy':
+                return { table: table(value.Expression), hierarchy: value.Hierarchy, expression: decode(value.Expression) };
+            case 'HierarchyLevel': {
+                const hierarchy = decode(value.Expression);
+                return { table: hierarchy ? hierarchy.table : null, hierarchy: hierarchy ? hierarchy.hierarchy : null, level: value.Level, expression: hierarchy };
+            }
+            case 'PropertyVariationSource':
+                return { table: table(value.Expression), name: value.Name, property: value.Property, expression: decode(value.Expression) };
+            case 'Aggregation':
+                return { function: SemanticQuery.mapEnum(SemanticQuery.aggregateFunctions, value.Function), expression: decode(value.Expression) };
+            case 'Min':
+            case 'Max':
+                return { includeAllTypes: SemanticQuery.mapEnum(SemanticQuery.includeAllTypes, value.IncludeAllTypes), expression: decode(value.Expression) };
+            case 'Percentile':
+                return { k: value.K, exclusive: value.Exclusive === true, expression: decode(value.Expression) };
+            case 'Subquery':
+                // Older reports wrap the query in a data shape command
+                return { query: SemanticQuery.decodeQuery(value.Query && value.Query.Command ? value.Query.Command.SemanticQueryDataShapeCommand.Query : value.Query, aliases) };
+            case 'Discretize':
+                return { count: value.Count, expression: decode(value.Expression) };
+            case 'And':
+            case 'Or':
+            case 'Contains':
+            case 'StartsWith':
+                return { left: decode(value.Left), right: decode(value.Right) };
+            case 'Not':
+            case 'Exists':
+                return { expression: decode(value.Expression) };
+            case 'Comparison':
+                return { comparisonKind: SemanticQuery.mapEnum(SemanticQuery.comparisonKinds, value.ComparisonKind), left: decode(value.Left), right: decode(value.Right) };
+            case 'Between':
+                return { expression: decode(value.Expression), lowerBound: decode(value.LowerBound), upperBound: decode(value.UpperBound) };
+            case 'In':
+                return {
+                    expressions: decodeAll(value.Expressions),
+                    values: (value.Values || []).map(decodeAll),
+                    table: decode(value.Table)
+                };
+            case 'Literal':
+                return SemanticQuery.parseLiteral(value.Value);
+            case 'DateSpan':
+                return { timeUnit: SemanticQuery.mapEnum(SemanticQuery.timeUnits, value.TimeUnit), expression: decode(value.Expression) };
+            case 'DateAdd':
+                return { amount: value.Amount, timeUnit: SemanticQuery.mapEnum(SemanticQuery.timeUnits, value.TimeUnit), expression: decode(value.Expression) };
+            case 'Now':
+            case 'DefaultValue':
+            case 'AllRolesRef':
+                return {};
+            case 'AnyValue':
+                return { defaultValueOverridesAncestors: value.DefaultValueOverridesAncestors === true };
+            case 'Arithmetic':
+                return { operator: SemanticQuery.mapEnum(SemanticQuery.arithmeticOperators, value.Operator), left: decode(value.Left), right: decode(value.Right) };
+            case 'Floor':
+                return { size: value.Size, timeUnit: value.TimeUnit !== undefined ? SemanticQuery.mapEnum(SemanticQuery.timeUnits, value.TimeUnit) : null, expression: decode(value.Expression) };
+            case 'ScopedEval':
+                return { expression: decode(value.Expression), scope: decodeAll(value.Scope) };
+            case 'FilteredEval':
+                return { expression: decode(value.Expression), filters: (value.Filters || []).map(filter => SemanticQuery.decodeQueryFilter(filter, aliases)) };
+            case 'TransformTableRef':
+                return { source: value.Source };
+            case 'TransformOutputRoleRef':
+                return { role: value.Role, transform: value.Transform || null };
+            case 'SparklineData':
+                return {
+                    measure: decode(value.Measure),
+                    groupings: decodeAll(value.Groupings),
+                    pointsPerSparkline: value.PointsPerSparkline || null,
+                    applyCalculationGroupTo: value.ApplyCalculationGroupTo || 'Sparkline'
+                };
+            case 'NativeVisualCalculation':
+                return { name: value.Name, language: value.Language, expression: value.Expression, dataType: value.DataType || null };
+            case 'FillRule':
+                return { input: decode(value.Input), rule: SemanticQuery.decodeFillRule(value.FillRule, aliases) };
+            case 'GroupRef':
+                return { table: table(value.Expression), property: value.Property, groupedColumns: decodeAll(value.GroupedColumns), expression: decode(value.Expression) };
+            case 'ResourcePackageItem':
+                return { packageName: value.PackageName, packageType: value.PackageType, itemName: value.ItemName };
+            case 'RoleRef':
+                return { role: value.Role };
+            case 'SummaryValueRef':
+                return { summaryName: value.Name };
+            case 'SelectRef':
+                return { expressionName: value.ExpressionName };
+            case 'ThemeDataColor':
+                return { colorId: value.ColorId, percent: value.Percent || 0 };
+            case 'Conditional':
+                return {
+                    cases: (value.Cases || []).map(item => ({ condition: decode(item.Condition), value: decode(item.Value) })),
+                    defaultValue: decode(value.DefaultValue)
+                };
+            case 'NativeMeasure':
+            case 'NativeColumn':
+                return {
+                    language: value.Language,
+                    expression: value.Expression,
+                    dataType: value.DataType,
+                    proposedName: value.ProposedName || null,
+                    format: value.Format || null,
+                    source: kind === 'NativeColumn' ? decode(value.Source) : undefined
+                };
+            case 'VisualTopN':
+                return { itemCount: value.ItemCount };
+        }
+        return { raw: value };
+    }
+    
+    // QueryDefinition (subqueries, legacy prototypeQuery); From aliases apply
+    // to everything inside it
+    static decodeQuery(query, aliases = {}) {
+        if (!query) return null;
+        
+        const from = SemanticQuery.decodeSources(query.From, aliases);
+        const scope = SemanticQuery.getScope(from, aliases);
+        const decode = expression => SemanticQuery.decode(expression, scope);
+        
+        return {
+            version: query.Version || null,
+            from,
+            select: (query.Select || []).map(decode),
+            where: (query.Where || []).map(filter => SemanticQuery.decodeQueryFilter(filter, scope)),
+            orderBy: (query.OrderBy || []).map(sort => ({
+                direction: SemanticQuery.mapEnum(SemanticQuery.sortDirections, sort.Direction),
+                expression: decode(sort.Expression)
+            })),
+            groupBy: (query.GroupBy || []).map(decode),
+            transform: (query.Transform || []).map(transform => ({
+                name: transform.Name,
+                algorithm: transform.Algorithm,
+                parameters: (transform.Input && transform.Input.Parameters || []).map(decode),
+                input: SemanticQuery.decodeTransformTable(transform.Input && transform.Input.Table, scope),
+                output: SemanticQuery.decodeTransformTable(transform.Output && transform.Output.Table, scope)
+            })),
+            visualShape: (query.VisualShape || []).map(axis => ({
+                name: axis.Name,
+                groups: (axis.Groups || []).map(group => ({ keys: (group.Keys || []).map(decode), subtotal: group.Subtotal === true }))
+            })),
+            top: query.Top !== undefined ? query.Top : null
+        };
+    }
+    
+    // FilterDefinition (filterConfig filters): From plus Where
+    static decodeFilter(definition, aliases = {}) {
+        if (!definition) return null;
+        
+        const from = SemanticQuery.decodeSources(definition.From, aliases);
+        const scope = SemanticQuery.getScope(from, aliases);
+        return {
+            version: definition.Version || null,
+            from,
+            where: (definition.Where || []).map(filter => SemanticQuery.decodeQueryFilter(filter, scope))
+        };
+    }
+    
+    static decodeQueryFilter(filter, aliases = {}) {
+        return {
+            target: filter.Target ? filter.Target.map(expression => SemanticQuery.decode(expression, aliases)) : null,
+            condition: SemanticQuery.decode(filter.Condition, aliases)
+        };
+    }
+    
+    static decodeSources(sources, aliases) {
+        return (sources || []).map(source => ({
+            name: source.Name,
+            entity: source.Entity || null,
+            schema: source.Schema || null,
+            type: SemanticQuery.mapEnum(SemanticQuery.entitySourceTypes, source.Type || 0),
+            expression: SemanticQuery.decode(source.Expression, aliases)
+        }));
+    }
+    
+    static decodeTransformTable(table, aliases) {
+        if (!table) return null;
+        
+        return {
+            name: table.Name,
+            columns: (table.Columns || []).map(column => ({ role: column.Role || null, expression: SemanticQuery.decode(column.Expression, aliases) }))
+        };
+    }
+    
+    // { linearGradient2: { min: { color, value }, max: {...}, nullColoringStrategy } }
+    static decodeFillRule(fillRule, aliases) {
+        if (!fillRule) return null;
+        
+        const kind = Object.keys(fillRule)[0];
+        const rule = fillRule[kind] || {};
+        const stops = ['min', 'mid', 'max']
+            .filter(position => rule[position])
+            .map(position => ({
+                position,
+                color: SemanticQuery.decode(rule[position].color, aliases),
+                value: SemanticQuery.decode(rule[position].value, aliases)
+            }));
+        const strategy = rule.nullColoringStrategy || {};
+        
+        return {
+            kind,
+            stops,
+            nullColoringStrategy: strategy.strategy ? SemanticQuery.decode(strategy.strategy, aliases) : null,
+            nullColor: strategy.color ? SemanticQuery.decode(strategy.color, aliases) : null
+        };
+    }
+    
+    // Alias -> entity name, or the decoded expression of a table expression source
+    static getScope(sources, aliases) {
+        const scope = { ...aliases };
+        sources.forEach(source => {
+            if (source.name && (source.entity || source.expression)) {
+                scope[source.name] = source.entity || source.expression;
+            }
+        });
+        return scope;
+    }
+    
+    static resolveEntity(expression, aliases = {}) {
+        if (!expression) return null;
+        
+        if (expression.SourceRef) {
+            const target = aliases[expression.SourceRef.Source];
+            return expression.SourceRef.Entity || (typeof target === 'string' ? target : expression.SourceRef.Source) || null;
+        } else if (expression.PropertyVariationSource) {
+            return SemanticQuery.resolveEntity(expression.PropertyVariationSource.Expression, aliases);
+        } else if (expression.Hierarchy) {
+            return SemanticQuery.resolveEntity(expression.Hierarchy.Expression, aliases);
+        } else if (expression.Column) {
+            return SemanticQuery.resolveEntity(expression.Column.Expression, aliases);
+        } else if (expression.GroupRef) {
+            return SemanticQuery.resolveEntity(expression.GroupRef.Expression, aliases);
+        }
+        return null;
+    }
+    
+    // Literal values are typed by their spelling: 'text', 24L, 2.4D, 2.4M,
+    // datetime'2024-01-31T00:00:00', true, null
+    static parseLiteral(value) {
+        if (typeof value !== 'string') {
+            return { value, dataType: typeof value === 'number' ? 'Double' : 'Unknown', raw: value };
+        }
+        
+        if (/^'.*'$/s.test(value)) {
+            return { value: value.slice(1, -1).replace(/''/g, "'"), dataType: 'String', raw: value };
+        } else if (value === 'true' || value === 'false') {
+            return { value: value === 'true', dataType: 'Boolean', raw: value };
+        } else if (value === 'null') {
+            return { value: null, dataType: 'Null', raw: value };
+        } else if (/^-?\d+(\.\d+)?([eE][-+]?\d+)?[DLM]$/.test(value)) {
+            const dataType = { D: 'Double', L: 'Integer', M: 'Decimal' }[value.slice(-1)];
+            return { value: Number(value.slice(0, -1)), dataType, raw: value };
+        } else if (/^datetime'.*'$/.test(value)) {
+            return { value: value.slice(9, -1), dataType: 'DateTime', raw: value };
+        }
+        
+        return { value, dataType: 'Unknown', raw: value };
+    }
+    
+    static mapEnum(names, value) {
+        return value in names ? names[value] : value;
+    }
+    
+    // Renders a decoded node as readable text; parent is the precedence of
+    // the enclosing operator, used to decide where parentheses are needed
+    static format(node, parent = 0) {
+        if (!node) return '';
+        
+        const format = (child, precedence = 0) => SemanticQuery.format(child, precedence);
+        const list = nodes => (nodes || []).map(child => format(child)).join(', ');
+        const wrap = (text, precedence) => precedence < parent ? `(${text})` : text;
+        
+        switch (node.type) {
+            case 'SourceRef':
+                return node.entity || (node.expression ? format(node.expression) : node.source) || '';
+            case 'Column':
+            case 'Measure':
+            case 'GroupRef':
+                return `${node.table || format(node.expression)}.${node.property}`;
+            case 'Hierarchy':
+                // Auto date/time hierarchies read as their date column
+                return node.expression && node.expression.type === 'PropertyVariationSource'
+                    ? format(node.expression)
+                    : `${node.table || format(node.expression)}.${node.hierarchy}`;
+            case 'HierarchyLevel':
+                return `${format(node.expression)}.${node.level}`;
+            case 'PropertyVariationSource':
+                return `${node.table || format(node.expression)}.${node.property}`;
+            case 'Aggregation':
+                return `${node.function}(${format(node.expression)})`;
+            case 'Min':
+            case 'Max':
+                return `${node.type}(${format(node.expression)})`;
+            case 'Percentile':
+                return `Percentile${node.exclusive ? 'Exclusive' : ''}(${format(node.expression)}, ${node.k})`;
+            case 'Subquery':
+                return `(${SemanticQuery.formatQuery(node.query)})`;
+            case 'Discretize':
+                return `Discretize(${format(node.expression)}, ${node.count})`;
+            case 'And':
+                return wrap(`${format(node.left, 2)} AND ${format(node.right, 2)}`, 2);
+            case 'Or':
+                return wrap(`${format(node.left, 1)} OR ${format(node.right, 1)}`, 1);
+            case 'Not':
+                return wrap(`NOT ${format(node.expression, 5)}`, 3);
+            case 'Comparison':
+                return wrap(`${format(node.left, 5)} ${SemanticQuery.comparisonOperators[node.comparisonKind] || node.comparisonKind} ${format(node.right, 5)}`, 4);
+            case 'Between':
+                return wrap(`${format(node.expression, 5)} BETWEEN ${format(node.lowerBound, 5)} AND ${format(node.upperBound, 5)}`, 4);
+            case 'In': {
+                const tuple = node.expressions.length > 1;
+                const left = tuple ? `(${list(node.expressions)})` : format(node.expressions[0], 5);
+                const right = node.table
+                    ? format(node.table, 5)
+                    : `(${node.values.map(values => tuple ? `(${list(values)})` : list(values)).join(', ')})`;
+                return wrap(`${left} IN ${right}`, 4);
+            }
+            case 'Contains':
+                return wrap(`${format(node.left, 5)} CONTAINS ${format(node.right, 5)}`, 4);
+            case 'StartsWith':
+                return wrap(`${format(node.left, 5)} STARTS WITH ${format(node.right, 5)}`, 4);
+            case 'Exists':
+                return `EXISTS(${format(node.expression)})`;
+            case 'Literal':
+                return SemanticQuery.formatLiteral(node);
+            case 'DateSpan':
+                return `DateSpan(${format(node.expression)}, ${node.timeUnit})`;
+            case 'DateAdd':
+                return `DateAdd(${format(node.expression)}, ${node.amount}, ${node.timeUnit})`;
+            case 'Now':
+                return 'Now()';
+            case 'DefaultValue':
+                return 'DEFAULT';
+            case 'AnyValue':
+                return 'ANY';
+            case 'AllRolesRef':
+                return 'ALL ROLES';
+            case 'Arithmetic': {
+                const precedence = node.operator === 'Add' || node.operator === 'Subtract' ? 6 : 7;
+                // The right operand binds tighter so a - (b - c) keeps its parentheses
+                return wrap(`${format(node.left, precedence)} ${SemanticQuery.arithmeticSymbols[node.operator] || node.operator} ${format(node.right, precedence + 1)}`, precedence);
+            }
+            case 'Floor':
+                return `Floor(${format(node.expression)}, ${node.size}${node.timeUnit !== null ? ` ${node.timeUnit}` : ''})`;
+            case 'ScopedEval':
+                return `ScopedEval(${format(node.expression)}, scope: ${list(node.scope) || 'none'})`;
+            case 'FilteredEval':
+                return `${format(node.expression, 8)} WHERE ${node.filters.map(filter => SemanticQuery.formatQueryFilter(filter, 2)).join(' AND ')}`;
+            case 'TransformTableRef':
+                return node.source;
+            case 'TransformOutputRoleRef':
+                return node.transform ? `${node.transform}.${node.role}` : node.role;
+            case 'SparklineData':
+                return `Sparkline(${format(node.measure)} by ${list(node.groupings)})`;
+            case 'NativeVisualCalculation':
+                return `${node.name} = ${node.expression}`;
+            case 'NativeMeasure':
+            case 'NativeColumn':
+                return node.proposedName ? `${node.proposedName} = ${node.expression}` : node.expression;
+            case 'FillRule':
+                return SemanticQuery.formatFillRule(node);
+            case 'ResourcePackageItem':
+                return `${node.packageName}/${node.itemName}`;
+            case 'RoleRef':
+                return `role ${node.role}`;
+            case 'SummaryValueRef':
+                return `summary ${node.summaryName}`;
+            case 'SelectRef':
+                return `[${node.expressionName}]`;
+            case 'ThemeDataColor':
+                return `theme color ${node.colorId}${node.percent ? ` ${node.percent > 0 ? '+' : ''}${Math.round(node.percent * 100)}%` : ''}`;
+            case 'Conditional': {
+                const cases = node.cases.map(item => `WHEN ${format(item.condition)} THEN ${format(item.value)}`);
+                return `CASE ${cases.join(' ')}${node.defaultValue ? ` ELSE ${format(node.defaultValue)}` : ''} END`;
+            }
+            case 'VisualTopN':
+                return `top ${node.itemCount}`;
+        }
+        return JSON.stringify(node.raw !== undefined ? node.raw : node);
+    }
+    
+    static formatLiteral(node) {
+        switch (node.dataType) {
+            case 'String':
+                return `"${node.value.replace(/"/g, '""')}"`;
+            case 'DateTime':
+                // Midnight timestamps read as plain dates
+                return node.value.replace(/T00:00:00(\.0+)?$/, '');
+            case 'Null':
+                return 'null';
+        }
+        return String(node.value);
+    }
+    
+    static formatFillRule(node) {
+        const rule = node.rule || { stops: [] };
+        const stops = rule.stops.map(stop => `${stop.position} ${SemanticQuery.format(stop.color)}${stop.value ? ` at ${SemanticQuery.format(stop.value)}` : ''}`);
+        return `${rule.kind || 'FillRule'}(${SemanticQuery.format(node.input)}: ${stops.join(', ')})`;
+    }
+    
+    static formatQueryFilter(filter, parent = 0) {
+        const condition = SemanticQuery.format(filter.condition, parent);
+        return filter.target ? `${condition} FOR ${filter.target.map(target => SemanticQuery.format(target)).join(', ')}` : condition;
+    }
+    
+    // The Where conditions of a FilterDefinition, joined with AND
+    static formatFilter(filter) {
+        if (!filter) return '';
+        
+        const conditions = filter.where.map(where => SemanticQuery.formatQueryFilter(where, filter.where.length > 1 ? 2 : 0));
+        return conditions.join(' AND ');
+    }
+    
+    static formatQuery(query) {
+        if (!query) return '';
+        
+        const format = node => SemanticQuery.format(node);
+        const parts = [`SELECT ${query.select.map(format).join(', ')}`];
+        const sources = query.from.map(source => source.entity || (source.expression ? `${format(source.expression)} AS ${source.name}` : source.name));
+        if (sources.length > 0) {
+            parts.push(`FROM ${sources.join(', ')}`);
+        }
+        if (query.where.length > 0) {
+            parts.push(`WHERE ${query.where.map(where => SemanticQuery.formatQueryFilter(where, 2)).join(' AND ')}`);
+        }
+        if (query.groupBy.length > 0) {
+            parts.push(`GROUP BY ${query.groupBy.map(format).join(', ')}`);
+        }
+        if (query.orderBy.length > 0) {
+            parts.push(`ORDER BY ${query.orderBy.map(sort => `${format(sort.expression)} ${sort.direction === 'Descending' ? 'DESC' : 'ASC'}`).join(', ')}`);
+        }
+        if (query.top !== null) {
+            parts.push(`TOP ${query.top}`);
+        }
+        return parts.join(' ');
+    }
+}
+
+// Every QueryExpressionContainer kind in semanticQuery_schema.json, checked in this order
+SemanticQuery.expressionKinds = [
+    'SourceRef', 'Column', 'Measure', 'Min', 'Max', 'Aggregation', 'Percentile', 'Hierarchy', 'HierarchyLevel',
+    'PropertyVariationSource', 'Subquery', 'Discretize', 'And', 'Between', 'In', 'Or', 'Comparison', 'Not',
+    'Contains', 'StartsWith', 'Exists', 'Literal', 'DateSpan', 'DateAdd', 'Now', 'DefaultValue', 'AnyValue',
+    'Arithmetic', 'Floor', 'ScopedEval', 'FilteredEval', 'TransformTableRef', 'TransformOutputRoleRef',
+    'SparklineData', 'NativeVisualCalculation', 'FillRule', 'GroupRef', 'ResourcePackageItem', 'RoleRef',
+    'SummaryValueRef', 'AllRolesRef', 'SelectRef', 'ThemeDataColor', 'Conditional', 'NativeMeasure',
+    'NativeColumn', 'VisualTopN'
+];
+
+// Numeric enumerations from semanticQuery_schema.json
+SemanticQuery.aggregateFunctions = { 0: 'Sum', 1: 'Average', 2: 'DistinctCount', 3: 'Min', 4: 'Max', 5: 'Count', 6: 'Median', 7: 'StandardDeviation', 8: 'Variance' };
+SemanticQuery.comparisonKinds = { 0: 'Equal', 1: 'GreaterThan', 2: 'GreaterThanOrEqual', 3: 'LessThan', 4: 'LessThanOrEqual' };
+SemanticQuery.arithmeticOperators = { 0: 'Add', 1: 'Subtract', 2: 'Multiply', 3: 'Divide' };
+SemanticQuery.timeUnits = { 0: 'Day', 1: 'Week', 2: 'Month', 3: 'Year', 4: 'Decade', 5: 'Second', 6: 'Minute', 7: 'Hour' };
+SemanticQuery.sortDirections = { 1: 'Ascending', 2: 'Descending' };
+SemanticQuery.includeAllTypes = { 0: 'Default', 1: 'IfSupported', 2: 'Always' };
+SemanticQuery.entitySourceTypes = { 0: 'Table', 1: 'Presentation', 2: 'Expression' };
+
+SemanticQuery.comparisonOperators = { Equal: '=', GreaterThan: '>', GreaterThanOrEqual: '>=', LessThan: '<', LessThanOrEqual: '<=' };
+SemanticQuery.arithmeticSymbols = { Add: '+', Subtract: '-', Multiply: '*', Divide: '/' };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SemanticQuery };
+}
\ No newline at end of file